@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/**
+ * Headless CLI runner - runs the same worker pipeline as the Electron UI
+ * Architecture: CLI (this) -> Worker Process (OPC-UA diagnostics)
+ *
+ * Usage: opcua-diag probe --server <host> [--port 4840] [--node ns=0;i=2258] [--json]
+ *        opcua-diag selftest [--scenario <name>|all] [--port 48480]
+ *
+ * Exit codes:
+ *   0  probe completed and the subscription succeeded (or was skipped with --skip)
+ *   1  probe failed (endpoint query or other fatal error)
+ *   2  probe completed but the subscription failed
+ *   3  self-test: the narrative did not match a scenario's expected results
+ *   64 invalid command line
+ */
+
+const path = require('path');
+const os = require('os');
+const { fork } = require('child_process');
+const { parseArgs } = require('util');
+const { redactConfig } = require('./lib/identity');
+const { inboundConnections } = require('./lib/connections');
+const { PROBE_STEPS, resolveSteps } = require('./lib/steps');
+const { resolveOperations } = require('./lib/operationspecs');
+const { resolveCapacity } = require('./lib/capacitycaps');
+const {
+  narrateResult, compareNarrative, summarizeSelfTest,
+  summarizePreflight, summarizeEndpointUrlCheck, summarizeServerSnapshot, summarizeSubscriptionHealth, summarizeOperations,
+  summarizeReverseConnect, summarizeCapacity, describeStatusCode
+} = require('./renderer/summaries');
+const { formatConfidence } = require('./renderer/diagnosis');
+
+const EXIT_OK = 0;
+const EXIT_PROBE_FAILED = 1;
+const EXIT_SUBSCRIPTION_FAILED = 2;
+const EXIT_SELF_TEST_MISMATCH = 3;
+const EXIT_USAGE = 64;
+
+const USAGE = `Usage: opcua-diag probe --server <host> [options]
+       opcua-diag selftest [--scenario <name>|all] [--port 48480] [--log-dir <dir>]
+
+Options:
+  --server <host>        OPC UA server hostname or IP (opc.tcp:// prefix optional)
+  --port <port>          Server port (default 4840, or the port given in --server)
+  --node <item>          Monitored NodeId (default ns=0;i=2258); repeat to monitor several.
+                         Per-item options: "<nodeId> | sampling=100 | queue=5 | deadband=0.5" (or 2%)
+  --publishing <ms>      Publishing interval in ms (default 250)
+  --window <seconds>     How long the subscription is held open to measure health (default 10)
+  --monitor <seconds>    How long to watch for server callback connections (default 30)
+  --skip <steps>         Comma-separated steps to leave out: endpoints, serverSnapshot,
+                         baselineListeners, subscription, postSubscriptionListeners,
+                         connectionMonitoring
+  --timeout <step=sec>   Timeout for each call a step makes, e.g. endpoints=30 (default 15);
+                         repeat for several steps
+  --read <item>          Read this NodeId in the read/write/method checks; repeat for several.
+                         "<nodeId> | write=<value>" also writes the test value and restores the
+                         original, but only together with --confirm-writes
+  --confirm-writes       Allow the test writes requested with --read
+  --method <nodeId>      Call this method in the read/write/method checks (needs --method-object)
+  --method-object <id>   NodeId of the object the method is called on
+  --arg <value>          Input argument for --method, converted to its declared DataType;
+                         repeat in order
+  --reverse-port <port>  Listen on this port for the server's Reverse Connect (ReverseHello)
+  --reverse-wait <sec>   How long to wait for the ReverseHello (default 60)
+  --capacity-sessions <n>
+                         Capacity test: open sessions one by one up to n (at most 200) and
+                         stop at the first rejection; runs last and releases everything
+  --capacity-subscriptions <n>
+                         Capacity test: subscriptions on one session, up to n (at most 1000)
+  --capacity-items <n>   Capacity test: monitored items on one subscription, up to n (at most 50000)
+  --user <name>          Authenticate with username/password
+  --password <secret>    Password for --user (or set OPCUA_DIAG_PASSWORD)
+  --cert <file>          Authenticate with an X.509 user certificate (PEM/DER)
+  --key <file>           Private key (PEM) for --cert
+  --log-dir <dir>        Directory that receives the logs/ folder (default: app data)
+  --json                 Print the final result as JSON on stdout (narrative goes to stderr)
+  -h, --help             Show this help
+
+Self-test (starts a local OPC UA server that misbehaves on purpose and probes it):
+  --scenario <name>      healthy, rejectSubscriptions, expiredCertificate, wrongEndpointUrl or all (default)
+  --port <port>          Port for the self-test server (default 48480)
+`;
+
+// Mirrors Electron's app.getPath('userData') so CLI and UI runs share a log folder
+function defaultUserDataPath() {
+  const name = require('./package.json').name;
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), name);
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', name);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), name);
+}
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      server: { type: 'string' },
+      port: { type: 'string' },
+      node: { type: 'string', multiple: true },
+      publishing: { type: 'string' },
+      window: { type: 'string' },
+      monitor: { type: 'string' },
+      skip: { type: 'string' },
+      timeout: { type: 'string', multiple: true },
+      read: { type: 'string', multiple: true },
+      'confirm-writes': { type: 'boolean', default: false },
+      method: { type: 'string' },
+      'method-object': { type: 'string' },
+      arg: { type: 'string', multiple: true },
+      'reverse-port': { type: 'string' },
+      'reverse-wait': { type: 'string' },
+      'capacity-sessions': { type: 'string' },
+      'capacity-subscriptions': { type: 'string' },
+      'capacity-items': { type: 'string' },
+      user: { type: 'string' },
+      password: { type: 'string' },
+      cert: { type: 'string' },
+      key: { type: 'string' },
+      scenario: { type: 'string' },
+      'log-dir': { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { help: true };
+  if (positionals[0] === 'selftest') {
+    const port = parseInt(values.port || '48480', 10);
+    if (!Number.isFinite(port) || port <= 0 || port > 65535) throw new Error(`Invalid port "${values.port}"`);
+    return {
+      selfTest: { scenario: values.scenario || 'all', port },
+      userDataPath: values['log-dir'] ? path.resolve(values['log-dir']) : defaultUserDataPath()
+    };
+  }
+  if (positionals[0] !== 'probe') throw new Error(`Unknown command "${positionals[0] || ''}"`);
+  if (!values.server) throw new Error('--server is required');
+
+  let server = values.server.trim();
+  if (server.toLowerCase().startsWith('opc.tcp://')) {
+    server = server.slice('opc.tcp://'.length);
+  }
+
+  // A port in --server ("host:48010") replaces the default; --port may only repeat it
+  const embeddedPort = server.match(/^.+?:(\d+)$/);
+  const portText = values.port || (embeddedPort ? embeddedPort[1] : '4840');
+  const port = parseInt(portText, 10);
+  if (!Number.isFinite(port) || port <= 0 || port > 65535) throw new Error(`Invalid port "${portText}"`);
+  if (embeddedPort && parseInt(embeddedPort[1], 10) !== port) {
+    throw new Error(`--port ${values.port} conflicts with the port in --server "${values.server}"`);
+  }
+
+  const publishing = parseInt(values.publishing || '250', 10);
+  if (!Number.isFinite(publishing) || publishing <= 0) throw new Error(`Invalid publishing interval "${values.publishing}"`);
+
+  const healthWindow = parseInt(values.window || '10', 10);
+  if (!Number.isFinite(healthWindow) || healthWindow <= 0) throw new Error(`Invalid health window "${values.window}"`);
+
+  let reverseConnect = null;
+  if (values['reverse-port']) {
+    const reversePort = parseInt(values['reverse-port'], 10);
+    if (!Number.isFinite(reversePort) || reversePort <= 0 || reversePort > 65535) throw new Error(`Invalid reverse connect port "${values['reverse-port']}"`);
+    const waitSeconds = parseInt(values['reverse-wait'] || '60', 10);
+    if (!Number.isFinite(waitSeconds) || waitSeconds <= 0) throw new Error(`Invalid reverse connect wait "${values['reverse-wait']}"`);
+    reverseConnect = { port: reversePort, waitSeconds };
+  }
+
+  let operations = null;
+  if (values.read || values.method || values['method-object']) {
+    operations = {
+      nodes: values.read || [],
+      method: values.method || values['method-object']
+        ? { objectId: values['method-object'] || '', methodId: values.method || '', arguments: values.arg || [] }
+        : null,
+      writesConfirmed: values['confirm-writes']
+    };
+    resolveOperations({ operations });
+  }
+
+  let capacity = null;
+  if (values['capacity-sessions'] || values['capacity-subscriptions'] || values['capacity-items']) {
+    capacity = {
+      sessions: values['capacity-sessions'],
+      subscriptions: values['capacity-subscriptions'],
+      monitoredItems: values['capacity-items']
+    };
+    // The worker receives the validated numbers
+    capacity = resolveCapacity({ capacity });
+  }
+
+  const steps = {};
+  const stepFor = (key) => {
+    if (!PROBE_STEPS.some(step => step.key === key)) throw new Error(`Unknown probe step "${key}"`);
+    return (steps[key] = steps[key] || {});
+  };
+  for (const key of (values.skip || '').split(',').map(k => k.trim()).filter(Boolean)) {
+    stepFor(key).enabled = false;
+  }
+  for (const entry of values.timeout || []) {
+    const m = entry.match(/^([A-Za-z]+)=(.+)$/);
+    if (!m) throw new Error(`Invalid step timeout "${entry}" (expected <step>=<seconds>)`);
+    stepFor(m[1]).timeoutSeconds = Number(m[2]);
+  }
+  if (values.monitor) stepFor('connectionMonitoring').durationSeconds = Number(values.monitor);
+  // Same validation the worker applies, so bad values fail as a usage error
+  resolveSteps({ steps, healthWindowSeconds: healthWindow });
+
+  let identity = { type: 'Anonymous' };
+  if (values.user) {
+    identity = { type: 'UserName', userName: values.user, password: values.password ?? process.env.OPCUA_DIAG_PASSWORD ?? '' };
+  } else if (values.cert || values.key) {
+    if (!values.cert || !values.key) throw new Error('--cert and --key must be used together');
+    identity = { type: 'Certificate', certificateFile: path.resolve(values.cert), privateKeyFile: path.resolve(values.key) };
+  }
+
+  return {
+    json: values.json,
+    userDataPath: values['log-dir'] ? path.resolve(values['log-dir']) : defaultUserDataPath(),
+    config: {
+      server,
+      port,
+      nodeId: (values.node && values.node[0]) || 'ns=0;i=2258',
+      nodeIds: values.node || [],
+      publishingInterval: publishing,
+      healthWindowSeconds: healthWindow,
+      reverseConnect,
+      operations,
+      capacity,
+      steps,
+      identity
+    }
+  };
+}
+
+// Short per-step lines for the narrative; the worker log messages carry the detail
+function describePartial(payload) {
+  const lines = [];
+  if (payload.preflight) {
+    for (const entry of summarizePreflight(payload.preflight)) {
+      lines.push(`${entry.title}: ${entry.severity === 'success' ? 'OK' : entry.severity === 'info' ? 'SKIPPED' : entry.severity.toUpperCase()} - ${entry.text}`);
+    }
+  }
+  if (payload.skippedSteps && payload.skippedSteps.length > 0) {
+    lines.push(`Skipped steps: ${payload.skippedSteps.map(step => step.label).join(', ')}`);
+  }
+  if (payload.endpoints) lines.push(`Endpoints: ${payload.endpoints.length} advertised`);
+  if (payload.serverCertificates) {
+    const issues = payload.serverCertificates.reduce((n, c) => n + c.issues.length, 0);
+    lines.push(`Server certificates: ${payload.serverCertificates.length} inspected, ${issues} issue(s)`);
+  }
+  if (payload.securityMatrix) {
+    const ok = payload.securityMatrix.filter(r => r.success).length;
+    lines.push(`Security matrix: ${ok}/${payload.securityMatrix.length} combination(s) accepted a session`);
+  }
+  if (payload.endpointUrlCheck) lines.push(`Advertised endpoint URLs: ${summarizeEndpointUrlCheck(payload.endpointUrlCheck).text}`);
+  if (payload.serverSnapshot) {
+    for (const entry of summarizeServerSnapshot(payload.serverSnapshot)) lines.push(`${entry.title}: ${entry.text}`);
+  }
+  if (payload.beforeListeners) lines.push(`Baseline listeners: ${payload.beforeListeners.length}`);
+  if (payload.subscriptionResult) {
+    lines.push(payload.subscriptionResult.success
+      ? `Subscription: OK (${payload.subscriptionResult.nodeMonitored}; ${payload.subscriptionResult.items.filter(i => i.statusCode === 'Good').length}/${payload.subscriptionResult.items.length} item(s) accepted)`
+      : `Subscription: FAILED (${payload.subscriptionResult.error})`);
+    if (payload.subscriptionResult.status) lines.push(`  ${describeStatusCode(payload.subscriptionResult.status)}`);
+    if (payload.subscriptionResult.health) {
+      lines.push(`Subscription health: ${summarizeSubscriptionHealth(payload.subscriptionResult.health).text}`);
+    }
+  }
+  if (payload.operations) {
+    for (const entry of summarizeOperations(payload.operations)) lines.push(`${entry.title}: ${entry.text}`);
+  }
+  if (payload.afterListeners) lines.push(`Post-subscription listeners: ${payload.afterListeners.length}`);
+  if (payload.connections) {
+    const inbound = inboundConnections(payload.connections).length;
+    lines.push(`Incoming connections from server: ${inbound} (${payload.connections.length - inbound} outbound also tracked)`);
+  }
+  if (payload.reverseConnect) lines.push(`Reverse Connect: ${summarizeReverseConnect(payload.reverseConnect).text}`);
+  if (payload.capacity) lines.push(`Capacity test: ${summarizeCapacity(payload.capacity).text}`);
+  if (payload.diagnosis) {
+    lines.push(`Diagnosis: ${payload.diagnosis.overview}`);
+    payload.diagnosis.verdicts.forEach((v, idx) => {
+      lines.push(`  ${idx + 1}. ${v.title} (${v.severity}, confidence ${formatConfidence(v.confidence)})`);
+      for (const line of v.evidence) lines.push(`       evidence: ${line}`);
+      for (const line of v.remediation) lines.push(`       fix: ${line}`);
+    });
+  }
+  return lines;
+}
+
+// onPartial(payload) additionally receives every partial result (used by the self-test)
+function runProbe({ config, userDataPath, json, onPartial }) {
+  const narrate = (line) => (json ? process.stderr : process.stdout).write(`${line}\n`);
+
+  return new Promise((resolve) => {
+    const worker = fork(path.join(__dirname, 'worker.js'), [], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+    let final = null;
+    let failure = null;
+    let failureStatus = null;
+    let reportFiles = null;
+
+    worker.on('message', (msg) => {
+      if (!msg || !msg.type) return;
+      switch (msg.type) {
+        case 'log':
+          if (msg.message) narrate(`[worker] ${msg.message}`);
+          break;
+        case 'result-partial':
+          for (const line of describePartial(msg.payload || {})) narrate(`>> ${line}`);
+          if (onPartial) onPartial(msg.payload || {});
+          break;
+        case 'result-final':
+          final = msg.payload;
+          reportFiles = msg.reportFiles || null;
+          break;
+        case 'error':
+          failure = msg.error || 'Unknown error';
+          failureStatus = msg.status || null;
+          reportFiles = msg.reportFiles || null;
+          narrate(`[error] ${failure}`);
+          if (msg.status) narrate(`[error] ${describeStatusCode(msg.status)}`);
+          break;
+      }
+    });
+
+    worker.on('exit', (code) => {
+      if (reportFiles) {
+        narrate(`Log: ${reportFiles.log}`);
+        if (reportFiles.html) narrate(`Report: ${reportFiles.html}`);
+      }
+      if (json) {
+        process.stdout.write(JSON.stringify({ config: redactConfig(config), ok: !failure, error: failure, errorStatus: failureStatus, result: final, reportFiles }, null, 2) + '\n');
+      }
+      if (failure || !final || code !== 0) return resolve(EXIT_PROBE_FAILED);
+      const subscriptionSkipped = (final.skippedSteps || []).some(step => step.key === 'subscription');
+      if (!subscriptionSkipped && (!final.subscriptionResult || !final.subscriptionResult.success)) return resolve(EXIT_SUBSCRIPTION_FAILED);
+      resolve(EXIT_OK);
+    });
+
+    // Ctrl+C stops the worker but still lets exit handling report what we have
+    process.on('SIGINT', () => worker.kill());
+
+    worker.send({ type: 'start', config, userDataPath });
+  });
+}
+
+// Forks a worker hosting the self-test server; resolves { child, info } once it listens
+function startSelfTestServer(options, userDataPath) {
+  return new Promise((resolve, reject) => {
+    const child = fork(path.join(__dirname, 'worker.js'), [], { stdio: ['ignore', 'ignore', 'ignore', 'ipc'] });
+    child.on('message', (msg) => {
+      if (!msg || msg.type !== 'selftest-ready') return;
+      if (msg.error) reject(new Error(msg.error));
+      else resolve({ child, info: msg.result });
+    });
+    child.on('exit', (code) => reject(new Error(`Self-test server exited (code ${code})`)));
+    child.send({ type: 'selftest-start', options, userDataPath });
+  });
+}
+
+function stopSelfTestServer(child) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => child.kill(), 5000);
+    child.on('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    child.send({ type: 'selftest-stop' });
+  });
+}
+
+// Probes each scenario's server with the normal pipeline and checks the narrative it produced
+async function runSelfTest({ selfTest, userDataPath }) {
+  const { SELF_TEST_SCENARIOS } = require('./lib/selftest');
+  const names = selfTest.scenario === 'all' ? Object.keys(SELF_TEST_SCENARIOS) : [selfTest.scenario];
+  const unknown = names.find(name => !SELF_TEST_SCENARIOS[name]);
+  if (unknown) {
+    process.stderr.write(`Unknown self-test scenario "${unknown}"
+
+${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const results = [];
+  for (const name of names) {
+    const scenario = SELF_TEST_SCENARIOS[name];
+    process.stdout.write(`\n== Self-test: ${scenario.label} - ${scenario.description}\n`);
+    let server;
+    try {
+      server = await startSelfTestServer({ scenario: name, port: selfTest.port }, userDataPath);
+    } catch (err) {
+      process.stdout.write(`[error] ${err.message}\n`);
+      results.push(false);
+      continue;
+    }
+
+    const entries = [];
+    const context = {};
+    await runProbe({
+      config: {
+        server: 'localhost',
+        port: server.info.port,
+        nodeId: server.info.nodeIds[0],
+        nodeIds: server.info.nodeIds,
+        publishingInterval: 250,
+        healthWindowSeconds: 3,
+        steps: { connectionMonitoring: { enabled: false } },
+        identity: { type: 'Anonymous' }
+      },
+      userDataPath,
+      json: false,
+      onPartial: (payload) => entries.push(...narrateResult(payload, context))
+    });
+    await stopSelfTestServer(server.child);
+
+    const { text, table } = summarizeSelfTest(scenario.label, compareNarrative(entries, server.info.expected));
+    process.stdout.write(`${text}\n`);
+    for (const row of table.rows) process.stdout.write(`  ${row[3].padEnd(8)} ${row[0]}: expected ${row[1]}, shown ${row[2]}\n`);
+    results.push(table.rows.every(row => row[3] === 'OK'));
+  }
+
+  const passed = results.filter(Boolean).length;
+  process.stdout.write(`\nSelf-test: ${passed}/${results.length} scenario(s) diagnosed as expected\n`);
+  return passed === results.length ? EXIT_OK : EXIT_SELF_TEST_MISMATCH;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return EXIT_OK;
+  }
+  if (options.selfTest) return runSelfTest(options);
+  return runProbe(options);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => process.exit(code));
+}
+
+module.exports = { main, parseCommandLine };
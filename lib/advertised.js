@@ -0,0 +1,107 @@
+/**
+ * Advertised endpointUrl check - compares the endpointUrl in each endpoint description
+ * with the address the user dialled. Servers often advertise their own hostname
+ * (opc.tcp://PLC-HOSTNAME:4840) while the client can only reach them by IP; clients that
+ * follow the advertised URL then connect to a host they cannot resolve or reach.
+ */
+
+const dns = require('dns');
+
+function parseOpcUrl(url) {
+  const parsed = new URL(url);
+  return {
+    host: parsed.hostname.replace(/^\[|\]$/g, ''),
+    port: Number(parsed.port || 4840),
+    path: parsed.pathname === '/' ? '' : parsed.pathname
+  };
+}
+
+async function lookupAll(host) {
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    return { resolves: true, addresses: addresses.map(a => a.address), error: null };
+  } catch (err) {
+    return { resolves: false, addresses: [], error: err.code || err.message };
+  }
+}
+
+// Replaces host and port of an advertised URL with the dialled ones, keeping its path
+function rewriteEndpointUrl(advertisedUrl, dialledUrl) {
+  const advertised = parseOpcUrl(advertisedUrl);
+  const dialled = new URL(dialledUrl);
+  return `opc.tcp://${dialled.host}${advertised.path}`;
+}
+
+/**
+ * Returns one entry per distinct advertised endpointUrl:
+ * { endpointUrl, host, port, resolves, addresses, hostMatches, portMatches, sameAddress, issues }
+ * where issues are { severity, code, message } like the certificate checks.
+ */
+async function checkAdvertisedUrls(endpoints, dialledUrl) {
+  const dialled = parseOpcUrl(dialledUrl);
+  const dialledLookup = await lookupAll(dialled.host);
+  const urls = [...new Set((endpoints || []).map(ep => ep.endpointUrl).filter(Boolean))];
+
+  const results = [];
+  for (const endpointUrl of urls) {
+    let advertised;
+    try {
+      advertised = parseOpcUrl(endpointUrl);
+    } catch (e) {
+      results.push({
+        endpointUrl, host: null, port: null, resolves: false, addresses: [],
+        hostMatches: false, portMatches: false, sameAddress: false,
+        issues: [{ severity: 'error', code: 'InvalidUrl', message: `The server advertises "${endpointUrl}", which is not a valid URL` }]
+      });
+      continue;
+    }
+
+    const hostMatches = advertised.host.toLowerCase() === dialled.host.toLowerCase();
+    const portMatches = advertised.port === dialled.port;
+    const lookup = hostMatches ? dialledLookup : await lookupAll(advertised.host);
+    const sameAddress = lookup.addresses.some(a => dialledLookup.addresses.includes(a));
+    const issues = [];
+
+    if (!lookup.resolves) {
+      issues.push({
+        severity: 'error',
+        code: 'Unresolvable',
+        message: `The advertised host "${advertised.host}" does not resolve from this machine (${lookup.error}); clients that follow the advertised URL cannot connect`
+      });
+    } else if (!hostMatches && !sameAddress) {
+      issues.push({
+        severity: 'warn',
+        code: 'HostMismatch',
+        message: `The advertised host "${advertised.host}" resolves to ${lookup.addresses.join(', ')}, not to the dialled address ${dialledLookup.addresses.join(', ') || dialled.host}`
+      });
+    } else if (!hostMatches) {
+      issues.push({
+        severity: 'info',
+        code: 'HostAlias',
+        message: `The advertised host "${advertised.host}" differs from the dialled "${dialled.host}" but resolves to the same address from this machine`
+      });
+    }
+    if (!portMatches) {
+      issues.push({
+        severity: 'warn',
+        code: 'PortMismatch',
+        message: `The advertised port ${advertised.port} differs from the dialled port ${dialled.port} (port forwarding or NAT?)`
+      });
+    }
+
+    results.push({
+      endpointUrl,
+      host: advertised.host,
+      port: advertised.port,
+      resolves: lookup.resolves,
+      addresses: lookup.addresses,
+      hostMatches,
+      portMatches,
+      sameAddress,
+      issues
+    });
+  }
+  return results;
+}
+
+module.exports = { checkAdvertisedUrls, rewriteEndpointUrl };
@@ -0,0 +1,216 @@
+/**
+ * Batch probing - inventory parsing, bounded-concurrency scheduling and the
+ * combined batch report.
+ *
+ * Inventory rows: { server, port, nodeId, publishingInterval, credentials }
+ * "credentials" is a name looked up in a separate credentials file
+ * ({ "<name>": { type: 'UserName', userName, password } | { type: 'Certificate', ... } }),
+ * so the inventory itself never contains secrets.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pkg = require('../package.json');
+
+const COLUMN_ALIASES = {
+  server: 'server',
+  host: 'server',
+  port: 'port',
+  nodeid: 'nodeId',
+  node: 'nodeId',
+  publishinginterval: 'publishingInterval',
+  publishing: 'publishingInterval',
+  credentials: 'credentials',
+  credential: 'credentials'
+};
+
+// Minimal RFC 4180 line splitter: quoted fields may contain commas and "" escapes
+function splitCsvLine(line) {
+  const cells = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  cells.push(cur);
+  return cells.map(c => c.trim());
+}
+
+function parseCsv(text) {
+  const lines = String(text).split(/\r?\n/).filter(l => l.trim() && !l.trim().startsWith('#'));
+  if (lines.length === 0) return [];
+  const headers = splitCsvLine(lines[0]).map(h => COLUMN_ALIASES[h.toLowerCase().replace(/[\s_-]/g, '')] || null);
+  if (!headers.includes('server')) throw new Error('CSV inventory needs a "server" column');
+  return lines.slice(1).map(line => {
+    const row = {};
+    splitCsvLine(line).forEach((cell, i) => {
+      if (headers[i] && cell !== '') row[headers[i]] = cell;
+    });
+    return row;
+  });
+}
+
+function normalizeRow(row, index) {
+  let server = String(row.server || '').trim();
+  if (!server) throw new Error(`Row ${index + 1}: server is missing`);
+  if (server.toLowerCase().startsWith('opc.tcp://')) server = server.slice('opc.tcp://'.length);
+
+  const port = parseInt(row.port || 4840, 10);
+  if (!Number.isFinite(port) || port <= 0 || port > 65535) throw new Error(`Row ${index + 1}: invalid port "${row.port}"`);
+
+  const publishing = parseInt(row.publishingInterval || 250, 10);
+  return {
+    server,
+    port,
+    nodeId: row.nodeId || 'ns=0;i=2258',
+    publishingInterval: Number.isFinite(publishing) && publishing > 0 ? publishing : 250,
+    credentials: row.credentials || null
+  };
+}
+
+/**
+ * Parses CSV or JSON inventory text. JSON may be an array or { servers: [...] }.
+ * Returns { items, errors } - bad rows are reported, not fatal.
+ */
+function parseInventory(text, fileName = '') {
+  const trimmed = String(text).trim();
+  let rows;
+  if (/\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    rows = Array.isArray(data) ? data : data.servers;
+    if (!Array.isArray(rows)) throw new Error('JSON inventory must be an array or { "servers": [...] }');
+  } else {
+    rows = parseCsv(trimmed);
+  }
+
+  const items = [];
+  const errors = [];
+  rows.forEach((row, i) => {
+    try {
+      items.push(normalizeRow(row || {}, i));
+    } catch (e) {
+      errors.push(e.message);
+    }
+  });
+  return { items, errors };
+}
+
+function parseCredentials(text) {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Credentials file must be an object of { "<name>": { "type": ... } }');
+  }
+  return data;
+}
+
+/**
+ * Runs task(item, index) for every item with at most `concurrency` in flight.
+ * shouldStop() is checked before each new task starts (used for cancellation).
+ */
+async function runPool(items, concurrency, task, shouldStop = () => false) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      await task(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderBatchHtml(report) {
+  const rows = report.items.map(item => {
+    const s = item.summary || {};
+    const link = item.reportFiles && item.reportFiles.html
+      ? `<a href="${escapeHtml(path.basename(item.reportFiles.html))}">report</a>`
+      : '';
+    return `<tr class="row--${escapeHtml(item.status)}">` +
+      `<td>${escapeHtml(item.config.server)}:${escapeHtml(item.config.port)}</td>` +
+      `<td>${escapeHtml(item.config.nodeId)}</td>` +
+      `<td>${escapeHtml(item.status)}</td>` +
+      `<td>${escapeHtml(s.endpoints ?? '')}</td>` +
+      `<td>${escapeHtml(s.securityMatrix || '')}</td>` +
+      `<td>${escapeHtml(s.subscription || '')}</td>` +
+      `<td>${escapeHtml(s.callbacks ?? '')}</td>` +
+      `<td>${item.durationMs == null ? '' : `${(item.durationMs / 1000).toFixed(1)} s`}</td>` +
+      `<td>${escapeHtml(item.error || '')}</td>` +
+      `<td>${link}</td></tr>`;
+  }).join('\n');
+
+  const counts = report.items.reduce((acc, i) => ({ ...acc, [i.status]: (acc[i.status] || 0) + 1 }), {});
+  const countText = Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(', ');
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>OPC UA Batch Probe Report</title>
+<style>
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; background: #fef3c7; color: #111827; margin: 0; padding: 24px; }
+  main { max-width: 1100px; margin: 0 auto; background: #fffbeb; border: 1px solid #f8bb84; border-radius: 14px; padding: 20px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  p { font-size: 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid rgba(148, 163, 184, 0.35); }
+  .row--passed td { background: #ecfdf5; }
+  .row--failed td { background: #fefce8; }
+  .row--error td, .row--cancelled td { background: #fef2f2; }
+</style>
+</head>
+<body>
+<main>
+  <h1>OPC UA Batch Probe Report</h1>
+  <p>${escapeHtml(report.items.length)} server(s), concurrency ${escapeHtml(report.concurrency)}: ${escapeHtml(countText)}.
+     Started ${escapeHtml(report.startedAt)}, finished ${escapeHtml(report.finishedAt)}.</p>
+  <table>
+    <thead><tr><th>Server</th><th>Node</th><th>Status</th><th>Endpoints</th><th>Security</th><th>Subscription</th><th>Callbacks</th><th>Duration</th><th>Error</th><th></th></tr></thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</main>
+</body>
+</html>
+`;
+}
+
+// Writes opcua-batch_<timestamp>.json/.html into logsDir; returns their paths
+function writeBatchReport(logsDir, batch) {
+  const report = {
+    reportVersion: 1,
+    kind: 'batch',
+    tool: { name: pkg.name, version: pkg.version },
+    startedAt: batch.startedAt,
+    finishedAt: batch.finishedAt,
+    concurrency: batch.concurrency,
+    inventoryFile: batch.inventoryFile || null,
+    items: batch.items
+  };
+  const base = path.join(logsDir, `opcua-batch_${batch.startedAt.replace(/[:.]/g, '-')}`);
+  fs.mkdirSync(logsDir, { recursive: true });
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${base}.html`, renderBatchHtml(report));
+  return { json: `${base}.json`, html: `${base}.html` };
+}
+
+module.exports = { parseInventory, parseCredentials, runPool, writeBatchReport };
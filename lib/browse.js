@@ -0,0 +1,153 @@
+/**
+ * Address space browsing - a session the worker keeps open while the browser dialog
+ * is shown. Children are browsed lazily, one node at a time, and returned with the
+ * attributes the dialog displays (BrowseName, NodeClass, DataType, AccessLevel, value).
+ */
+
+const {
+  OPCUAClient,
+  AttributeIds,
+  BrowseDirection,
+  NodeClass,
+  DataType,
+  accessLevelFlagToString
+} = require('node-opcua');
+
+// Vendor servers can have folders with thousands of tags; the dialog only needs a page of them
+const MAX_CHILDREN = 500;
+const MAX_VALUE_LENGTH = 120;
+
+async function openBrowseSession(endpointUrl, userIdentity) {
+  const client = OPCUAClient.create({
+    keepSessionAlive: true,
+    connectionStrategy: { initialDelay: 1000, maxRetry: 0 }
+  });
+  await client.connect(endpointUrl);
+  try {
+    const session = await client.createSession(userIdentity);
+    return { client, session };
+  } catch (err) {
+    try { await client.disconnect(); } catch (e) {}
+    throw err;
+  }
+}
+
+async function closeBrowseSession(handle) {
+  if (!handle) return;
+  try { await handle.session.close(); } catch (e) {}
+  try { await handle.client.disconnect(); } catch (e) {}
+}
+
+function formatValue(dataValue) {
+  if (!dataValue) return '';
+  if (dataValue.statusCode && dataValue.statusCode.value !== 0) return dataValue.statusCode.name;
+  const variant = dataValue.value;
+  if (!variant || variant.value === null || variant.value === undefined) return '';
+  const v = variant.value;
+  let text;
+  if (Array.isArray(v) || ArrayBuffer.isView(v)) {
+    text = `[${v.length}] ${Array.from(v).slice(0, 10).join(', ')}${v.length > 10 ? ', ...' : ''}`;
+  } else if (v instanceof Date) {
+    text = v.toISOString();
+  } else if (typeof v === 'object') {
+    // LocalizedText shows its text; structures (BuildInfo, ...) as compact JSON
+    text = 'text' in v ? String(v.text ?? '') : JSON.stringify(v);
+  } else {
+    text = String(v);
+  }
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 3)}...` : text;
+}
+
+// DataType attributes are NodeIds; standard types are named locally, others are looked up
+async function resolveDataTypeNames(session, dataTypeIds) {
+  const names = new Map();
+  const unknown = [];
+  for (const id of dataTypeIds) {
+    const key = id.toString();
+    if (names.has(key)) continue;
+    if (id.namespace === 0 && typeof id.value === 'number' && DataType[id.value]) {
+      names.set(key, DataType[id.value]);
+    } else {
+      names.set(key, key);
+      unknown.push(id);
+    }
+  }
+  if (unknown.length > 0) {
+    const results = await session.read(unknown.map(nodeId => ({ nodeId, attributeId: AttributeIds.BrowseName })));
+    results.forEach((dv, i) => {
+      if (dv.value && dv.value.value) names.set(unknown[i].toString(), dv.value.value.name || String(dv.value.value));
+    });
+  }
+  return names;
+}
+
+// Resolves { references, truncated }: at most MAX_CHILDREN references, truncated when the
+// server had more (a continuation point left, or more in the responses than the cap)
+async function browseAll(session, nodeId) {
+  let result = await session.browse({
+    nodeId,
+    browseDirection: BrowseDirection.Forward,
+    referenceTypeId: 'HierarchicalReferences',
+    includeSubtypes: true,
+    nodeClassMask: 0,
+    resultMask: 63
+  });
+  if (result.statusCode && result.statusCode.value !== 0) {
+    throw new Error(`Browse failed: ${result.statusCode.name}`);
+  }
+  const references = [...(result.references || [])];
+  while (result.continuationPoint && result.continuationPoint.length && references.length < MAX_CHILDREN) {
+    result = await session.browseNext(result.continuationPoint, false);
+    references.push(...(result.references || []));
+  }
+  const more = !!(result.continuationPoint && result.continuationPoint.length);
+  if (more) {
+    try { await session.browseNext(result.continuationPoint, true); } catch (e) {}
+  }
+  return { references: references.slice(0, MAX_CHILDREN), truncated: more || references.length > MAX_CHILDREN };
+}
+
+/**
+ * Returns { nodeId, truncated, children: [{ nodeId, browseName, displayName, nodeClass,
+ * dataType, accessLevel, value }] } for the hierarchical children of nodeId.
+ */
+async function browseChildren(session, nodeId = 'ObjectsFolder') {
+  const { references, truncated } = await browseAll(session, nodeId);
+  const children = references.map(ref => ({
+    nodeId: ref.nodeId.toString(),
+    browseName: ref.browseName.toString(),
+    displayName: (ref.displayName && ref.displayName.text) || ref.browseName.name,
+    nodeClass: NodeClass[ref.nodeClass] || String(ref.nodeClass),
+    dataType: null,
+    accessLevel: null,
+    value: null
+  }));
+
+  const variables = children.filter(c => c.nodeClass === 'Variable');
+  if (variables.length > 0) {
+    const attributes = [AttributeIds.Value, AttributeIds.DataType, AttributeIds.AccessLevel];
+    const reads = [];
+    for (const v of variables) {
+      for (const attributeId of attributes) reads.push({ nodeId: v.nodeId, attributeId });
+    }
+    const values = await session.read(reads);
+    const dataTypeIds = [];
+    variables.forEach((v, i) => {
+      const [value, dataType, accessLevel] = values.slice(i * 3, i * 3 + 3);
+      v.value = formatValue(value);
+      v.dataType = dataType.value && dataType.value.value ? dataType.value.value : null;
+      if (v.dataType) dataTypeIds.push(v.dataType);
+      v.accessLevel = accessLevel.value && typeof accessLevel.value.value === 'number'
+        ? accessLevelFlagToString(accessLevel.value.value)
+        : null;
+    });
+    const names = await resolveDataTypeNames(session, dataTypeIds);
+    for (const v of variables) {
+      if (v.dataType) v.dataType = names.get(v.dataType.toString());
+    }
+  }
+
+  return { nodeId: String(nodeId), truncated, children };
+}
+
+module.exports = { openBrowseSession, closeBrowseSession, browseChildren };
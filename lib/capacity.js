@@ -0,0 +1,278 @@
+/**
+ * Capacity test - finds how many sessions, subscriptions and monitored items the server
+ * really grants, for commissioning before BadTooManySessions/BadTooManySubscriptions turn
+ * up in production. Opt-in and bounded: each phase adds one resource at a time (monitored
+ * items in small batches) up to the cap the user set, stops at the first rejection, and
+ * releases everything it created before the next phase starts.
+ *
+ * config.capacity = { sessions, subscriptions, monitoredItems }: the caps; a missing or
+ * empty cap skips that phase. All sessions share one secure channel, so the session phase
+ * measures the session limit rather than the connection limit. Subscriptions are created
+ * with publishing disabled and monitored items in the Disabled mode, so the test counts
+ * against the limits without loading the server with sampling or notifications.
+ */
+
+const { OPCUAClient, AttributeIds, MonitoringMode, TimestampsToReturn } = require('node-opcua');
+const { decodeStatusCode } = require('./statuscodes');
+const { readServerSnapshot } = require('./snapshot');
+const { closeLateSession } = require('./sessions');
+
+const CAPACITY_TIMEOUT_MS = 15000;
+const ITEMS_PER_CALL = 100;
+
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${CAPACITY_TIMEOUT_MS} ms`)), CAPACITY_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function serviceFailure(response) {
+  const result = response && response.responseHeader && response.responseHeader.serviceResult;
+  return result && result.value !== 0 ? result : null;
+}
+
+// One phase's record; stopPhase() fills in the first rejection, the cleanup released/releaseError
+function createPhase(cap, headroom) {
+  return {
+    cap,
+    reached: 0,
+    rejected: false,
+    statusCode: null,
+    status: null,
+    error: null,
+    headroom,
+    belowAdvertised: false,
+    durationMs: 0,
+    released: true,
+    releaseError: null
+  };
+}
+
+function stopPhase(phase, source) {
+  phase.rejected = true;
+  phase.status = decodeStatusCode(source);
+  phase.statusCode = phase.status ? phase.status.name : null;
+  phase.error = source instanceof Error ? source.message.trim() : null;
+  // A NodeId the server does not know says nothing about its limits
+  phase.belowAdvertised = phase.headroom !== null && phase.reached < phase.headroom && !/^BadNodeId/.test(phase.statusCode || '');
+}
+
+// The smallest non-zero limit, or null when none is advertised (0 means "no limit")
+function tightest(...limits) {
+  const set = limits.filter(v => typeof v === 'number' && v > 0);
+  return set.length > 0 ? Math.min(...set) : null;
+}
+
+async function testSessions(client, userIdentity, cap, phase) {
+  // The session the test already holds counts towards the cap
+  const sessions = [];
+  let late = null;
+  phase.reached = 1;
+  try {
+    while (phase.reached < cap) {
+      const pending = client.createSession(userIdentity);
+      try {
+        sessions.push(await withTimeout(pending, 'createSession'));
+        phase.reached++;
+      } catch (err) {
+        stopPhase(phase, err);
+        // A late session would count against the very limit being measured
+        late = closeLateSession(pending);
+        break;
+      }
+    }
+  } finally {
+    if (late) {
+      try {
+        await withTimeout(late, 'Late createSession');
+      } catch (err) {
+        phase.released = false;
+        phase.releaseError = String(err);
+      }
+    }
+    for (const session of sessions) {
+      try {
+        await withTimeout(session.close(), 'CloseSession');
+      } catch (err) {
+        phase.released = false;
+        phase.releaseError = String(err);
+      }
+    }
+  }
+}
+
+async function deleteSubscriptions(session, subscriptionIds, phase) {
+  for (let start = 0; start < subscriptionIds.length; start += ITEMS_PER_CALL) {
+    try {
+      const response = await withTimeout(session.deleteSubscriptions({
+        subscriptionIds: subscriptionIds.slice(start, start + ITEMS_PER_CALL)
+      }), 'DeleteSubscriptions');
+      const failed = (response.results || []).find(s => s.value !== 0);
+      if (failed) throw new Error(`DeleteSubscriptions returned ${failed.name}`);
+    } catch (err) {
+      phase.released = false;
+      phase.releaseError = String(err);
+    }
+  }
+}
+
+function createIdleSubscription(session) {
+  return withTimeout(session.createSubscription({
+    requestedPublishingInterval: 1000,
+    requestedLifetimeCount: 600,
+    requestedMaxKeepAliveCount: 20,
+    maxNotificationsPerPublish: 0,
+    publishingEnabled: false,
+    priority: 0
+  }), 'CreateSubscription');
+}
+
+async function testSubscriptions(session, cap, phase) {
+  const subscriptionIds = [];
+  try {
+    while (phase.reached < cap) {
+      try {
+        const response = await createIdleSubscription(session);
+        const failure = serviceFailure(response);
+        if (failure) {
+          stopPhase(phase, { statusCode: failure });
+          break;
+        }
+        subscriptionIds.push(response.subscriptionId);
+        phase.reached++;
+      } catch (err) {
+        stopPhase(phase, err);
+        break;
+      }
+    }
+  } finally {
+    await deleteSubscriptions(session, subscriptionIds, phase);
+  }
+}
+
+async function testMonitoredItems(session, cap, nodeId, itemsPerCall, phase) {
+  // The items need a subscription of their own; if even that is refused, no item fits
+  let subscriptionId;
+  try {
+    const response = await createIdleSubscription(session);
+    const failure = serviceFailure(response);
+    if (failure) return stopPhase(phase, { statusCode: failure });
+    subscriptionId = response.subscriptionId;
+  } catch (err) {
+    return stopPhase(phase, err);
+  }
+  try {
+    while (phase.reached < cap) {
+      const batch = Math.min(itemsPerCall, cap - phase.reached);
+      const itemsToCreate = [];
+      for (let i = 0; i < batch; i++) {
+        itemsToCreate.push({
+          itemToMonitor: { nodeId, attributeId: AttributeIds.Value },
+          monitoringMode: MonitoringMode.Disabled,
+          requestedParameters: { clientHandle: phase.reached + i + 1, samplingInterval: 1000, queueSize: 1, discardOldest: true }
+        });
+      }
+      let results;
+      try {
+        const created = await withTimeout(session.createMonitoredItems({
+          subscriptionId,
+          timestampsToReturn: TimestampsToReturn.Neither,
+          itemsToCreate
+        }), 'CreateMonitoredItems');
+        const callFailure = serviceFailure(created);
+        if (callFailure) {
+          stopPhase(phase, { statusCode: callFailure });
+          break;
+        }
+        results = created.results || [];
+      } catch (err) {
+        stopPhase(phase, err);
+        break;
+      }
+      // Items after the first rejected one in a batch are not counted, even if accepted
+      const rejectedAt = results.findIndex(r => r.statusCode.value !== 0);
+      phase.reached += rejectedAt < 0 ? results.length : rejectedAt;
+      if (rejectedAt >= 0) {
+        stopPhase(phase, results[rejectedAt]);
+        break;
+      }
+    }
+  } finally {
+    // Deleting the subscription deletes its monitored items with it
+    await deleteSubscriptions(session, [subscriptionId], phase);
+  }
+}
+
+async function runPhase(phase, fn) {
+  const started = Date.now();
+  try {
+    await fn();
+  } finally {
+    phase.durationMs = Date.now() - started;
+  }
+}
+
+/**
+ * Runs the phases of resolveCapacity() caps against endpointUrl; nodeId is the node the
+ * monitored items watch. Resolves
+ * { caps, advertised: [{ key, label, value }], sessionsBefore, subscriptionsBefore,
+ *   sessions, subscriptions, monitoredItems }
+ * where each phase is null when skipped, or { cap, reached, rejected, statusCode, status,
+ * error, headroom, belowAdvertised, durationMs, released, releaseError }. reached counts
+ * what this test held at once (for sessions, including the one it reads the limits with);
+ * headroom is how many it should have reached by the advertised limits (null when none
+ * applies). sessionsBefore/subscriptionsBefore are the server's counts before the test.
+ */
+async function runCapacityTest({ endpointUrl, userIdentity, caps, nodeId }) {
+  const client = OPCUAClient.create({
+    endpointMustExist: false,
+    connectionStrategy: { initialDelay: 1000, maxRetry: 0 }
+  });
+  const result = { caps, advertised: [], sessionsBefore: null, subscriptionsBefore: null, sessions: null, subscriptions: null, monitoredItems: null };
+  let session;
+  try {
+    await withTimeout(client.connect(endpointUrl), 'connect');
+    session = await withTimeout(client.createSession(userIdentity), 'createSession');
+
+    const snapshot = await withTimeout(readServerSnapshot(session), 'Server capabilities read');
+    const limit = (key) => {
+      const entry = snapshot.limits.find(l => l.key === key);
+      return entry && typeof entry.value === 'number' ? entry.value : null;
+    };
+    result.advertised = snapshot.limits
+      .filter(l => l.value !== null && /^MaxSessions$|^MaxSubscriptions|^MaxMonitoredItems/.test(l.key))
+      .map(({ key, label, value }) => ({ key, label, value }));
+    const counters = snapshot.diagnostics.summary;
+    result.sessionsBefore = counters ? counters.currentSessionCount : null;
+    result.subscriptionsBefore = counters ? counters.currentSubscriptionCount : null;
+
+    if (caps.sessions) {
+      // Sessions other clients hold count against the limit too; our own is in sessionsBefore
+      const maxSessions = limit('MaxSessions');
+      const headroom = maxSessions > 0 && result.sessionsBefore !== null ? maxSessions - result.sessionsBefore + 1 : null;
+      result.sessions = createPhase(caps.sessions, headroom === null ? null : Math.min(headroom, caps.sessions));
+      await runPhase(result.sessions, () => testSessions(client, userIdentity, caps.sessions, result.sessions));
+    }
+    if (caps.subscriptions) {
+      const total = limit('MaxSubscriptions');
+      const headroom = tightest(limit('MaxSubscriptionsPerSession'),
+        total > 0 && result.subscriptionsBefore !== null ? total - result.subscriptionsBefore : null);
+      result.subscriptions = createPhase(caps.subscriptions, headroom === null ? null : Math.min(headroom, caps.subscriptions));
+      await runPhase(result.subscriptions, () => testSubscriptions(session, caps.subscriptions, result.subscriptions));
+    }
+    if (caps.monitoredItems) {
+      const headroom = tightest(limit('MaxMonitoredItemsPerSubscription'));
+      const itemsPerCall = tightest(ITEMS_PER_CALL, limit('MaxMonitoredItemsPerCall'));
+      result.monitoredItems = createPhase(caps.monitoredItems, headroom === null ? null : Math.min(headroom, caps.monitoredItems));
+      await runPhase(result.monitoredItems, () => testMonitoredItems(session, caps.monitoredItems, nodeId, itemsPerCall, result.monitoredItems));
+    }
+    return result;
+  } finally {
+    try { if (session) await session.close(); } catch (e) {}
+    try { await client.disconnect(); } catch (e) {}
+  }
+}
+
+module.exports = { runCapacityTest };
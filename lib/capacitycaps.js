@@ -0,0 +1,38 @@
+/**
+ * Capacity test caps - config.capacity resolved and bounded, kept apart from lib/capacity so
+ * the CLI can validate them without loading node-opcua (which prints its warnings to stdout
+ * and would break --json).
+ */
+
+// Upper bounds for the caps, so a typo cannot open thousands of sessions on a live server
+const CAPACITY_CEILINGS = { sessions: 200, subscriptions: 1000, monitoredItems: 50000 };
+const CAPACITY_PHASES = [
+  ['sessions', 'Sessions'],
+  ['subscriptions', 'Subscriptions'],
+  ['monitoredItems', 'Monitored items']
+];
+
+/**
+ * Resolves cfg.capacity into { sessions, subscriptions, monitoredItems } (a cap per phase,
+ * null when the phase is off), or null when no cap is set. Throws on caps that are not
+ * positive integers or exceed CAPACITY_CEILINGS.
+ */
+function resolveCapacity(cfg) {
+  const requested = cfg && cfg.capacity;
+  if (!requested) return null;
+  const caps = {};
+  for (const [key, label] of CAPACITY_PHASES) {
+    const value = requested[key];
+    if (value === undefined || value === null || value === '' || value === 0) {
+      caps[key] = null;
+      continue;
+    }
+    const n = Number(value);
+    if (!Number.isInteger(n) || n <= 0) throw new Error(`Invalid ${label.toLowerCase()} cap "${value}" for the capacity test`);
+    if (n > CAPACITY_CEILINGS[key]) throw new Error(`The ${label.toLowerCase()} cap for the capacity test is at most ${CAPACITY_CEILINGS[key]}`);
+    caps[key] = n;
+  }
+  return Object.values(caps).some(Boolean) ? caps : null;
+}
+
+module.exports = { CAPACITY_CEILINGS, CAPACITY_PHASES, resolveCapacity };
@@ -0,0 +1,164 @@
+/**
+ * Server certificate inspection - decodes the DER certificates returned in
+ * endpoint descriptions and flags the usual reasons secure channels fail
+ * (expired certs, hostname not in SANs, ApplicationUri mismatch, weak keys).
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+// Signature algorithm OIDs seen on OPC UA application instance certificates
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.4': 'md5WithRSAEncryption',
+  '1.2.840.113549.1.1.5': 'sha1WithRSAEncryption',
+  '1.2.840.113549.1.1.10': 'RSASSA-PSS',
+  '1.2.840.113549.1.1.11': 'sha256WithRSAEncryption',
+  '1.2.840.113549.1.1.12': 'sha384WithRSAEncryption',
+  '1.2.840.113549.1.1.13': 'sha512WithRSAEncryption',
+  '1.2.840.10045.4.3.2': 'ecdsa-with-SHA256',
+  '1.2.840.10045.4.3.3': 'ecdsa-with-SHA384',
+  '1.2.840.10045.4.3.4': 'ecdsa-with-SHA512'
+};
+
+// Reads one DER TLV header at offset; returns { tag, start (of content), length }
+function readTlv(buf, offset) {
+  const tag = buf[offset];
+  let len = buf[offset + 1];
+  let start = offset + 2;
+  if (len & 0x80) {
+    const n = len & 0x7f;
+    len = 0;
+    for (let i = 0; i < n; i++) len = (len * 256) + buf[start + i];
+    start += n;
+  }
+  return { tag, start, length: len };
+}
+
+function decodeOid(bytes) {
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (let i = 1; i < bytes.length; i++) {
+    value = (value * 128) + (bytes[i] & 0x7f);
+    if (!(bytes[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+// Certificate ::= SEQUENCE { tbsCertificate, signatureAlgorithm, signatureValue }
+function readSignatureAlgorithmOid(der) {
+  try {
+    const cert = readTlv(der, 0);
+    const tbs = readTlv(der, cert.start);
+    const algSeq = readTlv(der, tbs.start + tbs.length);
+    const oid = readTlv(der, algSeq.start);
+    if (oid.tag !== 0x06) return null;
+    return decodeOid(der.subarray(oid.start, oid.start + oid.length));
+  } catch (e) {
+    return null;
+  }
+}
+
+// "DNS:host, URI:urn:x, IP Address:10.0.0.1" -> { uris, dns, ips }
+function parseSubjectAltName(text) {
+  const san = { uris: [], dns: [], ips: [] };
+  for (const entry of String(text || '').split(/,\s*/)) {
+    const idx = entry.indexOf(':');
+    if (idx === -1) continue;
+    const kind = entry.slice(0, idx).trim();
+    const value = entry.slice(idx + 1).trim().replace(/^"|"$/g, '');
+    if (kind === 'URI') san.uris.push(value);
+    else if (kind === 'DNS') san.dns.push(value);
+    else if (kind === 'IP Address') san.ips.push(value);
+  }
+  return san;
+}
+
+// Collapses "C=FR\nO=Acme\nCN=Server" to "C=FR, O=Acme, CN=Server"
+function flattenName(name) {
+  return String(name || '').split('\n').filter(Boolean).join(', ');
+}
+
+function inspectCertificate(der) {
+  const cert = new crypto.X509Certificate(der);
+  const keyDetails = cert.publicKey.asymmetricKeyDetails || {};
+  const oid = readSignatureAlgorithmOid(der);
+  return {
+    thumbprint: cert.fingerprint.replace(/:/g, ''),
+    serialNumber: cert.serialNumber,
+    subject: flattenName(cert.subject),
+    issuer: flattenName(cert.issuer),
+    subjectAltName: parseSubjectAltName(cert.subjectAltName),
+    validFrom: new Date(cert.validFrom).toISOString(),
+    validTo: new Date(cert.validTo).toISOString(),
+    keyType: cert.publicKey.asymmetricKeyType,
+    keySize: keyDetails.modulusLength || null,
+    signatureAlgorithm: (oid && SIGNATURE_ALGORITHMS[oid]) || oid || 'Unknown',
+    selfSigned: cert.checkIssued(cert) && cert.verify(cert.publicKey)
+  };
+}
+
+function hostMatchesDns(host, pattern) {
+  const h = host.toLowerCase();
+  const p = pattern.toLowerCase();
+  if (p.startsWith('*.')) {
+    const suffix = p.slice(1);
+    return h.endsWith(suffix) && !h.slice(0, -suffix.length).includes('.');
+  }
+  return h === p;
+}
+
+/**
+ * Returns a list of { severity: 'error'|'warn', code, message } for a decoded certificate.
+ * context: { hostname, applicationUris: [...], now }
+ */
+function checkCertificate(info, context = {}) {
+  const issues = [];
+  const now = context.now || new Date();
+
+  if (now > new Date(info.validTo)) {
+    issues.push({ severity: 'error', code: 'Expired', message: `Certificate expired on ${info.validTo}.` });
+  } else if (now < new Date(info.validFrom)) {
+    issues.push({ severity: 'error', code: 'NotYetValid', message: `Certificate is not valid until ${info.validFrom}. Check clock synchronisation.` });
+  } else if (new Date(info.validTo) - now < 30 * 24 * 3600 * 1000) {
+    issues.push({ severity: 'warn', code: 'ExpiresSoon', message: `Certificate expires within 30 days (${info.validTo}).` });
+  }
+
+  const host = context.hostname;
+  if (host) {
+    const san = info.subjectAltName;
+    const matches = net.isIP(host)
+      ? san.ips.includes(host)
+      : san.dns.some(d => hostMatchesDns(host, d));
+    if (!matches) {
+      issues.push({
+        severity: 'warn',
+        code: 'HostnameMismatch',
+        message: `"${host}" is not listed in the certificate SANs (DNS: ${san.dns.join(', ') || 'none'}; IP: ${san.ips.join(', ') || 'none'}).`
+      });
+    }
+  }
+
+  for (const appUri of context.applicationUris || []) {
+    if (appUri && !info.subjectAltName.uris.includes(appUri)) {
+      issues.push({
+        severity: 'error',
+        code: 'ApplicationUriMismatch',
+        message: `Endpoint ApplicationUri "${appUri}" does not match the certificate URI SAN (${info.subjectAltName.uris.join(', ') || 'none'}).`
+      });
+    }
+  }
+
+  if (info.keyType === 'rsa' && info.keySize && info.keySize < 2048) {
+    issues.push({ severity: 'warn', code: 'WeakKey', message: `RSA key is only ${info.keySize} bits; Basic256Sha256 and newer policies require at least 2048.` });
+  }
+  if (/sha1|md5/i.test(info.signatureAlgorithm)) {
+    issues.push({ severity: 'warn', code: 'WeakSignature', message: `Signed with ${info.signatureAlgorithm}, which current security policies reject.` });
+  }
+
+  return issues;
+}
+
+module.exports = { inspectCertificate, checkCertificate, parseSubjectAltName };
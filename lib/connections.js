@@ -0,0 +1,98 @@
+/**
+ * Connection timeline - folds repeated socket-table polls into one entity per connection.
+ *
+ * A connection is keyed by its 4-tuple (plus protocol); each poll that still sees it moves
+ * lastSeen forward and any state change is appended to its states list. Durations are
+ * inferred from first/last sighting, so they are lower bounds accurate to one poll interval.
+ *
+ * Direction: only the passive side of a connection is ever in SYN_RECEIVED, and a
+ * connection whose local port is a listening port was accepted by us - both are inbound.
+ * SYN_SENT or an ephemeral local port means this machine opened it (outbound).
+ */
+
+function connectionKey(s) {
+  return `${s.proto}|${s.localAddress}:${s.localPort}|${s.remoteAddress}:${s.remotePort}`;
+}
+
+function inferDirection(socket, listeningPorts) {
+  if (socket.state === 'SYN_RECEIVED') return 'inbound';
+  if (socket.state === 'SYN_SENT') return 'outbound';
+  return listeningPorts.has(String(socket.localPort)) ? 'inbound' : 'outbound';
+}
+
+/**
+ * matches(socket) selects the sockets to track (e.g. those whose remote address is the server).
+ * seedListeners are LISTENING records captured earlier, so short-lived listeners still count.
+ */
+function createConnectionTracker(matches, seedListeners = []) {
+  const listeningPorts = new Set(seedListeners.map(l => String(l.localPort)));
+  const entities = new Map();
+  let lastPollAt = null;
+
+  return {
+    // Feeds one poll of listSockets(); at is the poll time in ms
+    observe(sockets, at = Date.now()) {
+      lastPollAt = at;
+      for (const s of sockets) {
+        if (s.state === 'LISTENING') listeningPorts.add(String(s.localPort));
+      }
+      for (const s of sockets) {
+        if (s.state === 'LISTENING' || !matches(s)) continue;
+        const key = connectionKey(s);
+        let entity = entities.get(key);
+        if (!entity) {
+          entity = {
+            proto: s.proto,
+            localAddress: s.localAddress,
+            localPort: s.localPort,
+            remoteAddress: s.remoteAddress,
+            remotePort: s.remotePort,
+            pid: s.pid,
+            direction: inferDirection(s, listeningPorts),
+            firstSeenAt: at,
+            lastSeenAt: at,
+            polls: 0,
+            states: [{ state: s.state, atMs: 0 }]
+          };
+          entities.set(key, entity);
+        }
+        entity.lastSeenAt = at;
+        entity.polls += 1;
+        if (s.pid && !entity.pid) entity.pid = s.pid;
+        if (entity.states[entity.states.length - 1].state !== s.state) {
+          entity.states.push({ state: s.state, atMs: at - entity.firstSeenAt });
+        }
+        // A later SYN_RECEIVED sighting settles the direction even if the first poll missed it
+        if (s.state === 'SYN_RECEIVED') entity.direction = 'inbound';
+      }
+    },
+
+    /**
+     * Returns the tracked connections, oldest first:
+     * { proto, localAddress, localPort, remoteAddress, remotePort, pid, direction, timestamp,
+     *   firstSeen, lastSeen, durationMs, polls, state, states: [{ state, atMs }], open }
+     * timestamp/state mirror firstSeen/latest state for code that reads the old flat records.
+     */
+    connections() {
+      return [...entities.values()]
+        .sort((a, b) => a.firstSeenAt - b.firstSeenAt)
+        .map(({ firstSeenAt, lastSeenAt, ...entity }) => ({
+          ...entity,
+          timestamp: new Date(firstSeenAt).toISOString(),
+          firstSeen: new Date(firstSeenAt).toISOString(),
+          lastSeen: new Date(lastSeenAt).toISOString(),
+          durationMs: lastSeenAt - firstSeenAt,
+          state: entity.states[entity.states.length - 1].state,
+          states: entity.states.map(s => ({ ...s })),
+          open: lastSeenAt === lastPollAt
+        }));
+    }
+  };
+}
+
+// Connections the server opened towards us; records without a direction (older reports) count too
+function inboundConnections(connections) {
+  return (connections || []).filter(c => c.direction !== 'outbound');
+}
+
+module.exports = { createConnectionTracker, inboundConnections, connectionKey };
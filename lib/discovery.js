@@ -0,0 +1,120 @@
+/**
+ * Discovery - asks a Local Discovery Server (or any server) which applications it knows
+ * about via FindServers and FindServersOnNetwork, then checks that every advertised
+ * discovery URL still answers a UA TCP Hello. Registrations whose URLs no longer answer
+ * are flagged as stale (the LDS keeps them until the registration times out).
+ */
+
+const { OPCUAClient, ApplicationType } = require('node-opcua');
+const { runPreflight } = require('./preflight');
+const { runPool } = require('./batch');
+
+const DEFAULT_DISCOVERY_PORT = 4840;
+const URL_CHECK_TIMEOUT_MS = 3000;
+const URL_CHECK_CONCURRENCY = 8;
+
+// Accepts "host", "host:port" or a full opc.tcp:// URL; the LDS port is the default
+function normalizeDiscoveryUrl(text) {
+  let url = String(text || '').trim();
+  if (!url) throw new Error('discovery server missing');
+  if (!/^opc\.tcp:\/\//i.test(url)) url = `opc.tcp://${url}`;
+  const parsed = new URL(url);
+  if (!parsed.port) parsed.port = String(DEFAULT_DISCOVERY_PORT);
+  return `opc.tcp://${parsed.host}${parsed.pathname === '/' ? '' : parsed.pathname}`;
+}
+
+function statusName(err) {
+  if (err && err.statusCode && err.statusCode.name) return err.statusCode.name;
+  const m = String(err && err.message || err).match(/\b(Bad[A-Za-z]+)\b/);
+  return m ? m[1] : null;
+}
+
+// Hello against one discovery URL; non opc.tcp URLs (https, opc.wss) are listed but not checked
+async function checkDiscoveryUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { url, checked: false, reachable: null, error: 'Not a valid URL' };
+  }
+  if (parsed.protocol !== 'opc.tcp:') {
+    return { url, checked: false, reachable: null, error: `${parsed.protocol.replace(/:$/, '')} URLs are not checked` };
+  }
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const preflight = await runPreflight(host, Number(parsed.port || DEFAULT_DISCOVERY_PORT), url, URL_CHECK_TIMEOUT_MS);
+  const failed = ['dns', 'tcp', 'hello'].find(layer => preflight[layer].ok === false);
+  return {
+    url,
+    checked: true,
+    reachable: !failed,
+    error: failed ? `${{ dns: 'DNS', tcp: 'TCP', hello: 'Hello' }[failed]}: ${preflight[failed].error}` : null
+  };
+}
+
+/**
+ * Returns { discoveryUrl, applications, onNetwork } where
+ *   applications: [{ applicationUri, productUri, applicationName, applicationType, discoveryUrls: [check], stale }]
+ *   onNetwork:    { supported, error, servers: [{ recordId, serverName, capabilities, discoveryUrl: check, stale }] }
+ * A check is { url, checked, reachable, error }; an entry is stale when none of its checked URLs answer.
+ */
+async function discoverServers(discoveryUrlText) {
+  const discoveryUrl = normalizeDiscoveryUrl(discoveryUrlText);
+  const client = OPCUAClient.create({
+    endpointMustExist: false,
+    connectionStrategy: { initialDelay: 1000, maxRetry: 0 }
+  });
+
+  let found;
+  const onNetwork = { supported: true, error: null, servers: [] };
+  await client.connect(discoveryUrl);
+  try {
+    found = await client.findServers();
+    try {
+      const records = await client.findServersOnNetwork();
+      onNetwork.servers = records.map(r => ({
+        recordId: r.recordId,
+        serverName: r.serverName,
+        capabilities: r.serverCapabilities || [],
+        discoveryUrl: r.discoveryUrl
+      }));
+    } catch (err) {
+      // Plain servers and non multicast-capable LDS builds do not implement this service
+      onNetwork.supported = false;
+      onNetwork.error = statusName(err) || String(err.message || err);
+    }
+  } finally {
+    try { await client.disconnect(); } catch (e) {}
+  }
+
+  const applications = found.map(app => ({
+    applicationUri: app.applicationUri,
+    productUri: app.productUri,
+    applicationName: (app.applicationName && app.applicationName.text) || '',
+    applicationType: ApplicationType[app.applicationType] || String(app.applicationType),
+    discoveryUrls: app.discoveryUrls || []
+  }));
+
+  // Check every distinct URL once, even when FindServers and FindServersOnNetwork share them
+  const urls = [...new Set([
+    ...applications.flatMap(a => a.discoveryUrls),
+    ...onNetwork.servers.map(s => s.discoveryUrl)
+  ])];
+  const checks = new Map();
+  await runPool(urls, URL_CHECK_CONCURRENCY, async (url) => {
+    checks.set(url, await checkDiscoveryUrl(url));
+  });
+
+  const isStale = list => list.some(c => c.checked) && !list.some(c => c.reachable);
+  for (const app of applications) {
+    app.discoveryUrls = app.discoveryUrls.map(url => checks.get(url));
+    app.stale = isStale(app.discoveryUrls);
+  }
+  for (const server of onNetwork.servers) {
+    server.discoveryUrl = checks.get(server.discoveryUrl);
+    server.stale = isStale([server.discoveryUrl]);
+  }
+
+  return { discoveryUrl, applications, onNetwork };
+}
+
+module.exports = { discoverServers, normalizeDiscoveryUrl, DEFAULT_DISCOVERY_PORT };
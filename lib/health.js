@@ -0,0 +1,78 @@
+/**
+ * Subscription health - records publish responses while a subscription is held open
+ * and reduces them to counts, interval statistics and sequence-number gaps.
+ *
+ * Keep-alive messages carry the next sequence number without consuming it, so a gap is
+ * any sequence number the server skipped between data messages (or before a keep-alive).
+ */
+
+// Missing sequence numbers kept per run; the count is always exact
+const MAX_MISSING_RECORDED = 50;
+
+function createHealthRecorder() {
+  let expectedSeq = null;
+  let lastResponseAt = null;
+  const intervals = [];
+  const missing = [];
+  const state = { notificationMessages: 0, keepAlives: 0, dataChanges: 0, sequenceGaps: 0, missingCount: 0, statusChanges: [] };
+
+  function noteMissing(from, to) {
+    state.sequenceGaps += 1;
+    state.missingCount += to - from;
+    for (let seq = from; seq < to && missing.length < MAX_MISSING_RECORDED; seq++) missing.push(seq);
+  }
+
+  return {
+    // Called for every PublishResponse (node-opcua "raw_notification")
+    onPublishResponse(notificationMessage, receivedAt = Date.now()) {
+      if (lastResponseAt !== null) intervals.push(receivedAt - lastResponseAt);
+      lastResponseAt = receivedAt;
+
+      const seq = notificationMessage.sequenceNumber;
+      const isKeepAlive = (notificationMessage.notificationData || []).length === 0;
+      if (isKeepAlive) {
+        state.keepAlives += 1;
+        if (expectedSeq !== null && seq > expectedSeq) noteMissing(expectedSeq, seq);
+        expectedSeq = seq;
+      } else {
+        state.notificationMessages += 1;
+        if (expectedSeq !== null && seq > expectedSeq) noteMissing(expectedSeq, seq);
+        expectedSeq = seq + 1;
+      }
+    },
+
+    onDataChange() {
+      state.dataChanges += 1;
+    },
+
+    onStatusChange(status) {
+      state.statusChanges.push({ at: new Date().toISOString(), status: String(status) });
+    },
+
+    // Sequence numbers reported missing so far (for republish requests)
+    missingSequenceNumbers() {
+      return [...missing];
+    },
+
+    summary() {
+      const count = intervals.length;
+      return {
+        notificationMessages: state.notificationMessages,
+        keepAlives: state.keepAlives,
+        dataChanges: state.dataChanges,
+        publishIntervals: count === 0 ? null : {
+          count,
+          minMs: Math.min(...intervals),
+          avgMs: Math.round(intervals.reduce((a, b) => a + b, 0) / count),
+          maxMs: Math.max(...intervals)
+        },
+        sequenceGaps: state.sequenceGaps,
+        missingCount: state.missingCount,
+        missingSequenceNumbers: [...missing],
+        statusChanges: state.statusChanges
+      };
+    }
+  };
+}
+
+module.exports = { createHealthRecorder };
@@ -0,0 +1,142 @@
+/**
+ * Probe history - lists past runs from the JSON reports in the logs folder
+ * and diffs two runs of the same server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { inboundConnections } = require('./connections');
+
+const REPORT_PATTERN = /^opcua-endpoint-diagnostic_.+\.json$/;
+
+// Report ids are bare file names; anything with a path component is rejected
+function reportPath(logsDir, id) {
+  if (typeof id !== 'string' || path.basename(id) !== id || !REPORT_PATTERN.test(id)) {
+    throw new Error(`Invalid report id "${id}"`);
+  }
+  return path.join(logsDir, id);
+}
+
+// A run whose subscription step was turned off passes when it completed
+function runPassed(report) {
+  const result = report.result || {};
+  const subscriptionSkipped = (result.skippedSteps || []).some(step => step.key === 'subscription');
+  return report.status === 'completed' &&
+    (subscriptionSkipped || !!(result.subscriptionResult && result.subscriptionResult.success));
+}
+
+async function loadRun(logsDir, id) {
+  const text = await fs.promises.readFile(reportPath(logsDir, id), 'utf8');
+  return JSON.parse(text);
+}
+
+// Newest first; unreadable reports are skipped rather than failing the whole list
+async function listRuns(logsDir) {
+  let names;
+  try {
+    names = await fs.promises.readdir(logsDir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  const runs = [];
+  for (const name of names.filter(n => REPORT_PATTERN.test(n))) {
+    try {
+      const report = await loadRun(logsDir, name);
+      const cfg = report.config || {};
+      runs.push({
+        id: name,
+        server: cfg.server || '',
+        port: cfg.port || '',
+        startedAt: report.startedAt,
+        durationMs: report.durationMs,
+        status: report.status,
+        passed: runPassed(report),
+        errorCount: (report.errors || []).length
+      });
+    } catch (e) { /* partial or foreign file */ }
+  }
+  return runs.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+}
+
+function diffSets(before, after) {
+  const a = new Set(before);
+  const b = new Set(after);
+  return {
+    added: [...b].filter(x => !a.has(x)),
+    removed: [...a].filter(x => !b.has(x))
+  };
+}
+
+function policyName(uri) {
+  const s = String(uri || 'Unknown');
+  const idx = s.lastIndexOf('#');
+  return idx >= 0 ? s.slice(idx + 1) : s;
+}
+
+function modeName(mode) {
+  const modes = { 1: 'None', 2: 'Sign', 3: 'SignAndEncrypt' };
+  return modes[mode] || String(mode);
+}
+
+function endpointKeys(result) {
+  return (result.endpoints || []).map(e =>
+    `${e.endpointUrl} ${policyName(e.securityPolicyUri)}/${modeName(e.securityMode)}`);
+}
+
+function listenerKeys(result) {
+  return [...(result.beforeListeners || []), ...(result.afterListeners || [])]
+    .map(l => (String(l.localAddress).includes(':') ? `[${l.localAddress}]:${l.localPort}` : `${l.localAddress}:${l.localPort}`));
+}
+
+function matrixOutcomes(result) {
+  const map = new Map();
+  for (const r of result.securityMatrix || []) {
+    map.set(`${policyName(r.securityPolicyUri)}/${modeName(r.securityMode)}`, r.success ? 'OK' : (r.statusCode || 'FAILED'));
+  }
+  return map;
+}
+
+/**
+ * Compares two reports (older first). Returns a structured diff:
+ * { sameServer, endpoints, listeners, securityMatrix, subscription, callbacks }
+ */
+function diffRuns(older, newer) {
+  const a = older.result || {};
+  const b = newer.result || {};
+  const cfgA = older.config || {};
+  const cfgB = newer.config || {};
+
+  const matrixA = matrixOutcomes(a);
+  const matrixB = matrixOutcomes(b);
+  const matrixChanges = [];
+  for (const key of new Set([...matrixA.keys(), ...matrixB.keys()])) {
+    const before = matrixA.get(key) || 'not tested';
+    const after = matrixB.get(key) || 'not tested';
+    if (before !== after) matrixChanges.push({ combination: key, before, after });
+  }
+
+  const subA = a.subscriptionResult || {};
+  const subB = b.subscriptionResult || {};
+  const callbacksA = inboundConnections(a.connections).length;
+  const callbacksB = inboundConnections(b.connections).length;
+
+  return {
+    sameServer: cfgA.server === cfgB.server && String(cfgA.port) === String(cfgB.port),
+    older: { logFile: older.logFile, startedAt: older.startedAt, status: older.status, passed: runPassed(older) },
+    newer: { logFile: newer.logFile, startedAt: newer.startedAt, status: newer.status, passed: runPassed(newer) },
+    endpoints: diffSets(endpointKeys(a), endpointKeys(b)),
+    securityMatrix: matrixChanges,
+    listeners: diffSets(listenerKeys(a), listenerKeys(b)),
+    subscription: {
+      before: subA.success === undefined ? null : !!subA.success,
+      after: subB.success === undefined ? null : !!subB.success,
+      changed: !!subA.success !== !!subB.success,
+      errorAfter: subB.success ? null : (subB.error || null)
+    },
+    callbacks: { before: callbacksA, after: callbacksB, changed: callbacksA !== callbacksB }
+  };
+}
+
+module.exports = { listRuns, loadRun, diffRuns, endpointKeys };
@@ -0,0 +1,73 @@
+/**
+ * User identity helpers - turns the probe form's identity settings into a
+ * node-opcua userIdentityInfo, and keeps secrets out of anything that gets logged.
+ *
+ * Identity config shape (from the renderer):
+ *   { type: 'Anonymous' | 'UserName' | 'Certificate',
+ *     userName, password,                  // UserName
+ *     certificateFile, privateKeyFile }    // Certificate (PEM or DER cert, PEM key)
+ */
+
+const fs = require('fs');
+
+// Matches node-opcua's UserTokenType enum values
+const USER_TOKEN_TYPE = { Anonymous: 0, UserName: 1, Certificate: 2 };
+
+const REDACTED = '********';
+
+// Reads a certificate file and returns DER bytes (accepts PEM or raw DER)
+function readCertificateDer(file) {
+  const raw = fs.readFileSync(file);
+  const text = raw.toString('latin1');
+  const m = text.match(/-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/);
+  if (!m) return raw;
+  return Buffer.from(m[1].replace(/\s+/g, ''), 'base64');
+}
+
+function buildUserIdentity(identity) {
+  const type = (identity && identity.type) || 'Anonymous';
+
+  if (type === 'Anonymous') {
+    return { type: USER_TOKEN_TYPE.Anonymous };
+  }
+
+  if (type === 'UserName') {
+    if (!identity.userName) throw new Error('UserName identity requires a user name');
+    return {
+      type: USER_TOKEN_TYPE.UserName,
+      userName: identity.userName,
+      password: identity.password || ''
+    };
+  }
+
+  if (type === 'Certificate') {
+    if (!identity.certificateFile || !identity.privateKeyFile) {
+      throw new Error('Certificate identity requires a certificate file and a private key file');
+    }
+    return {
+      type: USER_TOKEN_TYPE.Certificate,
+      certificateData: readCertificateDer(identity.certificateFile),
+      privateKey: fs.readFileSync(identity.privateKeyFile, 'utf8')
+    };
+  }
+
+  throw new Error(`Unsupported identity type "${type}"`);
+}
+
+// One-line description safe for log files and UI ("UserName (operator)")
+function describeIdentity(identity) {
+  const type = (identity && identity.type) || 'Anonymous';
+  if (type === 'UserName') return `UserName (${identity.userName || '?'})`;
+  if (type === 'Certificate') return `Certificate (${identity.certificateFile || '?'})`;
+  return type;
+}
+
+// Returns a copy of a probe config with secrets replaced, for logging
+function redactConfig(cfg) {
+  if (!cfg || !cfg.identity) return cfg;
+  const identity = { ...cfg.identity };
+  if (identity.password) identity.password = REDACTED;
+  return { ...cfg, identity };
+}
+
+module.exports = { buildUserIdentity, describeIdentity, redactConfig };
@@ -0,0 +1,86 @@
+/**
+ * Monitored item specs - per-item sampling interval, queue size and deadband.
+ *
+ * Text form (UI NodeId field, CLI --node), options separated by "|":
+ *   ns=2;s=Tank1.Level | sampling=100 | queue=5 | deadband=0.5
+ *   ns=2;s=Tank1.Temp  | deadband=2%
+ * A bare NodeId uses the defaults (sampling = publishing interval, queue 10, no deadband).
+ */
+
+const DEFAULT_NODE_ID = 'ns=0;i=2258';
+const DEFAULT_QUEUE_SIZE = 10;
+
+function parseDeadband(text) {
+  const m = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(%)?$/);
+  if (!m) throw new Error(`Invalid deadband "${text}"`);
+  return { type: m[2] ? 'Percent' : 'Absolute', value: parseFloat(m[1]) };
+}
+
+// Parses one "nodeId | key=value | ..." line into a spec with only the options given
+function parseItemSpec(line) {
+  const [nodeId, ...options] = String(line).split('|').map(p => p.trim());
+  if (!nodeId) throw new Error(`Missing NodeId in "${line}"`);
+  const spec = { nodeId };
+  for (const option of options.filter(Boolean)) {
+    const [key, value = ''] = option.split('=').map(p => p.trim());
+    switch (key.toLowerCase()) {
+      case 'sampling':
+      case 'samplinginterval': {
+        const n = parseFloat(value);
+        if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid sampling interval "${value}" for ${nodeId}`);
+        spec.samplingInterval = n;
+        break;
+      }
+      case 'queue':
+      case 'queuesize': {
+        const n = parseInt(value, 10);
+        if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid queue size "${value}" for ${nodeId}`);
+        spec.queueSize = n;
+        break;
+      }
+      case 'deadband':
+        spec.deadband = parseDeadband(value);
+        break;
+      default:
+        throw new Error(`Unknown monitored item option "${key}" for ${nodeId}`);
+    }
+  }
+  return spec;
+}
+
+/**
+ * Resolves the items to monitor from a probe config, filling in defaults:
+ * cfg.monitoredItems (objects) > cfg.nodeIds (text lines) > cfg.nodeId.
+ */
+function resolveMonitoredItems(cfg) {
+  let specs;
+  if (Array.isArray(cfg.monitoredItems) && cfg.monitoredItems.length > 0) {
+    specs = cfg.monitoredItems;
+  } else if (Array.isArray(cfg.nodeIds) && cfg.nodeIds.length > 0) {
+    specs = cfg.nodeIds.map(parseItemSpec);
+  } else {
+    specs = [parseItemSpec(cfg.nodeId || DEFAULT_NODE_ID)];
+  }
+  return specs.map(spec => ({
+    nodeId: spec.nodeId,
+    samplingInterval: spec.samplingInterval ?? (cfg.publishingInterval || 250),
+    queueSize: spec.queueSize ?? DEFAULT_QUEUE_SIZE,
+    deadband: spec.deadband || null
+  }));
+}
+
+// Items with identical parameters can share one CreateMonitoredItems call
+function parameterKey(item) {
+  const deadband = item.deadband ? `${item.deadband.type}:${item.deadband.value}` : 'none';
+  return `${item.samplingInterval}/${item.queueSize}/${deadband}`;
+}
+
+function describeItem(item) {
+  const parts = [item.nodeId, `sampling ${item.samplingInterval} ms`, `queue ${item.queueSize}`];
+  if (item.deadband) {
+    parts.push(`deadband ${item.deadband.value}${item.deadband.type === 'Percent' ? '%' : ''}`);
+  }
+  return parts.join(', ');
+}
+
+module.exports = { parseItemSpec, resolveMonitoredItems, parameterKey, describeItem };
@@ -0,0 +1,221 @@
+/**
+ * Read/write/method checks - the services integrations use besides subscriptions: a Read of
+ * each listed node, an opt-in Write of a test value that is restored straight away, and a
+ * Call of one method with user-supplied arguments. Every operation keeps its status code
+ * and round-trip time. The node lines ("<nodeId> | write=<value>") are parsed by
+ * lib/operationspecs.
+ *
+ * The test value is converted to the DataType of the value read just before. Method
+ * arguments are plain values converted to the DataTypes of the method's InputArguments.
+ *
+ * Writes are only issued when operations.writesConfirmed is true: the UI sets it from its
+ * confirmation dialog, the CLI from --confirm-writes. Otherwise they are reported as skipped.
+ */
+
+const { AttributeIds, DataType, Variant, VariantArrayType, coerceInt64, coerceUInt64, coerceNodeId } = require('node-opcua');
+const { decodeStatusCode } = require('./statuscodes');
+
+const OPERATION_TIMEOUT_MS = 15000;
+const MAX_VALUE_LENGTH = 120;
+
+function hasWrites(operations) {
+  return !!operations && operations.nodes.some(n => n.writeValue !== undefined);
+}
+
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${OPERATION_TIMEOUT_MS} ms`)), OPERATION_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs fn and returns { statusCode, status, durationMs, ...fields } whether it resolves or throws;
+// fn resolves { statusCode (a node-opcua StatusCode), ...fields }
+async function timed(label, fn) {
+  const started = Date.now();
+  try {
+    const { statusCode, ...fields } = await withTimeout(fn(), label);
+    return { statusCode: statusCode.name, status: decodeStatusCode({ statusCode }), durationMs: Date.now() - started, ...fields };
+  } catch (err) {
+    return { statusCode: null, status: decodeStatusCode(err), error: String(err), durationMs: Date.now() - started };
+  }
+}
+
+// A short display form of a Variant's value
+function formatValue(variant) {
+  if (!variant || variant.value === null || variant.value === undefined) return '(null)';
+  let value = variant.value;
+  if (ArrayBuffer.isView(value)) value = Array.from(value);
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else text = Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+// Converts user text to a scalar of the given DataType; arrays and structures are not supported
+function coerceValue(text, dataType) {
+  const name = DataType[dataType];
+  const number = () => {
+    const n = Number(text);
+    if (text.trim() === '' || !Number.isFinite(n)) throw new Error(`"${text}" is not a number (${name})`);
+    return n;
+  };
+  switch (dataType) {
+    case DataType.Boolean:
+      if (/^(true|1)$/i.test(text)) return true;
+      if (/^(false|0)$/i.test(text)) return false;
+      throw new Error(`"${text}" is not a Boolean (use true or false)`);
+    case DataType.SByte:
+    case DataType.Byte:
+    case DataType.Int16:
+    case DataType.UInt16:
+    case DataType.Int32:
+    case DataType.UInt32: {
+      const n = number();
+      if (!Number.isInteger(n)) throw new Error(`"${text}" is not an integer (${name})`);
+      return n;
+    }
+    case DataType.Int64: return coerceInt64(number());
+    case DataType.UInt64: return coerceUInt64(number());
+    case DataType.Float:
+    case DataType.Double: return number();
+    case DataType.String: return text;
+    case DataType.DateTime: {
+      const date = new Date(text);
+      if (Number.isNaN(date.getTime())) throw new Error(`"${text}" is not a date/time`);
+      return date;
+    }
+    case DataType.NodeId: return coerceNodeId(text);
+    default:
+      throw new Error(`Writing or passing ${name || `DataType ${dataType}`} values is not supported`);
+  }
+}
+
+function toVariant(text, dataType, arrayType) {
+  if (arrayType !== undefined && arrayType !== VariantArrayType.Scalar) throw new Error('Array values are not supported');
+  return new Variant({ dataType, value: coerceValue(text, dataType) });
+}
+
+// Whether the value read back is the test value: Floats are compared at single precision and
+// Doubles with a relative tolerance, so rounding is not mistaken for the server changing the value
+function valuesMatch(actual, expected) {
+  if (!actual || actual.value === null || actual.value === undefined) return false;
+  const a = actual.value;
+  const e = expected.value;
+  if (typeof a === 'number' && typeof e === 'number') {
+    if (expected.dataType === DataType.Float) return Math.fround(a) === Math.fround(e);
+    if (expected.dataType === DataType.Double) return Math.abs(a - e) <= 1e-9 * Math.max(1, Math.abs(e));
+    return a === e;
+  }
+  if (a instanceof Date && e instanceof Date) return a.getTime() === e.getTime();
+  return formatValue(actual) === formatValue(expected);
+}
+
+function readValue(session, nodeId) {
+  return session.read({ nodeId, attributeId: AttributeIds.Value });
+}
+
+// Argument DataTypes that are subtypes of a built-in type (Part 3 / Part 4 simple types)
+const DATA_TYPE_ALIASES = { 288: DataType.UInt32, 289: DataType.UInt32, 290: DataType.Double, 294: DataType.DateTime, 295: DataType.String };
+
+// The built-in type to encode an argument with, from its declared DataType NodeId
+function argumentDataType(definition) {
+  const id = definition.dataType;
+  if (id.namespace === 0 && DataType[id.value] !== undefined) return id.value;
+  if (id.namespace === 0 && DATA_TYPE_ALIASES[id.value] !== undefined) return DATA_TYPE_ALIASES[id.value];
+  throw new Error(`Argument ${definition.name} has the DataType ${id.toString()}, which is not supported`);
+}
+
+/**
+ * Reads each node, writes its test value and restores the original (when confirmed), and
+ * calls the method. Resolves
+ * { writesConfirmed,
+ *   nodes: [{ nodeId, read, write, verify, restore }],
+ *   method: { objectId, methodId, arguments, call } | null }
+ * where read/write/verify/restore/call are { statusCode, status, durationMs, error?, ... }
+ * (read: value, dataType; verify: value, matches), and write is { skipped: reason } when
+ * it was not attempted. verify is null unless the write was accepted; restore is null when
+ * the write was not issued or the server rejected it with a Bad status.
+ */
+async function runOperations(session, operations) {
+  const nodes = [];
+  for (const spec of operations.nodes) {
+    let original = null;
+    const read = await timed('Read', async () => {
+      const dataValue = await readValue(session, spec.nodeId);
+      if (dataValue.statusCode.value === 0) original = dataValue.value;
+      return {
+        statusCode: dataValue.statusCode,
+        value: formatValue(dataValue.value),
+        dataType: dataValue.value ? DataType[dataValue.value.dataType] : null
+      };
+    });
+    const entry = { nodeId: spec.nodeId, read, write: null, verify: null, restore: null };
+    nodes.push(entry);
+    if (spec.writeValue === undefined) continue;
+
+    entry.testValue = spec.writeValue;
+    if (!operations.writesConfirmed) {
+      entry.write = { skipped: 'Writes were not confirmed' };
+      continue;
+    }
+    if (!original) {
+      entry.write = { skipped: 'The current value could not be read, so it could not be restored' };
+      continue;
+    }
+    let testVariant;
+    try {
+      testVariant = toVariant(spec.writeValue, original.dataType, original.arrayType);
+    } catch (err) {
+      entry.write = { skipped: err.message };
+      continue;
+    }
+
+    entry.write = await timed('Write', async () => ({
+      statusCode: await session.write({ nodeId: spec.nodeId, attributeId: AttributeIds.Value, value: { value: testVariant } })
+    }));
+    // Only an explicit Bad status proves the value was not written; after a timeout or a
+    // transport error the server may still have applied it, so the original is restored anyway
+    if (entry.write.statusCode !== null && entry.write.statusCode !== 'Good') continue;
+
+    if (entry.write.statusCode === 'Good') {
+      entry.verify = await timed('Read back', async () => {
+        const dataValue = await readValue(session, spec.nodeId);
+        return { statusCode: dataValue.statusCode, value: formatValue(dataValue.value), matches: valuesMatch(dataValue.value, testVariant) };
+      });
+    }
+    entry.restore = await timed('Restore', async () => ({
+      statusCode: await session.write({ nodeId: spec.nodeId, attributeId: AttributeIds.Value, value: { value: original } })
+    }));
+    entry.restore.value = formatValue(original);
+  }
+
+  let method = null;
+  if (operations.method) {
+    const { objectId, methodId, arguments: args } = operations.method;
+    method = { objectId, methodId, arguments: args, call: null };
+    method.call = await timed('Call', async () => {
+      const { inputArguments = [] } = await session.getArgumentDefinition(coerceNodeId(methodId));
+      if (args.length !== inputArguments.length) {
+        const declared = inputArguments.map(a => `${a.name}: ${a.dataType.namespace === 0 && DataType[a.dataType.value] || a.dataType.toString()}`);
+        throw new Error(`The method takes ${inputArguments.length} input argument(s) (${declared.join(', ') || 'none'}), ${args.length} given`);
+      }
+      const inputs = args.map((text, i) => {
+        const definition = inputArguments[i];
+        if (definition.valueRank > 0) throw new Error(`Argument ${definition.name} is an array, which is not supported`);
+        return toVariant(text, argumentDataType(definition));
+      });
+      const result = await session.call({ objectId: coerceNodeId(objectId), methodId: coerceNodeId(methodId), inputArguments: inputs });
+      return {
+        statusCode: result.statusCode,
+        inputArgumentResults: (result.inputArgumentResults || []).map(s => s.name),
+        outputArguments: (result.outputArguments || []).map(formatValue)
+      };
+    });
+  }
+
+  return { writesConfirmed: operations.writesConfirmed, nodes, method };
+}
+
+module.exports = { OPERATION_TIMEOUT_MS, hasWrites, runOperations };
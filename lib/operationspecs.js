@@ -0,0 +1,49 @@
+/**
+ * Read/write/method check specs - the node lines and method of config.operations, kept
+ * apart from lib/operations so the CLI can validate them without loading node-opcua
+ * (which prints its warnings to stdout and would break --json).
+ *
+ * Node lines (UI field, CLI --read), options separated by "|":
+ *   ns=2;s=Line1.Speed
+ *   ns=2;s=Line1.Setpoint | write=42.5
+ */
+
+// Parses one "nodeId | write=value" line into { nodeId, writeValue? }
+function parseOperationSpec(line) {
+  const [nodeId, ...options] = String(line).split('|').map(p => p.trim());
+  if (!nodeId) throw new Error(`Missing NodeId in "${line}"`);
+  const spec = { nodeId };
+  for (const option of options.filter(Boolean)) {
+    const eq = option.indexOf('=');
+    const key = (eq >= 0 ? option.slice(0, eq) : option).trim();
+    const value = eq >= 0 ? option.slice(eq + 1).trim() : '';
+    if (key.toLowerCase() !== 'write') throw new Error(`Unknown operation option "${key}" for ${nodeId}`);
+    if (value === '') throw new Error(`Missing test value in "write=" for ${nodeId}`);
+    spec.writeValue = value;
+  }
+  return spec;
+}
+
+/**
+ * Resolves cfg.operations ({ nodes: [text lines], method: { objectId, methodId, arguments },
+ * writesConfirmed }) into { nodes, method, writesConfirmed }, or null when there is nothing
+ * to check. Throws on malformed lines or a method without its object.
+ */
+function resolveOperations(cfg) {
+  const ops = cfg && cfg.operations;
+  if (!ops) return null;
+  const nodes = (ops.nodes || []).map(line => String(line).trim()).filter(Boolean).map(parseOperationSpec);
+  let method = null;
+  if (ops.method && (ops.method.objectId || ops.method.methodId)) {
+    if (!ops.method.objectId || !ops.method.methodId) throw new Error('A method check needs both the object NodeId and the method NodeId');
+    method = {
+      objectId: String(ops.method.objectId).trim(),
+      methodId: String(ops.method.methodId).trim(),
+      arguments: (ops.method.arguments || []).map(String)
+    };
+  }
+  if (nodes.length === 0 && !method) return null;
+  return { nodes, method, writesConfirmed: ops.writesConfirmed === true };
+}
+
+module.exports = { parseOperationSpec, resolveOperations };
@@ -0,0 +1,157 @@
+/**
+ * Connection preflight - checks each layer below the OPC UA session separately:
+ *   1. DNS: every address the host resolves to
+ *   2. TCP: a timed raw connect to each address until one accepts
+ *   3. OPC UA Hello/Acknowledge (UA TCP, Part 6 7.1.2) on that connection
+ * A failed layer skips the layers above it, so the first failure names the cause.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { getStatusCodeFromCode } = require('node-opcua');
+
+const LAYER_TIMEOUT_MS = 5000;
+
+// Hello limits we offer; the Acknowledge carries what the server negotiated
+const HELLO_RECEIVE_BUFFER = 65536;
+const HELLO_SEND_BUFFER = 65536;
+
+// Plain-language hints for the socket errors technicians actually see
+const SOCKET_ERROR_HINTS = {
+  ENOTFOUND: 'the host name does not exist in DNS',
+  EAI_AGAIN: 'the DNS server did not answer (temporary failure)',
+  ECONNREFUSED: 'the host answered but nothing is listening on this port, or a firewall rejected it',
+  ETIMEDOUT: 'no answer; a firewall may be silently dropping the traffic',
+  EHOSTUNREACH: 'no route to the host',
+  ENETUNREACH: 'the network is unreachable from this machine',
+  ECONNRESET: 'the connection was reset by the server or a middlebox'
+};
+
+function describeSocketError(err) {
+  const hint = SOCKET_ERROR_HINTS[err.code];
+  return hint ? `${err.code}: ${hint}` : (err.message || String(err));
+}
+
+async function resolveHost(host) {
+  const t0 = Date.now();
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    return { ok: true, durationMs: Date.now() - t0, addresses: addresses.map(a => ({ address: a.address, family: `IPv${a.family}` })) };
+  } catch (err) {
+    return { ok: false, durationMs: Date.now() - t0, addresses: [], error: describeSocketError(err) };
+  }
+}
+
+function connectTcp(address, port, timeoutMs) {
+  return new Promise((resolve) => {
+    const t0 = Date.now();
+    const socket = net.connect({ host: address, port });
+    socket.setTimeout(timeoutMs);
+    socket.once('connect', () => {
+      socket.setTimeout(0);
+      resolve({ ok: true, address, durationMs: Date.now() - t0, socket });
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      resolve({ ok: false, address, durationMs: Date.now() - t0, error: describeSocketError({ code: 'ETIMEDOUT' }) });
+    });
+    socket.once('error', (err) => {
+      socket.destroy();
+      resolve({ ok: false, address, durationMs: Date.now() - t0, error: describeSocketError(err) });
+    });
+  });
+}
+
+function encodeHello(endpointUrl) {
+  const url = Buffer.from(endpointUrl, 'utf8');
+  const size = 8 + 20 + 4 + url.length;
+  const buf = Buffer.alloc(size);
+  buf.write('HELF', 0, 'ascii');
+  buf.writeUInt32LE(size, 4);
+  buf.writeUInt32LE(0, 8);                      // ProtocolVersion
+  buf.writeUInt32LE(HELLO_RECEIVE_BUFFER, 12);  // ReceiveBufferSize
+  buf.writeUInt32LE(HELLO_SEND_BUFFER, 16);     // SendBufferSize
+  buf.writeUInt32LE(0, 20);                     // MaxMessageSize (0 = no limit)
+  buf.writeUInt32LE(0, 24);                     // MaxChunkCount (0 = no limit)
+  buf.writeInt32LE(url.length, 28);
+  url.copy(buf, 32);
+  return buf;
+}
+
+// Decodes an ACK or ERR message; anything else means the port is not speaking UA TCP
+function decodeHelloReply(buf) {
+  const type = buf.toString('ascii', 0, 3);
+  if (type === 'ACK' && buf.length >= 28) {
+    return {
+      ok: true,
+      protocolVersion: buf.readUInt32LE(8),
+      receiveBufferSize: buf.readUInt32LE(12),
+      sendBufferSize: buf.readUInt32LE(16),
+      maxMessageSize: buf.readUInt32LE(20),
+      maxChunkCount: buf.readUInt32LE(24)
+    };
+  }
+  if (type === 'ERR' && buf.length >= 12) {
+    const code = buf.readUInt32LE(8);
+    const length = buf.length >= 16 ? buf.readInt32LE(12) : -1;
+    const reason = length > 0 ? buf.toString('utf8', 16, 16 + length) : '';
+    const statusCode = getStatusCodeFromCode(code).name || `0x${code.toString(16).padStart(8, '0')}`;
+    return { ok: false, statusCode, error: `Server rejected the Hello with ${statusCode}${reason ? `: ${reason}` : ''}` };
+  }
+  return { ok: false, error: `Unexpected reply "${buf.toString('ascii', 0, 4).replace(/[^\x20-\x7e]/g, '?')}"; the port does not appear to speak OPC UA TCP` };
+}
+
+function exchangeHello(socket, endpointUrl, timeoutMs) {
+  return new Promise((resolve) => {
+    const t0 = Date.now();
+    let received = Buffer.alloc(0);
+    const finish = (result) => {
+      clearTimeout(timer);
+      socket.removeAllListeners('data');
+      socket.destroy();
+      resolve({ endpointUrl, durationMs: Date.now() - t0, ...result });
+    };
+    const timer = setTimeout(() => finish({ ok: false, error: 'No Acknowledge received; the server did not answer the Hello' }), timeoutMs);
+
+    socket.on('data', (chunk) => {
+      received = Buffer.concat([received, chunk]);
+      if (received.length < 8) return;
+      const size = received.readUInt32LE(4);
+      if (received.length >= Math.min(size, 4096)) finish(decodeHelloReply(received));
+    });
+    socket.once('close', () => finish({ ok: false, error: 'The server closed the connection without answering the Hello' }));
+    socket.once('error', (err) => finish({ ok: false, error: describeSocketError(err) }));
+    socket.write(encodeHello(endpointUrl));
+  });
+}
+
+/**
+ * Runs DNS, TCP and Hello checks for host:port. Returns
+ * { host, port, dns, tcp, hello } where each layer is { ok, durationMs, ... } or { skipped: true }.
+ */
+async function runPreflight(host, port, endpointUrl, timeoutMs = LAYER_TIMEOUT_MS) {
+  const result = { host, port, dns: null, tcp: { skipped: true }, hello: { skipped: true } };
+
+  result.dns = await resolveHost(host);
+  if (!result.dns.ok) return result;
+
+  const attempts = [];
+  let connected = null;
+  for (const { address } of result.dns.addresses) {
+    const attempt = await connectTcp(address, port, timeoutMs);
+    attempts.push({ address, ok: attempt.ok, durationMs: attempt.durationMs, error: attempt.error || null });
+    if (attempt.ok) {
+      connected = attempt;
+      break;
+    }
+  }
+  result.tcp = connected
+    ? { ok: true, address: connected.address, durationMs: connected.durationMs, attempts }
+    : { ok: false, error: attempts[attempts.length - 1].error, attempts };
+  if (!connected) return result;
+
+  result.hello = await exchangeHello(connected.socket, endpointUrl, timeoutMs);
+  return result;
+}
+
+module.exports = { runPreflight, encodeHello, decodeHelloReply };
@@ -0,0 +1,57 @@
+/**
+ * Probe profiles - named probe configurations (one per customer/site) that a team can
+ * share as JSON files. The renderer keeps the working set in localStorage; this module
+ * reads and writes the exchange format:
+ *   { "format": "opcua-diag-profiles", "version": 1, "profiles": [{ "name": "...", "config": {...} }] }
+ * A bare array of profiles is accepted on import. Passwords are never written to a file.
+ */
+
+const PROFILE_FORMAT = 'opcua-diag-profiles';
+const PROFILE_VERSION = 1;
+
+// Profiles hold everything except the password; it is typed per session
+function stripSecrets(config) {
+  const copy = { ...config };
+  if (copy.identity) {
+    const { password, ...identity } = copy.identity;
+    copy.identity = identity;
+  }
+  return copy;
+}
+
+function parseProfiles(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Profile file is not valid JSON: ${err.message}`);
+  }
+  const list = Array.isArray(data) ? data : data && data.profiles;
+  if (!Array.isArray(list)) throw new Error('Profile file must contain a "profiles" array');
+  if (!Array.isArray(data) && data.version > PROFILE_VERSION) {
+    throw new Error(`Profile file version ${data.version} is newer than this tool supports (${PROFILE_VERSION})`);
+  }
+
+  // Same name twice: the later entry wins, like saving over an existing profile
+  const byName = new Map();
+  list.forEach((entry, i) => {
+    const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+    if (!name) throw new Error(`Profile ${i + 1} has no name`);
+    if (!entry.config || typeof entry.config !== 'object' || !entry.config.server) {
+      throw new Error(`Profile "${name}" has no server in its config`);
+    }
+    byName.set(name, { name, config: stripSecrets(entry.config) });
+  });
+  return [...byName.values()];
+}
+
+function serializeProfiles(profiles) {
+  return JSON.stringify({
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles: profiles.map(p => ({ name: p.name, config: stripSecrets(p.config) }))
+  }, null, 2);
+}
+
+module.exports = { parseProfiles, serializeProfiles, stripSecrets };
@@ -0,0 +1,180 @@
+/**
+ * Report export - writes a machine-readable JSON report and a self-contained
+ * HTML report next to each probe's .log file.
+ * The HTML narrative is built with the same summaries the renderer shows.
+ */
+
+const fs = require('fs');
+const { narrateResult, describeStatusCode } = require('../renderer/summaries');
+const { formatConfidence } = require('../renderer/diagnosis');
+const pkg = require('../package.json');
+
+const REPORT_VERSION = 1;
+
+/**
+ * run: { config, status, startedAt, finishedAt, timings, result, errors, warnings, logFile, error, errorStatus }
+ * config must already be redacted.
+ */
+function buildJsonReport(run) {
+  const started = new Date(run.startedAt);
+  const finished = new Date(run.finishedAt);
+  return {
+    reportVersion: REPORT_VERSION,
+    tool: { name: pkg.name, version: pkg.version },
+    status: run.status,
+    error: run.error || null,
+    errorStatus: run.errorStatus || null,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: finished - started,
+    config: run.config,
+    logFile: run.logFile,
+    timings: run.timings || [],
+    result: run.result || {},
+    errors: (run.errors || []).map(({ stack, ...e }) => e),
+    warnings: run.warnings || []
+  };
+}
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderTable(table) {
+  if (!table || !Array.isArray(table.rows) || table.rows.length === 0) return '';
+  const head = (table.headers || []).map(h => `<th>${escapeHtml(h)}</th>`).join('');
+  const rows = table.rows
+    .map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`)
+    .join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function renderEntry(entry) {
+  return `<div class="entry entry--${escapeHtml(entry.severity || 'info')}">` +
+    `<div class="entry-title">${escapeHtml(entry.title)}</div>` +
+    `<div class="entry-body">${escapeHtml(entry.message)}</div>` +
+    renderTable(entry.table) +
+    '</div>';
+}
+
+function renderList(label, lines) {
+  if (lines.length === 0) return '';
+  return `<div class="entry-label">${escapeHtml(label)}</div><ul>${lines.map(l => `<li>${escapeHtml(l)}</li>`).join('')}</ul>`;
+}
+
+// Verdicts from renderer/diagnosis.js, most likely first
+function renderDiagnosis(diagnosis) {
+  const verdicts = diagnosis.verdicts.map(v =>
+    `<div class="entry entry--${escapeHtml(v.severity)}">` +
+    `<div class="entry-title">${escapeHtml(v.title)} (confidence ${escapeHtml(formatConfidence(v.confidence))})</div>` +
+    renderList('Evidence', v.evidence) +
+    renderList('Remediation', v.remediation) +
+    '</div>');
+  return `<p><strong>${escapeHtml(diagnosis.overview)}.</strong></p>\n  ${verdicts.join('\n  ')}`;
+}
+
+// Colors follow the renderer's light theme log-entry classes
+const STYLE = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; background: #fef3c7; color: #111827; margin: 0; padding: 24px; }
+  main { max-width: 960px; margin: 0 auto; background: #fffbeb; border: 1px solid #f8bb84; border-radius: 14px; padding: 20px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.03em; margin: 20px 0 8px; opacity: 0.85; }
+  .meta { font-size: 12px; opacity: 0.85; }
+  .meta td { padding: 1px 12px 1px 0; }
+  .status { display: inline-block; padding: 2px 10px; border-radius: 999px; font-size: 11px; font-weight: 600; }
+  .status--completed { background: rgba(56, 189, 248, 0.16); color: #0e7490; }
+  .status--failed { background: rgba(248, 113, 113, 0.18); color: #b91c1c; }
+  .entry { border-radius: 6px; padding: 6px 8px; margin-bottom: 6px; border-left: 4px solid #d1d5db; font-size: 12px; }
+  .entry-title { font-weight: 600; margin-bottom: 2px; }
+  .entry-label { font-size: 10px; font-weight: 600; text-transform: uppercase; margin-top: 4px; opacity: 0.8; }
+  .entry ul { margin: 2px 0 0; padding-left: 18px; }
+  .entry--info { border-left-color: #3b82f6; background: #eff6ff; color: #1d4ed8; }
+  .entry--success { border-left-color: #22c55e; background: #ecfdf5; color: #166534; }
+  .entry--warn { border-left-color: #eab308; background: #fefce8; color: #713f12; }
+  .entry--error { border-left-color: #ef4444; background: #fef2f2; color: #7f1d1d; }
+  .entry--worker { border-left-color: #a855f7; background: #f5f3ff; color: #6b21a8; }
+  table { border-collapse: collapse; margin-top: 6px; font-size: 11px; }
+  th, td { text-align: left; padding: 2px 10px 2px 0; border-bottom: 1px solid rgba(148, 163, 184, 0.35); }
+  pre { font-size: 11px; background: #fff7ed; padding: 8px; border-radius: 8px; overflow: auto; }
+`;
+
+function renderHtmlReport(report) {
+  const entries = narrateResult(report.result, {});
+  if (report.status === 'failed') {
+    const decoded = report.errorStatus ? `${describeStatusCode(report.errorStatus)} Error: ` : '';
+    entries.push({ title: 'Error', severity: 'error', message: decoded + (report.error || 'The probe failed.') });
+  }
+
+  const cfg = report.config || {};
+  const meta = [
+    ['Server', `${cfg.server || 'N/A'}:${cfg.port || 'N/A'}`],
+    ['Node ID', (cfg.nodeIds && cfg.nodeIds.length ? cfg.nodeIds : [cfg.nodeId || 'ns=0;i=2258']).join(', ')],
+    ['Publishing Interval', `${cfg.publishingInterval || 250} ms`],
+    ['Health Window', `${cfg.healthWindowSeconds || 10} s`],
+    ['Started', report.startedAt],
+    ['Duration', `${(report.durationMs / 1000).toFixed(1)} s`],
+    ['Log File', report.logFile]
+  ].map(([k, v]) => `<tr><td>${escapeHtml(k)}</td><td>${escapeHtml(v)}</td></tr>`).join('');
+
+  const timings = renderTable({
+    headers: ['Step', 'Started', 'Duration'],
+    rows: report.timings.map(t => [t.step, t.startedAt, t.durationMs == null ? 'n/a' : `${t.durationMs} ms`])
+  });
+
+  const problems = [
+    ...report.errors.map(e => ({
+      title: `Error - ${e.context || 'Unknown'}`,
+      severity: 'error',
+      message: e.statusCode ? `${describeStatusCode(e.statusCode)} Error: ${e.message}` : e.message
+    })),
+    ...report.warnings.map(w => ({ title: `Warning - ${w.context || 'Unknown'}`, severity: 'warn', message: w.message }))
+  ];
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>OPC UA Probe Report - ${escapeHtml(cfg.server)}:${escapeHtml(cfg.port)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+  <h1>OPC UA Probe Report</h1>
+  <span class="status status--${escapeHtml(report.status)}">${escapeHtml(report.status)}</span>
+  <table class="meta">${meta}</table>
+${report.result && report.result.diagnosis ? `
+  <h2>Diagnosis</h2>
+  ${renderDiagnosis(report.result.diagnosis)}
+` : ''}
+  <h2>Results</h2>
+  ${entries.map(renderEntry).join('\n  ') || '<p>No results were collected.</p>'}
+
+  <h2>Errors and Warnings</h2>
+  ${problems.map(renderEntry).join('\n  ') || '<p>None.</p>'}
+
+  <h2>Step Timings</h2>
+  ${timings || '<p>No timing data.</p>'}
+
+  <h2>Raw Data</h2>
+  <details><summary>JSON report</summary><pre>${escapeHtml(JSON.stringify(report, null, 2))}</pre></details>
+</main>
+</body>
+</html>
+`;
+}
+
+// Writes <basePath>.json and <basePath>.html; returns their paths
+function writeReports(basePath, run) {
+  const report = buildJsonReport(run);
+  const jsonPath = `${basePath}.json`;
+  const htmlPath = `${basePath}.html`;
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(htmlPath, renderHtmlReport(report));
+  return { json: jsonPath, html: htmlPath };
+}
+
+module.exports = { buildJsonReport, renderHtmlReport, writeReports };
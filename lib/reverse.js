@@ -0,0 +1,189 @@
+/**
+ * Reverse Connect (Part 6 7.1.2.6) - the server opens the TCP connection to the client and
+ * sends a ReverseHello (RHE) carrying its ServerUri and EndpointUrl; the client then runs
+ * the normal Hello/OpenSecureChannel/CreateSession exchange over that socket.
+ *
+ * This is the explicit form of the callback path the rest of the probe infers from
+ * socket snapshots: if the RHE arrives, the server can reach this machine.
+ */
+
+const net = require('net');
+const { OPCUAClient, MessageSecurityMode, SecurityPolicy, parseEndpointUrl } = require('node-opcua');
+
+const MAX_RHE_SIZE = 8192;
+const SESSION_TIMEOUT_MS = 15000;
+
+function readUaString(buf, offset) {
+  const length = buf.readInt32LE(offset);
+  if (length <= 0) return { value: length === 0 ? '' : null, next: offset + 4 };
+  if (offset + 4 + length > buf.length) throw new Error('ReverseHello string runs past the message');
+  return { value: buf.toString('utf8', offset + 4, offset + 4 + length), next: offset + 4 + length };
+}
+
+// Decodes "RHEF" + size + ServerUri + EndpointUrl
+function decodeReverseHello(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'RHEF') {
+    throw new Error(`Expected a ReverseHello, received "${buf.toString('ascii', 0, 4).replace(/[^\x20-\x7e]/g, '?')}"`);
+  }
+  const serverUri = readUaString(buf, 8);
+  const endpointUrl = readUaString(buf, serverUri.next);
+  return { serverUri: serverUri.value, endpointUrl: endpointUrl.value };
+}
+
+/**
+ * Listens on port until a connection delivers a ReverseHello or waitMs passes.
+ * Connections that send something else are recorded and closed; the listener keeps waiting.
+ * Resolves { socket, remoteAddress, remotePort, waitedMs, serverUri, endpointUrl, rejected } -
+ * socket is null when nothing valid arrived in time.
+ */
+function waitForReverseHello(port, waitMs, host) {
+  return new Promise((resolve, reject) => {
+    const t0 = Date.now();
+    const rejected = [];
+    let done = false;
+
+    const server = net.createServer((socket) => {
+      let received = Buffer.alloc(0);
+      const remote = { remoteAddress: String(socket.remoteAddress).replace(/^::ffff:/, ''), remotePort: socket.remotePort };
+      const onData = (chunk) => {
+        received = Buffer.concat([received, chunk]);
+        if (received.length < 8) return;
+        const size = received.readUInt32LE(4);
+        if (size > MAX_RHE_SIZE || received.toString('ascii', 0, 4) !== 'RHEF') {
+          rejected.push({ ...remote, error: `Not a ReverseHello ("${received.toString('ascii', 0, 4).replace(/[^\x20-\x7e]/g, '?')}")` });
+          socket.destroy();
+          return;
+        }
+        if (received.length < size) return;
+        socket.removeListener('data', onData);
+        let hello;
+        try {
+          hello = decodeReverseHello(received.subarray(0, size));
+        } catch (err) {
+          rejected.push({ ...remote, error: err.message });
+          socket.destroy();
+          return;
+        }
+        if (done) {
+          socket.destroy();
+          return;
+        }
+        finish({ socket, ...remote, waitedMs: Date.now() - t0, ...hello });
+      };
+      socket.on('data', onData);
+      socket.on('error', () => {});
+    });
+
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      server.close();
+      resolve({ rejected, ...result });
+    };
+    const timer = setTimeout(() => finish({ socket: null, waitedMs: Date.now() - t0 }), waitMs);
+
+    server.once('error', (err) => {
+      clearTimeout(timer);
+      done = true;
+      reject(new Error(`Could not listen on port ${port}: ${err.code || err.message}`));
+    });
+    server.listen(port, host);
+  });
+}
+
+/**
+ * node-opcua has no Reverse Connect client and its TCP transport takes no socket from
+ * outside, so the accepted socket is handed over through net.createConnection(). This
+ * relies on node-opcua-transport 2.158 (ClientTCP_transport -> createClientSocket) looking
+ * net.createConnection up at call time with { host, port } parsed from the endpoint URL.
+ * Only the one call for endpointUrl's host and port gets the socket; any other connection
+ * the process opens meanwhile goes to the original. Call the returned function in a finally.
+ */
+function adoptSocketForConnection(socket, endpointUrl) {
+  const original = net.createConnection;
+  const ep = parseEndpointUrl(endpointUrl);
+  const host = ep.hostname;
+  const port = parseInt(ep.port, 10);
+  const override = function (options, ...rest) {
+    const matches = options && typeof options === 'object' && options.host === host &&
+      (Number(options.port) === port || (Number.isNaN(port) && Number.isNaN(Number(options.port))));
+    if (!matches) return original.call(this, options, ...rest);
+    net.createConnection = original;
+    process.nextTick(() => socket.emit('connect'));
+    return socket;
+  };
+  net.createConnection = override;
+  return () => {
+    // Only undo our own override, in case something else replaced it meanwhile
+    if (net.createConnection === override) net.createConnection = original;
+  };
+}
+
+// Hello/OpenSecureChannel/CreateSession over the reversed socket (SecurityPolicy None)
+async function createSessionOverSocket(socket, endpointUrl, userIdentity) {
+  const started = Date.now();
+  const client = OPCUAClient.create({
+    securityMode: MessageSecurityMode.None,
+    securityPolicy: SecurityPolicy.None,
+    endpointMustExist: false,
+    connectionStrategy: { initialDelay: 1000, maxRetry: 0 }
+  });
+  const restore = adoptSocketForConnection(socket, endpointUrl);
+  let session;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Session over the reverse connection timed out after ${SESSION_TIMEOUT_MS} ms`)), SESSION_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([client.connect(endpointUrl), timeout]);
+    session = await Promise.race([client.createSession(userIdentity), timeout]);
+    return { success: true, statusCode: 'Good', durationMs: Date.now() - started };
+  } catch (err) {
+    const m = String(err && err.message || err).match(/\b(Bad[A-Za-z]+)\b/);
+    return {
+      success: false,
+      statusCode: (err && err.statusCode && err.statusCode.name) || (m ? m[1] : null),
+      error: String(err),
+      durationMs: Date.now() - started
+    };
+  } finally {
+    clearTimeout(timer);
+    restore();
+    try { if (session) await session.close(); } catch (e) {}
+    try { await client.disconnect(); } catch (e) {}
+    socket.destroy();
+  }
+}
+
+/**
+ * Waits for the server's ReverseHello on listenPort and creates a session over it.
+ * Returns { listenPort, waitMs, reached, waitedMs, remoteAddress, remotePort, serverUri,
+ * endpointUrl, rejected, session } - session is null when the server never reached us.
+ */
+async function runReverseConnect({ listenPort, waitMs, userIdentity, host }) {
+  const hello = await waitForReverseHello(listenPort, waitMs, host);
+  const result = {
+    listenPort,
+    waitMs,
+    reached: Boolean(hello.socket),
+    waitedMs: hello.waitedMs,
+    remoteAddress: hello.remoteAddress || null,
+    remotePort: hello.remotePort || null,
+    serverUri: hello.serverUri || null,
+    endpointUrl: hello.endpointUrl || null,
+    rejected: hello.rejected,
+    session: null
+  };
+  if (!hello.socket) return result;
+
+  if (!hello.endpointUrl) {
+    hello.socket.destroy();
+    result.session = { success: false, statusCode: null, error: 'The ReverseHello carried no EndpointUrl', durationMs: 0 };
+    return result;
+  }
+  result.session = await createSessionOverSocket(hello.socket, hello.endpointUrl, userIdentity);
+  return result;
+}
+
+module.exports = { runReverseConnect, decodeReverseHello };
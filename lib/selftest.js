@@ -0,0 +1,209 @@
+/**
+ * Self-test server - a local node-opcua server the probe can be pointed at to check the tool
+ * itself or to train technicians without a real server on the network.
+ *
+ * Each scenario makes the server misbehave in one known way and lists the narrative entries
+ * (title + acceptable severities, as produced by renderer/summaries.js) a correct probe shows;
+ * compareNarrative() in summaries.js checks a run against them. The server runs in a worker
+ * process ('selftest-start'); the probe itself is a normal run.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  OPCUAServer,
+  OPCUACertificateManager,
+  SecurityPolicy,
+  MessageSecurityMode,
+  DataType,
+  Variant
+} = require('node-opcua');
+
+const SELF_TEST_APPLICATION_URI = 'urn:opcua-diag:selftest';
+// Resolves nowhere (RFC 6761), so the advertised URL can never be followed
+const WRONG_HOSTNAME = 'selftest-advertised-host.invalid';
+
+const HEALTHY_SESSION = [
+  { title: 'OPC UA Hello', severity: ['success'] },
+  { title: 'Security Matrix', severity: ['success'] },
+  { title: 'Subscription', severity: ['success'] },
+  { title: 'Subscription Health', severity: ['success'] }
+];
+
+const SELF_TEST_SCENARIOS = {
+  healthy: {
+    label: 'Healthy server',
+    description: 'Everything is configured correctly; every step should pass.',
+    expected: [
+      ...HEALTHY_SESSION,
+      { title: 'Server Snapshot', severity: ['success'] },
+      { title: 'Server Certificate', severity: ['success'] },
+      { title: 'Advertised Endpoint URLs', severity: ['success'] }
+    ]
+  },
+  rejectSubscriptions: {
+    label: 'Rejects subscriptions',
+    description: 'Sessions work but every CreateSubscription is answered with BadTooManySubscriptions.',
+    expected: [
+      { title: 'Security Matrix', severity: ['success'] },
+      { title: 'Subscription', severity: ['error'] }
+    ]
+  },
+  expiredCertificate: {
+    label: 'Expired server certificate',
+    description: 'The server presents a self-signed certificate that expired a month ago.',
+    expected: [
+      { title: 'Server Certificate', severity: ['error'] },
+      { title: 'Subscription', severity: ['success'] }
+    ]
+  },
+  wrongEndpointUrl: {
+    label: 'Wrong advertised endpointUrl',
+    description: `The endpoints advertise opc.tcp://${WRONG_HOSTNAME}, a host that does not resolve.`,
+    expected: [
+      { title: 'Advertised Endpoint URLs', severity: ['error'] }
+    ]
+  }
+};
+
+const DEFAULT_SELF_TEST = {
+  port: 48480,
+  scenario: 'healthy',
+  securityPolicies: ['None', 'Basic256Sha256'],
+  allowAnonymous: true,
+  users: [],
+  variables: ['Counter:Int32', 'Temperature:Double', 'Running:Boolean', 'Status:String']
+};
+
+const VARIABLE_TYPES = ['Boolean', 'Int32', 'UInt32', 'Float', 'Double', 'String'];
+
+// "Name:DataType" (DataType defaults to Double); the name becomes ns=1;s=SelfTest.<Name>
+function parseVariableSpec(spec) {
+  const [name, type = 'Double'] = String(spec).split(':').map(s => s.trim());
+  if (!/^[A-Za-z][\w.]*$/.test(name || '')) throw new Error(`Invalid self-test variable name "${name}"`);
+  const dataType = VARIABLE_TYPES.find(t => t.toLowerCase() === type.toLowerCase());
+  if (!dataType) throw new Error(`Unsupported data type "${type}" for ${name} (use ${VARIABLE_TYPES.join(', ')})`);
+  return { name, dataType, nodeId: `ns=1;s=SelfTest.${name}` };
+}
+
+// Fills in defaults and validates, so the UI/CLI can fail before forking anything
+function resolveSelfTestOptions(options = {}) {
+  const resolved = { ...DEFAULT_SELF_TEST, ...options };
+  if (!SELF_TEST_SCENARIOS[resolved.scenario]) throw new Error(`Unknown self-test scenario "${resolved.scenario}"`);
+  resolved.port = Number(resolved.port);
+  if (!Number.isInteger(resolved.port) || resolved.port <= 0 || resolved.port > 65535) throw new Error(`Invalid self-test port "${options.port}"`);
+  for (const policy of resolved.securityPolicies) {
+    if (!SecurityPolicy[policy] || policy === 'Invalid') throw new Error(`Unknown security policy "${policy}"`);
+  }
+  if (resolved.securityPolicies.length === 0) throw new Error('The self-test server needs at least one security policy');
+  if (!resolved.allowAnonymous && resolved.users.length === 0) throw new Error('Add a user account or allow anonymous sessions');
+  resolved.variables = resolved.variables.map(parseVariableSpec);
+  return resolved;
+}
+
+// Numbers move every second and booleans flip every 5 s so subscriptions see data changes
+function simulatedValue(dataType, tick) {
+  switch (dataType) {
+    case 'Boolean': return Math.floor(tick / 5) % 2 === 0;
+    case 'Int32':
+    case 'UInt32': return tick;
+    case 'Float':
+    case 'Double': return Math.round((20 + 5 * Math.sin(tick / 10)) * 100) / 100;
+    default: return 'Self-test server running';
+  }
+}
+
+// A fresh certificate per start whose SANs cover every way the probe may dial this machine;
+// the expired one was valid for a year and ran out 30 days ago
+async function createServerCertificate(certificateManager, expired) {
+  const outputFile = path.join(certificateManager.rootDir, `own/certs/selftest_${expired ? 'expired' : 'valid'}.pem`);
+  await certificateManager.createSelfSignedCertificate({
+    applicationUri: SELF_TEST_APPLICATION_URI,
+    subject: `/CN=OPC UA Diagnostics Self-Test${expired ? ' (expired)' : ''}`,
+    dns: [...new Set(['localhost', os.hostname()])],
+    ip: ['127.0.0.1'],
+    startDate: new Date(Date.now() - (expired ? 395 : 1) * 24 * 3600 * 1000),
+    validity: 365,
+    outputFile
+  });
+  return outputFile;
+}
+
+/**
+ * Starts the server for resolveSelfTestOptions(options); pkiFolder holds its keys/certificates.
+ * Resolves { endpointUrl, port, scenario, label, expected, nodeIds, stop }.
+ */
+async function startSelfTestServer(options, pkiFolder) {
+  const opts = resolveSelfTestOptions(options);
+  const scenario = SELF_TEST_SCENARIOS[opts.scenario];
+
+  fs.mkdirSync(pkiFolder, { recursive: true });
+  const certificateManager = new OPCUACertificateManager({ rootFolder: pkiFolder, automaticallyAcceptUnknownCertificate: true });
+  await certificateManager.initialize();
+
+  const certificateFile = await createServerCertificate(certificateManager, opts.scenario === 'expiredCertificate');
+
+  const hasSecure = opts.securityPolicies.some(p => p !== 'None');
+  const server = new OPCUAServer({
+    port: opts.port,
+    hostname: opts.scenario === 'wrongEndpointUrl' ? WRONG_HOSTNAME : 'localhost',
+    serverCertificateManager: certificateManager,
+    certificateFile,
+    privateKeyFile: certificateManager.privateKey,
+    serverInfo: {
+      applicationUri: SELF_TEST_APPLICATION_URI,
+      productUri: 'opcua-diag-selftest',
+      applicationName: { text: `OPC UA Diagnostics Self-Test (${scenario.label})` }
+    },
+    securityPolicies: opts.securityPolicies.map(p => SecurityPolicy[p]),
+    securityModes: [
+      ...(opts.securityPolicies.includes('None') ? [MessageSecurityMode.None] : []),
+      ...(hasSecure ? [MessageSecurityMode.Sign, MessageSecurityMode.SignAndEncrypt] : [])
+    ],
+    allowAnonymous: opts.allowAnonymous,
+    userManager: {
+      isValidUser: (userName, password) => opts.users.some(u => u.userName === userName && u.password === password)
+    }
+  });
+  await server.initialize();
+
+  if (opts.scenario === 'rejectSubscriptions') {
+    server.engine.serverCapabilities.maxSubscriptionsPerSession = 0;
+  }
+
+  let tick = 0;
+  const namespace = server.engine.addressSpace.getOwnNamespace();
+  const folder = namespace.addFolder(server.engine.addressSpace.rootFolder.objects, { browseName: 'SelfTest' });
+  for (const variable of opts.variables) {
+    namespace.addVariable({
+      componentOf: folder,
+      nodeId: `s=SelfTest.${variable.name}`,
+      browseName: variable.name,
+      dataType: variable.dataType,
+      value: { get: () => new Variant({ dataType: DataType[variable.dataType], value: simulatedValue(variable.dataType, tick) }) }
+    });
+  }
+  const timer = setInterval(() => { tick++; }, 1000);
+
+  await server.start();
+  return {
+    endpointUrl: `opc.tcp://localhost:${opts.port}`,
+    port: opts.port,
+    scenario: opts.scenario,
+    label: scenario.label,
+    expected: scenario.expected,
+    nodeIds: opts.variables.map(v => v.nodeId),
+    stop: async () => {
+      clearInterval(timer);
+      await server.shutdown(0);
+    }
+  };
+}
+
+module.exports = {
+  SELF_TEST_SCENARIOS,
+  DEFAULT_SELF_TEST,
+  resolveSelfTestOptions,
+  startSelfTestServer
+};
@@ -0,0 +1,12 @@
+/**
+ * Session helpers shared by the worker and lib/capacity
+ */
+
+// For a createSession that timed out: the request is still under way, and a session the
+// server grants late counts against its session limit. Resolves once that session is closed
+// (straight away when the request fails) and rejects when closing it fails.
+function closeLateSession(pending) {
+  return pending.then(session => session.close(), () => {});
+}
+
+module.exports = { closeLateSession };
@@ -0,0 +1,128 @@
+/**
+ * Server snapshot - reads the server's own Server object in one Read call: BuildInfo,
+ * ServerStatus, ServerCapabilities and OperationLimits, the NamespaceArray and the
+ * ServerDiagnosticsSummary. Session exhaustion and low operation limits explain many
+ * subscription failures that otherwise look random.
+ *
+ * Optional nodes the server does not implement come back with their status code
+ * (typically BadNodeIdUnknown) instead of failing the step.
+ */
+
+const { AttributeIds, VariableIds, ServerState } = require('node-opcua');
+
+// [VariableIds suffix after "Server_", group, label]; 0 means "no limit" for every count below
+const SNAPSHOT_LIMITS = [
+  ['ServerCapabilities_MaxSessions', 'Capabilities', 'Max sessions'],
+  ['ServerCapabilities_MaxSubscriptions', 'Capabilities', 'Max subscriptions'],
+  ['ServerCapabilities_MaxSubscriptionsPerSession', 'Capabilities', 'Max subscriptions per session'],
+  ['ServerCapabilities_MaxMonitoredItems', 'Capabilities', 'Max monitored items'],
+  ['ServerCapabilities_MaxMonitoredItemsPerSubscription', 'Capabilities', 'Max monitored items per subscription'],
+  ['ServerCapabilities_MinSupportedSampleRate', 'Capabilities', 'Min supported sample rate (ms)'],
+  ['ServerCapabilities_MaxBrowseContinuationPoints', 'Capabilities', 'Max browse continuation points'],
+  ['ServerCapabilities_MaxArrayLength', 'Capabilities', 'Max array length'],
+  ['ServerCapabilities_MaxStringLength', 'Capabilities', 'Max string length'],
+  ['ServerCapabilities_MaxByteStringLength', 'Capabilities', 'Max byte string length'],
+  ['ServerCapabilities_OperationLimits_MaxMonitoredItemsPerCall', 'Operation limits', 'Max monitored items per call'],
+  ['ServerCapabilities_OperationLimits_MaxNodesPerRead', 'Operation limits', 'Max nodes per read'],
+  ['ServerCapabilities_OperationLimits_MaxNodesPerWrite', 'Operation limits', 'Max nodes per write'],
+  ['ServerCapabilities_OperationLimits_MaxNodesPerBrowse', 'Operation limits', 'Max nodes per browse'],
+  ['ServerCapabilities_OperationLimits_MaxNodesPerMethodCall', 'Operation limits', 'Max nodes per method call'],
+  ['ServerCapabilities_OperationLimits_MaxNodesPerRegisterNodes', 'Operation limits', 'Max nodes per register nodes'],
+  ['ServerCapabilities_OperationLimits_MaxNodesPerTranslateBrowsePathsToNodeIds', 'Operation limits', 'Max nodes per translate browse paths']
+];
+
+const DIAGNOSTICS_COUNTERS = [
+  'currentSessionCount',
+  'cumulatedSessionCount',
+  'securityRejectedSessionCount',
+  'rejectedSessionCount',
+  'sessionTimeoutCount',
+  'sessionAbortCount',
+  'currentSubscriptionCount',
+  'cumulatedSubscriptionCount',
+  'publishingIntervalCount',
+  'securityRejectedRequestsCount',
+  'rejectedRequestsCount',
+  'serverViewCount'
+];
+
+const READS = [
+  ['buildInfo', 'ServerStatus_BuildInfo'],
+  ['state', 'ServerStatus_State'],
+  ['startTime', 'ServerStatus_StartTime'],
+  ['currentTime', 'ServerStatus_CurrentTime'],
+  ['namespaces', 'NamespaceArray'],
+  ['diagnosticsEnabled', 'ServerDiagnostics_EnabledFlag'],
+  ['diagnosticsSummary', 'ServerDiagnostics_ServerDiagnosticsSummary'],
+  ...SNAPSHOT_LIMITS.map(([suffix]) => [suffix, suffix])
+];
+
+function isGood(dataValue) {
+  return dataValue && dataValue.statusCode && dataValue.statusCode.value === 0;
+}
+
+function plainValue(dataValue) {
+  if (!isGood(dataValue) || !dataValue.value) return null;
+  const v = dataValue.value.value;
+  if (v instanceof Date) return v.toISOString();
+  if (ArrayBuffer.isView(v)) return Array.from(v);
+  return v === undefined ? null : v;
+}
+
+function decodeBuildInfo(value) {
+  if (!value) return null;
+  return {
+    productName: value.productName || '',
+    manufacturerName: value.manufacturerName || '',
+    softwareVersion: value.softwareVersion || '',
+    buildNumber: value.buildNumber || '',
+    buildDate: value.buildDate instanceof Date ? value.buildDate.toISOString() : null,
+    productUri: value.productUri || ''
+  };
+}
+
+function decodeDiagnostics(value) {
+  if (!value) return null;
+  const summary = {};
+  for (const key of DIAGNOSTICS_COUNTERS) summary[key] = Number(value[key] ?? 0);
+  return summary;
+}
+
+/**
+ * Reads the snapshot over an open session. Resolves
+ * { buildInfo, state, startTime, currentTime, namespaces,
+ *   limits: [{ key, group, label, value, status }],
+ *   diagnostics: { enabled, summary, status } }
+ * where summary holds the ServerDiagnosticsSummary counters (null when unavailable).
+ */
+async function readServerSnapshot(session) {
+  const dataValues = await session.read(READS.map(([, suffix]) => ({
+    nodeId: VariableIds[`Server_${suffix}`],
+    attributeId: AttributeIds.Value
+  })));
+  const byKey = new Map(READS.map(([key], i) => [key, dataValues[i]]));
+  const status = (key) => (byKey.get(key) && byKey.get(key).statusCode ? byKey.get(key).statusCode.name : 'Unknown');
+
+  const state = plainValue(byKey.get('state'));
+  return {
+    buildInfo: decodeBuildInfo(plainValue(byKey.get('buildInfo'))),
+    state: state === null ? null : (ServerState[state] || String(state)),
+    startTime: plainValue(byKey.get('startTime')),
+    currentTime: plainValue(byKey.get('currentTime')),
+    namespaces: plainValue(byKey.get('namespaces')) || [],
+    limits: SNAPSHOT_LIMITS.map(([suffix, group, label]) => ({
+      key: suffix.slice(suffix.lastIndexOf('_') + 1),
+      group,
+      label,
+      value: plainValue(byKey.get(suffix)),
+      status: status(suffix)
+    })),
+    diagnostics: {
+      enabled: plainValue(byKey.get('diagnosticsEnabled')),
+      summary: decodeDiagnostics(plainValue(byKey.get('diagnosticsSummary'))),
+      status: status('diagnosticsSummary')
+    }
+  };
+}
+
+module.exports = { SNAPSHOT_LIMITS, DIAGNOSTICS_COUNTERS, readServerSnapshot };
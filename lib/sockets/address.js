@@ -0,0 +1,28 @@
+/**
+ * Address helpers shared by the socket sources
+ */
+
+// Splits "addr:port" on the last colon; IPv6 brackets ("[::1]:4840") are removed
+function parseAddressPort(text) {
+  const idx = text.lastIndexOf(':');
+  if (idx === -1) return [text, ''];
+  let addr = text.substring(0, idx);
+  const port = text.substring(idx + 1);
+  if (addr.startsWith('[') && addr.endsWith(']')) {
+    addr = addr.slice(1, -1);
+  }
+  return [addr, port];
+}
+
+// Bare form of an IP address for comparison: lower case, without IPv6 brackets or zone
+// ("fe80::1%4") and with IPv4-mapped addresses ("::ffff:10.0.0.1") in their IPv4 form
+function plainAddress(addr) {
+  return String(addr).toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+}
+
+// True when both texts are the same IP address (10.0.0.1 does not match 10.0.0.12)
+function sameAddress(a, b) {
+  return plainAddress(a) === plainAddress(b);
+}
+
+module.exports = { parseAddressPort, sameAddress };
@@ -0,0 +1,30 @@
+/**
+ * Socket inspection layer - picks a platform-specific source and returns
+ * normalized TCP socket records:
+ *   { proto, localAddress, localPort, remoteAddress, remotePort, state, pid }
+ * States use the Windows netstat names (LISTENING, ESTABLISHED, TIME_WAIT, ...)
+ * so downstream summaries do not need to know which OS produced them.
+ */
+
+const netstat = require('./netstat');
+const procfs = require('./procfs');
+const { sameAddress } = require('./address');
+
+const SOURCES = {
+  win32: netstat,
+  linux: procfs
+};
+
+function getSocketSource(platform = process.platform) {
+  const source = SOURCES[platform];
+  if (!source) {
+    throw new Error(`Socket inspection is not supported on platform "${platform}"`);
+  }
+  return source;
+}
+
+function listSockets(platform) {
+  return getSocketSource(platform).listSockets();
+}
+
+module.exports = { getSocketSource, listSockets, sameAddress };
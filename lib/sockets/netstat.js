@@ -0,0 +1,42 @@
+/**
+ * Windows socket source - parses `netstat -ano` output
+ * Column layout: Proto  Local Address  Foreign Address  State  PID
+ */
+
+const { exec } = require('child_process');
+const { parseAddressPort } = require('./address');
+
+function parseNetstat(stdout) {
+  const lines = String(stdout || '').split(/\r?\n/).slice(4).filter(l => l.trim());
+  const sockets = [];
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    // UDP rows have no State column and are skipped here
+    if (parts.length < 5) continue;
+    const [proto, local, remote, state, pid] = parts;
+    if (!/^TCP/i.test(proto)) continue;
+    const [lAddr, lPort] = parseAddressPort(local);
+    const [rAddr, rPort] = parseAddressPort(remote);
+    sockets.push({
+      proto: 'TCP',
+      localAddress: lAddr,
+      localPort: lPort,
+      remoteAddress: rAddr,
+      remotePort: rPort,
+      state: state || '',
+      pid: pid || ''
+    });
+  }
+  return sockets;
+}
+
+function listSockets() {
+  return new Promise((resolve, reject) => {
+    exec('netstat -ano', { windowsHide: true }, (err, stdout) => {
+      if (err) return reject(err);
+      resolve(parseNetstat(stdout));
+    });
+  });
+}
+
+module.exports = { name: 'netstat', listSockets, parseNetstat };
@@ -0,0 +1,143 @@
+/**
+ * Linux socket source - reads /proc/net/tcp and /proc/net/tcp6
+ * Addresses are hex-encoded in host byte order; owning PIDs are resolved by
+ * matching socket inodes against /proc/<pid>/fd links (only processes we may inspect).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Kernel TCP states (include/net/tcp_states.h) mapped to netstat -ano names
+const TCP_STATES = {
+  '01': 'ESTABLISHED',
+  '02': 'SYN_SENT',
+  '03': 'SYN_RECEIVED',
+  '04': 'FIN_WAIT_1',
+  '05': 'FIN_WAIT_2',
+  '06': 'TIME_WAIT',
+  '07': 'CLOSED',
+  '08': 'CLOSE_WAIT',
+  '09': 'LAST_ACK',
+  '0A': 'LISTENING',
+  '0B': 'CLOSING',
+  '0C': 'SYN_RECEIVED'
+};
+
+// Reverses the byte order of one 32-bit little-endian hex word
+function swapWord(hex) {
+  return hex.match(/../g).reverse().join('');
+}
+
+function decodeIPv4(hex) {
+  const be = swapWord(hex);
+  const bytes = be.match(/../g).map(b => parseInt(b, 16));
+  return bytes.join('.');
+}
+
+function decodeIPv6(hex) {
+  const be = hex.match(/.{8}/g).map(swapWord).join('');
+  const groups = be.match(/.{4}/g).map(g => parseInt(g, 16));
+
+  // IPv4-mapped (::ffff:a.b.c.d) - keep the dotted form so IPv4 filters still match
+  if (groups.slice(0, 5).every(g => g === 0) && groups[5] === 0xffff) {
+    const v4 = be.slice(24).match(/../g).map(b => parseInt(b, 16)).join('.');
+    return `::ffff:${v4}`;
+  }
+
+  // Compress the longest run of zero groups (RFC 5952)
+  let bestStart = -1;
+  let bestLen = 0;
+  for (let i = 0; i < 8;) {
+    if (groups[i] !== 0) { i++; continue; }
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLen && j - i > 1) {
+      bestStart = i;
+      bestLen = j - i;
+    }
+    i = j;
+  }
+  const hexGroups = groups.map(g => g.toString(16));
+  if (bestStart === -1) return hexGroups.join(':');
+  const head = hexGroups.slice(0, bestStart).join(':');
+  const tail = hexGroups.slice(bestStart + bestLen).join(':');
+  return `${head}::${tail}`;
+}
+
+function decodeEndpoint(text, family) {
+  const [addrHex, portHex] = text.split(':');
+  const addr = family === 6 ? decodeIPv6(addrHex) : decodeIPv4(addrHex);
+  return [addr, String(parseInt(portHex, 16))];
+}
+
+function parseProcNetTcp(content, family = 4) {
+  const lines = String(content || '').split(/\r?\n/).slice(1).filter(l => l.trim());
+  const sockets = [];
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    if (parts.length < 10) continue;
+    const [lAddr, lPort] = decodeEndpoint(parts[1], family);
+    const [rAddr, rPort] = decodeEndpoint(parts[2], family);
+    sockets.push({
+      proto: 'TCP',
+      localAddress: lAddr,
+      localPort: lPort,
+      remoteAddress: rAddr,
+      remotePort: rPort,
+      state: TCP_STATES[parts[3].toUpperCase()] || parts[3],
+      pid: '',
+      inode: parts[9]
+    });
+  }
+  return sockets;
+}
+
+// Builds inode -> pid map from /proc/<pid>/fd symlinks ("socket:[12345]")
+async function mapSocketInodes() {
+  const map = new Map();
+  let entries;
+  try {
+    entries = await fs.promises.readdir('/proc');
+  } catch (e) {
+    return map;
+  }
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) continue;
+    const fdDir = path.join('/proc', entry, 'fd');
+    let fds;
+    try {
+      fds = await fs.promises.readdir(fdDir);
+    } catch (e) {
+      continue; // process exited or belongs to another user
+    }
+    for (const fd of fds) {
+      try {
+        const link = await fs.promises.readlink(path.join(fdDir, fd));
+        const m = link.match(/^socket:\[(\d+)\]$/);
+        if (m && !map.has(m[1])) map.set(m[1], entry);
+      } catch (e) { /* fd closed while scanning */ }
+    }
+  }
+  return map;
+}
+
+async function readTable(file, family) {
+  try {
+    return parseProcNetTcp(await fs.promises.readFile(file, 'utf8'), family);
+  } catch (e) {
+    // tcp6 is absent when IPv6 is disabled; tcp must exist
+    if (family === 6 && e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+async function listSockets() {
+  const sockets = [
+    ...await readTable('/proc/net/tcp', 4),
+    ...await readTable('/proc/net/tcp6', 6)
+  ];
+  const inodes = await mapSocketInodes();
+  return sockets.map(({ inode, ...s }) => ({ ...s, pid: inodes.get(inode) || '' }));
+}
+
+module.exports = { name: 'procfs', listSockets, parseProcNetTcp };
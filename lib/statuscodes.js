@@ -0,0 +1,257 @@
+/**
+ * Status codes - decodes the OPC UA StatusCode behind a node-opcua error or service result
+ * into { name, value, hex, explanation, fix }, so the log and the UI lead with the code and
+ * what to do about it instead of a truncated error string.
+ * STATUS_EXPLANATIONS covers the codes commissioning usually runs into; any other code falls
+ * back to its description from the specification (as shipped with node-opcua).
+ */
+
+const { StatusCodes } = require('node-opcua');
+
+const STATUS_EXPLANATIONS = {
+  BadCertificateUntrusted: {
+    explanation: 'The certificate is not in the trust list of the side that checked it.',
+    fix: 'Trust the client certificate on the server (move it from the rejected to the trusted folder of its PKI), or trust the server certificate on the client.'
+  },
+  BadSecurityChecksFailed: {
+    explanation: 'The server refused the secure channel; most servers answer this when they do not trust the client certificate.',
+    fix: 'Trust the client certificate on the server, then check both certificates for expiry and applicationUri mismatches.'
+  },
+  BadCertificateTimeInvalid: {
+    explanation: 'A certificate has expired or is not valid yet.',
+    fix: 'Renew the expired certificate, or fix the clock of the machine whose time is wrong.'
+  },
+  BadCertificateIssuerTimeInvalid: {
+    explanation: 'The certificate of the issuing CA has expired or is not valid yet.',
+    fix: 'Renew the CA certificate and re-issue the certificates it signed.'
+  },
+  BadCertificateHostNameInvalid: {
+    explanation: 'The host name used to connect is not in the server certificate.',
+    fix: 'Connect with a host name listed in the certificate, or re-issue the certificate with this name in its subjectAltName.'
+  },
+  BadCertificateUriInvalid: {
+    explanation: 'The applicationUri in the certificate does not match the one the application reports.',
+    fix: 'Re-issue the certificate with the applicationUri configured in the application.'
+  },
+  BadCertificateRevoked: {
+    explanation: 'The certificate has been revoked by its issuer.',
+    fix: 'Issue and trust a new certificate.'
+  },
+  BadCertificateRevocationUnknown: {
+    explanation: 'The certificate is CA-signed, but no revocation list (CRL) for its issuer is installed.',
+    fix: 'Install the issuer\'s CRL in the PKI, or disable the revocation check for that issuer.'
+  },
+  BadCertificateIssuerRevocationUnknown: {
+    explanation: 'No revocation list (CRL) is installed for a CA in the certificate chain.',
+    fix: 'Install the CRLs of every CA in the chain.'
+  },
+  BadCertificateUseNotAllowed: {
+    explanation: 'The certificate\'s key usage does not allow this use.',
+    fix: 'Issue an application instance certificate with the key usages OPC UA requires.'
+  },
+  BadSecurityPolicyRejected: {
+    explanation: 'The server does not accept the requested security policy.',
+    fix: 'Choose a policy the server advertises, or enable the policy in the server configuration.'
+  },
+  BadTooManySessions: {
+    explanation: 'The server has reached its maximum number of sessions.',
+    fix: 'Close unused client sessions (stale sessions of crashed clients stay until they time out), or raise the server\'s session limit.'
+  },
+  BadTooManySubscriptions: {
+    explanation: 'The server will not create more subscriptions (for this session or in total).',
+    fix: 'Raise the server\'s subscription limit, or close clients that hold many subscriptions.'
+  },
+  BadTooManyMonitoredItems: {
+    explanation: 'The server will not create more monitored items.',
+    fix: 'Monitor fewer nodes per subscription, or raise the server\'s monitored item limit.'
+  },
+  BadTooManyOperations: {
+    explanation: 'The request contained more operations than the server allows in one call.',
+    fix: 'Split the request into smaller batches (see the server\'s operation limits).'
+  },
+  BadUserAccessDenied: {
+    explanation: 'The server denied this user: wrong credentials, or the user lacks the rights for this operation.',
+    fix: 'Check the user name and password; if they are right, grant the user the required role or permission on the server.'
+  },
+  BadIdentityTokenRejected: {
+    explanation: 'The server does not accept this user identity (wrong credentials or identity type not allowed).',
+    fix: 'Check the user name and password or user certificate, and that the endpoint allows this identity type.'
+  },
+  BadIdentityTokenInvalid: {
+    explanation: 'The user identity token is malformed or of a type the endpoint does not offer.',
+    fix: 'Pick an identity type listed in the endpoint\'s user token policies.'
+  },
+  BadUserSignatureInvalid: {
+    explanation: 'The signature made with the user certificate could not be verified.',
+    fix: 'Check that the user certificate and private key belong together and that the server trusts the user certificate.'
+  },
+  BadNodeIdUnknown: {
+    explanation: 'The NodeId does not exist in the server\'s address space.',
+    fix: 'Check the namespace index and identifier, e.g. with the address space browser.'
+  },
+  BadNodeIdInvalid: {
+    explanation: 'The NodeId is not syntactically valid.',
+    fix: 'Use the ns=<index>;<i|s|g|b>=<identifier> form.'
+  },
+  BadAttributeIdInvalid: {
+    explanation: 'The node does not have the requested attribute (e.g. monitoring the value of an object).',
+    fix: 'Monitor a variable node.'
+  },
+  BadNotReadable: {
+    explanation: 'The node\'s access level does not allow reading.',
+    fix: 'Check the node\'s access level and the user\'s permissions.'
+  },
+  BadNotWritable: {
+    explanation: 'The node\'s access level does not allow writing.',
+    fix: 'Check the node\'s access level and the user\'s write permissions; setpoints are often writable only for an operator role.'
+  },
+  BadTypeMismatch: {
+    explanation: 'The value written does not match the node\'s DataType.',
+    fix: 'Write the DataType the node declares (e.g. Float instead of Double); clients must not rely on the server converting types.'
+  },
+  BadWriteNotSupported: {
+    explanation: 'The server does not support this kind of write (e.g. writing timestamps or a status code with the value).',
+    fix: 'Write the value alone, without source/server timestamps or a status code.'
+  },
+  BadOutOfRange: {
+    explanation: 'The value is outside the range the node accepts.',
+    fix: 'Check the node\'s EURange or InstrumentRange and write a value inside it.'
+  },
+  BadMethodInvalid: {
+    explanation: 'The method NodeId does not exist or is not a method of the given object.',
+    fix: 'Check both NodeIds with the address space browser: the method must be a component of the object it is called on.'
+  },
+  BadArgumentsMissing: {
+    explanation: 'The method was called with fewer input arguments than it declares.',
+    fix: 'Pass every input argument listed in the method\'s InputArguments property.'
+  },
+  BadTooManyArguments: {
+    explanation: 'The method was called with more input arguments than it declares.',
+    fix: 'Pass only the input arguments listed in the method\'s InputArguments property.'
+  },
+  BadInvalidArgument: {
+    explanation: 'One or more method arguments are invalid (see the argument results).',
+    fix: 'Check each argument\'s DataType and allowed values against the method\'s documentation.'
+  },
+  BadNotExecutable: {
+    explanation: 'The method cannot be executed right now (its Executable attribute is false for this user or state).',
+    fix: 'Check the user\'s permissions and whether the device is in a state that allows the call (e.g. local/remote mode).'
+  },
+  BadTimeout: {
+    explanation: 'The operation did not complete in time.',
+    fix: 'Check the network latency and the load on the server, or raise the timeout.'
+  },
+  BadConnectionClosed: {
+    explanation: 'The network connection was closed.',
+    fix: 'Look for firewalls or devices that drop idle connections, and check the server log for why it closed the connection.'
+  },
+  BadSecureChannelClosed: {
+    explanation: 'The secure channel was closed by the other side.',
+    fix: 'Check the server log; certificate or security policy problems often end the channel this way.'
+  },
+  BadSessionIdInvalid: {
+    explanation: 'The session no longer exists on the server (timed out or closed).',
+    fix: 'Reconnect; if it keeps happening, raise the session timeout.'
+  },
+  BadSessionClosed: {
+    explanation: 'The session was closed by the server.',
+    fix: 'Check the server log for why the session was closed.'
+  },
+  BadServerHalted: {
+    explanation: 'The server has stopped and does not accept requests.',
+    fix: 'Restart the OPC UA server.'
+  },
+  BadShutdown: {
+    explanation: 'The server is shutting down.',
+    fix: 'Wait for the server to restart and retry.'
+  },
+  BadTcpEndpointUrlInvalid: {
+    explanation: 'The server does not recognise the endpoint URL sent in the Hello.',
+    fix: 'Use the endpoint URL (host and path) the server advertises.'
+  },
+  BadTcpMessageTooLarge: {
+    explanation: 'A message exceeded the size the other side negotiated.',
+    fix: 'Raise the message size limits on the server, or request fewer items per call.'
+  },
+  BadEncodingLimitsExceeded: {
+    explanation: 'A message exceeded the server\'s string, array or message size limits.',
+    fix: 'Raise the encoding limits on the server, or request fewer items per call.'
+  },
+  BadServiceUnsupported: {
+    explanation: 'The server does not implement this service.',
+    fix: 'Check the server\'s profile; this tool step cannot work against it.'
+  },
+  BadNoSubscription: {
+    explanation: 'Publish requests were sent but the session has no subscription.',
+    fix: 'The subscription was probably deleted by the server; check its lifetime settings.'
+  },
+  BadMaxConnectionsReached: {
+    explanation: 'The server will not accept more connections.',
+    fix: 'Close unused clients, or raise the server\'s connection limit.'
+  },
+  BadLicenseExpired: {
+    explanation: 'The server\'s licence has expired or does not cover this use.',
+    fix: 'Renew or extend the server licence.'
+  },
+  BadCommunicationError: {
+    explanation: 'A low-level communication error occurred.',
+    fix: 'Check the network between client and server.'
+  },
+  BadNotConnected: {
+    explanation: 'The client is not connected to the server.',
+    fix: 'Check that the server is reachable; earlier errors usually show why the connection failed.'
+  }
+};
+
+const byValue = new Map();
+for (const status of Object.values(StatusCodes)) {
+  if (status && typeof status.value === 'number' && status.name) byValue.set(status.value, status);
+}
+
+// Known StatusCode by name or by value (the low 16 info bits are ignored)
+function lookupStatus(nameOrValue) {
+  if (typeof nameOrValue === 'number') return byValue.get((nameOrValue & 0xFFFF0000) >>> 0) || null;
+  const status = StatusCodes[nameOrValue];
+  return status && typeof status.value === 'number' ? status : null;
+}
+
+function toDecoded(status) {
+  const known = STATUS_EXPLANATIONS[status.name];
+  return {
+    name: status.name,
+    value: status.value,
+    hex: `0x${status.value.toString(16).toUpperCase().padStart(8, '0')}`,
+    explanation: known ? known.explanation : (status.description || 'No description is available for this status code.'),
+    fix: known ? known.fix : null
+  };
+}
+
+/**
+ * Finds the StatusCode in a node-opcua error, a result object with a statusCode name, or
+ * plain error text (by name or by 0x hex value). Returns null when there is none, or when
+ * it is Good.
+ */
+function decodeStatusCode(source) {
+  if (!source) return null;
+  const statusCode = source.statusCode;
+  let status = null;
+  if (statusCode && typeof statusCode === 'object' && typeof statusCode.value === 'number') {
+    status = lookupStatus(statusCode.value) || lookupStatus(statusCode.name);
+  } else if (typeof statusCode === 'string') {
+    status = lookupStatus(statusCode);
+  }
+
+  if (!status) {
+    const text = String(source.message || source.error || source);
+    for (const [, name] of text.matchAll(/\b((?:Bad|Uncertain)[A-Z]\w*)/g)) {
+      status = lookupStatus(name);
+      if (status) break;
+    }
+    const hex = !status && text.match(/\b0x([0-9a-fA-F]{8})\b/);
+    if (hex) status = lookupStatus(parseInt(hex[1], 16));
+  }
+
+  return status && status.value !== 0 ? toDecoded(status) : null;
+}
+
+module.exports = { STATUS_EXPLANATIONS, decodeStatusCode };
@@ -0,0 +1,101 @@
+/**
+ * Probe steps - which of the selectable pipeline steps run, their timeouts and durations,
+ * and how the progress bar is shared between the steps that do run.
+ *
+ * config.steps is optional; every field in it is too:
+ *   { endpoints:                 { enabled, timeoutSeconds },
+ *     serverSnapshot:            { enabled, timeoutSeconds },
+ *     baselineListeners:         { enabled, timeoutSeconds },
+ *     subscription:              { enabled, timeoutSeconds, durationSeconds },
+ *     postSubscriptionListeners: { enabled, timeoutSeconds },
+ *     connectionMonitoring:      { enabled, durationSeconds } }
+ * A step runs unless enabled === false. timeoutSeconds bounds each network/OS call of the
+ * step; durationSeconds is how long the step deliberately waits (the subscription's falls
+ * back to config.healthWindowSeconds).
+ */
+
+const PROBE_STEPS = [
+  { key: 'endpoints', label: 'Endpoint Query', timeoutSeconds: 15 },
+  { key: 'serverSnapshot', label: 'Server Snapshot', timeoutSeconds: 15 },
+  { key: 'baselineListeners', label: 'Baseline Listeners', timeoutSeconds: 15 },
+  { key: 'subscription', label: 'Subscription', timeoutSeconds: 15, durationSeconds: 10 },
+  { key: 'postSubscriptionListeners', label: 'Post-Subscription Listeners', timeoutSeconds: 15 },
+  { key: 'connectionMonitoring', label: 'Connection Monitoring', durationSeconds: 30 }
+];
+
+function positiveSeconds(value, fallback, what) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) throw new Error(`Invalid ${what} "${value}"`);
+  return n;
+}
+
+/**
+ * Returns { [key]: { key, label, enabled, timeoutMs, durationMs } } for every step in
+ * PROBE_STEPS (timeoutMs/durationMs only where the step has them). Throws on unknown
+ * step names or non-positive values so a bad config fails before anything runs.
+ */
+function resolveSteps(config) {
+  const requested = (config && config.steps) || {};
+  for (const key of Object.keys(requested)) {
+    if (!PROBE_STEPS.some(s => s.key === key)) throw new Error(`Unknown probe step "${key}"`);
+  }
+
+  const resolved = {};
+  for (const step of PROBE_STEPS) {
+    const opts = requested[step.key] || {};
+    const entry = { key: step.key, label: step.label, enabled: opts.enabled !== false };
+    if (step.timeoutSeconds) {
+      entry.timeoutMs = positiveSeconds(opts.timeoutSeconds, step.timeoutSeconds, `${step.label} timeout`) * 1000;
+    }
+    if (step.durationSeconds) {
+      const fallback = step.key === 'subscription' ? config.healthWindowSeconds || step.durationSeconds : step.durationSeconds;
+      entry.durationMs = positiveSeconds(opts.durationSeconds, fallback, `${step.label} duration`) * 1000;
+    }
+    resolved[step.key] = entry;
+  }
+  return resolved;
+}
+
+function describeStep(step) {
+  if (!step.enabled) return `${step.label}: skipped`;
+  const parts = [];
+  if (step.timeoutMs) parts.push(`timeout ${step.timeoutMs / 1000} s`);
+  if (step.durationMs) parts.push(`duration ${step.durationMs / 1000} s`);
+  return `${step.label}: ${parts.join(', ')}`;
+}
+
+/**
+ * Splits the 5-95 % progress range between the phases that will run, roughly in proportion
+ * to how long each takes (waiting steps by their duration). Returns progressAt(key, fraction)
+ * for the keys 'preflight', 'operations', 'reverseConnect', 'capacity' and those in PROBE_STEPS.
+ */
+function createProgressPlan(steps, reverseConnect, operations, capacity) {
+  const weights = [['preflight', 1]];
+  if (steps.endpoints.enabled) weights.push(['endpoints', 4]);
+  if (steps.serverSnapshot.enabled) weights.push(['serverSnapshot', 1]);
+  if (steps.baselineListeners.enabled) weights.push(['baselineListeners', 1]);
+  if (steps.subscription.enabled) weights.push(['subscription', 2 + steps.subscription.durationMs / 1000]);
+  if (operations) weights.push(['operations', 2]);
+  if (steps.postSubscriptionListeners.enabled) weights.push(['postSubscriptionListeners', 1]);
+  if (steps.connectionMonitoring.enabled) weights.push(['connectionMonitoring', steps.connectionMonitoring.durationMs / 1000]);
+  if (reverseConnect && reverseConnect.port) weights.push(['reverseConnect', 2]);
+  if (capacity) weights.push(['capacity', 3]);
+
+  const total = weights.reduce((n, [, w]) => n + w, 0);
+  const ranges = new Map();
+  let start = 5;
+  for (const [key, weight] of weights) {
+    const span = (weight / total) * 90;
+    ranges.set(key, { start, span });
+    start += span;
+  }
+
+  return function progressAt(key, fraction = 0) {
+    const range = ranges.get(key);
+    if (!range) return Math.round(start);
+    return Math.round(range.start + range.span * Math.max(0, Math.min(1, fraction)));
+  };
+}
+
+module.exports = { PROBE_STEPS, resolveSteps, describeStep, createProgressPlan };
@@ -0,0 +1,119 @@
+/**
+ * Watch mode - compares consecutive probe runs and keeps rolling availability stats.
+ * Main schedules the runs; this module only decides what changed and what to report.
+ */
+
+const { endpointKeys } = require('./history');
+const { inboundConnections } = require('./connections');
+
+// Keep the per-run samples for the rolling window (and to bound memory on multi-day watches)
+const ROLLING_WINDOW = 24;
+
+// Reduces a worker outcome ({ final, error }) to what the watch compares between runs.
+// subscriptionOk and callbacks are null when their step was turned off (not applicable)
+function sampleRun(outcome, at = new Date().toISOString()) {
+  const final = outcome.final || {};
+  const sub = final.subscriptionResult || {};
+  const skipped = new Set((final.skippedSteps || []).map(step => step.key));
+  return {
+    at,
+    reachable: !outcome.error && (final.endpoints || []).length > 0,
+    error: outcome.error || null,
+    endpoints: endpointKeys(final),
+    subscriptionOk: skipped.has('subscription') ? null : !!sub.success,
+    subscriptionError: sub.success ? null : (sub.error || null),
+    callbacks: skipped.has('connectionMonitoring') ? null : inboundConnections(final.connections).length
+  };
+}
+
+// "OK", "failing" or "not run" for the subscription of a sample
+function describeSubscription(sample) {
+  if (sample.subscriptionOk === null) return 'not run';
+  return sample.subscriptionOk ? 'OK' : 'failing';
+}
+
+/**
+ * Returns alert entries ({ severity, title, message }) for changes between two samples.
+ * The first sample of a watch has no previous run and never alerts.
+ */
+function detectChanges(prev, cur) {
+  if (!prev) return [];
+  const changes = [];
+
+  // Losing or regaining the server explains every other difference, so report only that
+  if (prev.reachable !== cur.reachable) {
+    changes.push(cur.reachable
+      ? { severity: 'success', title: 'Server reachable again', message: `${cur.endpoints.length} endpoint(s) advertised; subscription ${describeSubscription(cur)}.` }
+      : { severity: 'error', title: 'Server unreachable', message: cur.error || 'The server no longer returns any endpoints.' });
+    return changes;
+  }
+  if (!cur.reachable) return changes;
+
+  const now = new Set(cur.endpoints);
+  const before = new Set(prev.endpoints);
+  const removed = prev.endpoints.filter(e => !now.has(e));
+  const added = cur.endpoints.filter(e => !before.has(e));
+  if (removed.length) {
+    changes.push({ severity: 'error', title: 'Endpoints disappeared', message: removed.join('; ') });
+  }
+  if (added.length) {
+    changes.push({ severity: 'info', title: 'New endpoints', message: added.join('; ') });
+  }
+
+  // A step turned off in one of the runs is no change
+  if (prev.subscriptionOk === true && cur.subscriptionOk === false) {
+    changes.push({ severity: 'error', title: 'Subscription failing', message: cur.subscriptionError || cur.error || 'The subscription could not be created.' });
+  } else if (prev.subscriptionOk === false && cur.subscriptionOk === true) {
+    changes.push({ severity: 'success', title: 'Subscription recovered', message: 'The subscription was created successfully again.' });
+  }
+
+  if (prev.callbacks > 0 && cur.callbacks === 0) {
+    changes.push({ severity: 'warn', title: 'Callback traffic stopped', message: `No connections from the server were seen (previous run: ${prev.callbacks}).` });
+  } else if (prev.callbacks === 0 && cur.callbacks > 0) {
+    changes.push({ severity: 'success', title: 'Callback traffic resumed', message: `${cur.callbacks} connection(s) from the server were seen.` });
+  }
+
+  return changes;
+}
+
+function createWatchStats() {
+  return { runs: 0, reachable: 0, subscriptionRuns: 0, subscriptionOk: 0, monitoredRuns: 0, callbackRuns: 0, changes: 0, recent: [] };
+}
+
+function percent(n, total) {
+  return total === 0 ? null : Math.round((n / total) * 1000) / 10;
+}
+
+// Adds a sample to the stats; returns the figures the UI shows. The subscription and callback
+// rates only count the runs that had the step (null when none had)
+function updateWatchStats(stats, sample, changeCount = 0) {
+  stats.runs += 1;
+  stats.reachable += sample.reachable ? 1 : 0;
+  stats.subscriptionRuns += sample.subscriptionOk !== null ? 1 : 0;
+  stats.subscriptionOk += sample.subscriptionOk ? 1 : 0;
+  stats.monitoredRuns += sample.callbacks !== null ? 1 : 0;
+  stats.callbackRuns += sample.callbacks > 0 ? 1 : 0;
+  stats.changes += changeCount;
+  stats.recent.push(sample);
+  if (stats.recent.length > ROLLING_WINDOW) stats.recent.shift();
+
+  const recent = stats.recent;
+  const subscribed = recent.filter(r => r.subscriptionOk !== null);
+  const monitored = recent.filter(r => r.callbacks !== null);
+  return {
+    runs: stats.runs,
+    changes: stats.changes,
+    availability: percent(stats.reachable, stats.runs),
+    subscriptionRate: percent(stats.subscriptionOk, stats.subscriptionRuns),
+    callbackRate: percent(stats.callbackRuns, stats.monitoredRuns),
+    rolling: {
+      runs: recent.length,
+      availability: percent(recent.filter(r => r.reachable).length, recent.length),
+      subscriptionRate: percent(subscribed.filter(r => r.subscriptionOk).length, subscribed.length),
+      callbackRate: percent(monitored.filter(r => r.callbacks > 0).length, monitored.length)
+    },
+    lastRunAt: sample.at
+  };
+}
+
+module.exports = { sampleRun, detectChanges, createWatchStats, updateWatchStats };
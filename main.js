@@ -4,13 +4,25 @@
  * Architecture: Main Process (this) -> Renderer Process (UI) -> Worker Process (OPC-UA diagnostics)
  */
 
-const { app, BrowserWindow, ipcMain, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, dialog, Notification } = require('electron');
 const path = require('path');
+const fs = require('fs');
 const { fork } = require('child_process');
 const log = require('electron-log');
+const { redactConfig } = require('./lib/identity');
+const { listRuns, loadRun, diffRuns } = require('./lib/history');
+const { parseInventory, parseCredentials, runPool, writeBatchReport } = require('./lib/batch');
+const { sampleRun, detectChanges, createWatchStats, updateWatchStats } = require('./lib/watch');
+const { inboundConnections } = require('./lib/connections');
+const { parseProfiles, serializeProfiles } = require('./lib/profiles');
 
 let mainWindow;
 let worker;
+let batch = null;        // { cancelled, workers: Set<ChildProcess> } while a batch runs
+let credentials = null;  // named identities for batch runs; kept in this process only
+let watch = null;        // { config, intervalMs, timer, workers, previous, stats, logFile } while watching
+let browser = null;      // { child, pending: Map<requestId, { resolve, reject, timer }> } while browsing
+let selfTest = null;     // worker hosting the self-test server while one runs
 
 /**
  * Creates application window with security settings:
@@ -51,7 +63,7 @@ app.on('window-all-closed', () => {
  * and isolate OPC-UA operations. Relays messages: worker -> main -> renderer
  */
 ipcMain.on('run-probe', (event, probeConfig) => {
-  log.info('Main: run-probe received', probeConfig);
+  log.info('Main: run-probe received', redactConfig(probeConfig));
 
   if (worker) {
     worker.kill();
@@ -86,3 +98,500 @@ ipcMain.on('cancel-probe', () => {
     worker = null;
   }
 });
+
+// Same folder the worker writes its .log/.json/.html files into
+function getLogsDir() {
+  return path.join(app.getPath('userData'), 'logs');
+}
+
+/**
+ * IPC handler: Confirm test writes
+ * Asked by the renderer before a probe whose read/write checks include writes.
+ * Resolves 'write', 'skip' (run without the writes) or 'cancel'.
+ */
+ipcMain.handle('confirm-writes', async (event, writes) => {
+  const lines = Array.isArray(writes) ? writes.map(String) : [];
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    title: 'Confirm test writes',
+    message: `The probe is about to write ${lines.length} test value(s) to the server.`,
+    detail: `${lines.join('\n')}\n\nEach node is read first and its original value is written back straight after the test. ` +
+      'Only continue if changing these values briefly is safe for the running process.',
+    buttons: ['Cancel', 'Run without writes', 'Write and restore'],
+    defaultId: 0,
+    cancelId: 0,
+    noLink: true
+  });
+  const choice = ['cancel', 'skip', 'write'][response];
+  log.info(`Main: test writes ${choice === 'write' ? 'confirmed' : choice === 'skip' ? 'declined' : 'cancelled the probe'}`);
+  return choice;
+});
+
+/**
+ * IPC handler: Export report
+ * Copies the HTML or JSON report written by the worker to a user-chosen location.
+ * Only files inside userData/logs are accepted, so the renderer cannot read arbitrary paths.
+ */
+ipcMain.handle('export-report', async (event, reportFiles) => {
+  const logsDir = getLogsDir();
+  const isReport = (p) => typeof p === 'string' &&
+    path.dirname(path.resolve(p)) === path.resolve(logsDir);
+
+  if (!reportFiles || !isReport(reportFiles.html) || !isReport(reportFiles.json)) {
+    throw new Error('No report is available for export');
+  }
+
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export probe report',
+    defaultPath: path.basename(reportFiles.html),
+    filters: [
+      { name: 'HTML report', extensions: ['html'] },
+      { name: 'JSON report', extensions: ['json'] }
+    ]
+  });
+  if (canceled || !filePath) return null;
+
+  const source = filePath.toLowerCase().endsWith('.json') ? reportFiles.json : reportFiles.html;
+  await fs.promises.copyFile(source, filePath);
+  log.info('Main: report exported', filePath);
+  return filePath;
+});
+
+/**
+ * IPC handlers: Probe profiles
+ * The renderer owns the saved profiles; main only reads and writes the shared JSON files.
+ */
+ipcMain.handle('import-profiles', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import probe profiles',
+    properties: ['openFile'],
+    filters: [{ name: 'Probe profiles', extensions: ['json'] }]
+  });
+  if (canceled || !filePaths.length) return null;
+  const profiles = parseProfiles(await fs.promises.readFile(filePaths[0], 'utf8'));
+  log.info(`Main: imported ${profiles.length} profile(s) from ${filePaths[0]}`);
+  return { file: filePaths[0], profiles };
+});
+
+ipcMain.handle('export-profiles', async (event, profiles) => {
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export probe profiles',
+    defaultPath: 'opcua-profiles.json',
+    filters: [{ name: 'Probe profiles', extensions: ['json'] }]
+  });
+  if (canceled || !filePath) return null;
+  await fs.promises.writeFile(filePath, serializeProfiles(profiles || []));
+  log.info(`Main: exported ${(profiles || []).length} profile(s) to ${filePath}`);
+  return filePath;
+});
+
+/**
+ * IPC handlers: Probe history
+ * Past runs are read back from the JSON reports in userData/logs.
+ */
+ipcMain.handle('list-runs', () => listRuns(getLogsDir()));
+
+ipcMain.handle('load-run', (event, id) => loadRun(getLogsDir(), id));
+
+ipcMain.handle('diff-runs', async (event, idA, idB) => {
+  const [a, b] = await Promise.all([loadRun(getLogsDir(), idA), loadRun(getLogsDir(), idB)]);
+  return String(a.startedAt) <= String(b.startedAt) ? diffRuns(a, b) : diffRuns(b, a);
+});
+
+function sendBatchEvent(msg) {
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send('batch-event', msg);
+  }
+}
+
+// The renderer already has each item's config; only the outcome is sent back
+function sendBatchItem(index, { config, ...outcome }) {
+  sendBatchEvent({ type: 'item', index, ...outcome });
+}
+
+// Condenses a worker's final result into the batch table columns
+function summarizeBatchResult(final) {
+  const matrix = final.securityMatrix || [];
+  return {
+    endpoints: (final.endpoints || []).length,
+    securityMatrix: `${matrix.filter(r => r.success).length}/${matrix.length}`,
+    subscription: final.subscriptionResult
+      ? (final.subscriptionResult.success ? 'OK' : 'FAILED')
+      : ((final.skippedSteps || []).some(step => step.key === 'subscription') ? 'SKIPPED' : 'FAILED'),
+    callbacks: inboundConnections(final.connections).length
+  };
+}
+
+/**
+ * Runs one worker to completion without relaying its events to the probe view.
+ * Resolves with { final, error, reportFiles, code, signal }; `workers` tracks the live child.
+ */
+function runDetachedProbe(config, workers) {
+  return new Promise((resolve) => {
+    const child = fork(path.join(__dirname, 'worker.js'));
+    workers.add(child);
+    const outcome = { final: null, error: null, reportFiles: null, code: null, signal: null };
+
+    child.on('message', (msg) => {
+      if (!msg) return;
+      if (msg.type === 'result-final') {
+        outcome.final = msg.payload || {};
+        outcome.reportFiles = msg.reportFiles || null;
+      } else if (msg.type === 'error') {
+        outcome.error = msg.error || 'Unknown error';
+        outcome.reportFiles = msg.reportFiles || null;
+      }
+    });
+
+    child.on('exit', (code, signal) => {
+      workers.delete(child);
+      resolve({ ...outcome, code, signal });
+    });
+
+    child.send({ type: 'start', config, userDataPath: app.getPath('userData') });
+  });
+}
+
+// Runs one batch item; resolves with its row in the batch table
+async function runBatchItem(config) {
+  const started = Date.now();
+  const { final, error, reportFiles, code, signal } = await runDetachedProbe(config, batch.workers);
+  const item = { status: 'error', summary: null, error, reportFiles, durationMs: Date.now() - started };
+
+  if (final) {
+    item.summary = summarizeBatchResult(final);
+    item.status = item.summary.subscription === 'OK' ? 'passed' : 'failed';
+  } else if (!error) {
+    if (batch.cancelled) item.status = 'cancelled';
+    else item.error = `Worker exited unexpectedly (${signal || `code ${code}`})`;
+  }
+  return item;
+}
+
+/**
+ * IPC handlers: Batch probing
+ * The inventory is parsed here; credentials are resolved here and never sent to the renderer.
+ */
+ipcMain.handle('import-inventory', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import server inventory',
+    properties: ['openFile'],
+    filters: [{ name: 'Inventory', extensions: ['csv', 'json'] }]
+  });
+  if (canceled || !filePaths.length) return null;
+  const text = await fs.promises.readFile(filePaths[0], 'utf8');
+  return { file: filePaths[0], ...parseInventory(text, filePaths[0]) };
+});
+
+ipcMain.handle('load-credentials', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Load batch credentials',
+    properties: ['openFile'],
+    filters: [{ name: 'Credentials', extensions: ['json'] }]
+  });
+  if (canceled || !filePaths.length) return null;
+  credentials = parseCredentials(await fs.promises.readFile(filePaths[0], 'utf8'));
+  return { file: filePaths[0], names: Object.keys(credentials) };
+});
+
+ipcMain.on('run-batch', async (event, { items, concurrency, inventoryFile }) => {
+  if (batch) return;
+  const limit = Math.max(1, Math.min(16, parseInt(concurrency, 10) || 4));
+  log.info(`Main: run-batch received (${items.length} server(s), concurrency ${limit})`);
+
+  batch = { cancelled: false, workers: new Set() };
+  const startedAt = new Date().toISOString();
+  const results = items.map(item => ({ config: item, status: 'queued', summary: null, error: null, reportFiles: null, durationMs: null }));
+
+  await runPool(items, limit, async (item, index) => {
+    const { credentials: credentialName, ...probe } = item;
+    let identity = { type: 'Anonymous' };
+    if (credentialName) {
+      identity = credentials && credentials[credentialName];
+      if (!identity) {
+        Object.assign(results[index], { status: 'error', error: `Unknown credentials reference "${credentialName}"` });
+        sendBatchItem(index, results[index]);
+        return;
+      }
+    }
+
+    results[index].status = 'running';
+    sendBatchEvent({ type: 'item', index, status: 'running' });
+    Object.assign(results[index], await runBatchItem({ ...probe, identity }));
+    sendBatchItem(index, results[index]);
+  }, () => batch.cancelled);
+
+  for (const [index, r] of results.entries()) {
+    if (r.status === 'queued') {
+      r.status = 'cancelled';
+      sendBatchEvent({ type: 'item', index, status: 'cancelled' });
+    }
+  }
+
+  let reportFiles = null;
+  try {
+    reportFiles = writeBatchReport(getLogsDir(), {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      concurrency: limit,
+      inventoryFile,
+      items: results
+    });
+  } catch (err) {
+    log.error('Main: failed to write batch report', err);
+  }
+
+  batch = null;
+  sendBatchEvent({ type: 'finished', reportFiles });
+});
+
+ipcMain.on('cancel-batch', () => {
+  if (!batch) return;
+  batch.cancelled = true;
+  for (const child of batch.workers) child.kill();
+});
+
+function sendWatchEvent(msg) {
+  if (mainWindow && mainWindow.webContents) {
+    mainWindow.webContents.send('watch-event', msg);
+  }
+}
+
+// One line per run/alert in opcua-watch_<timestamp>.log next to the probe logs
+function appendWatchLog(text) {
+  try {
+    fs.appendFileSync(watch.logFile, `[${new Date().toISOString()}] ${text}\n`);
+  } catch (err) {
+    log.warn('Main: failed to write watch log', err);
+  }
+}
+
+function notifyChange(change) {
+  if (!Notification.isSupported()) return;
+  new Notification({
+    title: `OPC UA watch: ${change.title}`,
+    body: `${watch.config.server}:${watch.config.port} - ${change.message}`
+  }).show();
+}
+
+// Runs one probe, compares it with the previous run, then schedules the next one
+async function runWatchCycle() {
+  const current = watch;
+  sendWatchEvent({ type: 'run-started', at: new Date().toISOString() });
+  const outcome = await runDetachedProbe(current.config, current.workers);
+  if (watch !== current) return; // stopped while the probe was running
+
+  const sample = sampleRun(outcome);
+  const changes = detectChanges(current.previous, sample);
+  const stats = updateWatchStats(current.stats, sample, changes.length);
+  current.previous = sample;
+
+  appendWatchLog(`Run ${stats.runs}: ${sample.reachable ? 'reachable' : 'unreachable'}, ` +
+    `subscription ${sample.subscriptionOk === null ? 'skipped' : sample.subscriptionOk ? 'OK' : 'FAILED'}, ` +
+    `callbacks ${sample.callbacks === null ? 'skipped' : sample.callbacks}` +
+    (outcome.reportFiles && outcome.reportFiles.log ? ` (${path.basename(outcome.reportFiles.log)})` : ''));
+  for (const change of changes) {
+    appendWatchLog(`ALERT ${change.title}: ${change.message}`);
+    log.warn(`Main: watch alert - ${change.title}: ${change.message}`);
+    notifyChange(change);
+  }
+
+  const nextRunAt = new Date(Date.now() + current.intervalMs).toISOString();
+  sendWatchEvent({ type: 'run', sample, changes, stats, nextRunAt, reportFiles: outcome.reportFiles });
+  current.timer = setTimeout(runWatchCycle, current.intervalMs);
+}
+
+/**
+ * IPC handlers: Watch mode
+ * Re-runs the probe on a schedule and alerts when endpoints, the subscription or callback traffic change.
+ * The next run is scheduled only after the previous one finished, so runs never overlap.
+ */
+ipcMain.on('start-watch', (event, { config, intervalMinutes, lightweight }) => {
+  if (watch) return;
+  const minutes = Math.max(1, parseFloat(intervalMinutes) || 5);
+  const startedAt = new Date().toISOString();
+  log.info(`Main: start-watch received (every ${minutes} min${lightweight ? ', lightweight' : ''})`, redactConfig(config));
+
+  // Unattended runs only read: no method calls or test writes, and no capacity test, which
+  // would load the server every interval
+  const operations = config.operations ? { ...config.operations, method: null, writesConfirmed: false } : null;
+  watch = {
+    config: { ...config, operations, capacity: null, skipSecurityMatrix: !!lightweight },
+    intervalMs: minutes * 60 * 1000,
+    timer: null,
+    workers: new Set(),
+    previous: null,
+    stats: createWatchStats(),
+    logFile: path.join(getLogsDir(), `opcua-watch_${startedAt.replace(/[:.]/g, '-')}.log`)
+  };
+  fs.mkdirSync(getLogsDir(), { recursive: true });
+  appendWatchLog(`Watch started for ${config.server}:${config.port}, every ${minutes} minute(s)${lightweight ? ', lightweight runs' : ''}`);
+  sendWatchEvent({ type: 'started', startedAt, logFile: watch.logFile });
+  runWatchCycle();
+});
+
+ipcMain.on('stop-watch', () => {
+  if (!watch) return;
+  clearTimeout(watch.timer);
+  for (const child of watch.workers) child.kill();
+  appendWatchLog(`Watch stopped after ${watch.stats.runs} run(s)`);
+  watch = null;
+  sendWatchEvent({ type: 'stopped' });
+});
+
+const BROWSE_TIMEOUT_MS = 30000;
+let browseRequestId = 0;
+
+// Forks the browse worker on first use; pending requests fail if it exits
+function getBrowser() {
+  if (browser) return browser;
+  const child = fork(path.join(__dirname, 'worker.js'));
+  const current = { child, pending: new Map() };
+
+  child.on('message', (msg) => {
+    if (!msg || msg.type !== 'browse-result') return;
+    const request = current.pending.get(msg.requestId);
+    if (!request) return;
+    current.pending.delete(msg.requestId);
+    clearTimeout(request.timer);
+    if (msg.error) request.reject(new Error(msg.error));
+    else request.resolve(msg.result);
+  });
+
+  child.on('exit', () => {
+    for (const request of current.pending.values()) {
+      clearTimeout(request.timer);
+      request.reject(new Error('The browse session ended'));
+    }
+    if (browser === current) browser = null;
+  });
+
+  browser = current;
+  return browser;
+}
+
+function browseRequest(type, payload = {}) {
+  const { child, pending } = getBrowser();
+  const requestId = ++browseRequestId;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pending.delete(requestId);
+      reject(new Error(`Browse request timed out after ${BROWSE_TIMEOUT_MS / 1000}s`));
+    }, BROWSE_TIMEOUT_MS);
+    pending.set(requestId, { resolve, reject, timer });
+    child.send({ type, requestId, ...payload });
+  });
+}
+
+const DISCOVERY_TIMEOUT_MS = 60000;
+
+/**
+ * IPC handler: Discovery server query (FindServers / FindServersOnNetwork)
+ * Runs in a short-lived worker so a slow LDS never blocks the main process.
+ */
+ipcMain.handle('discover-servers', (event, discoveryUrl) => {
+  log.info('Main: discover-servers received', discoveryUrl);
+  return new Promise((resolve, reject) => {
+    const child = fork(path.join(__dirname, 'worker.js'));
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+    const timer = setTimeout(() => {
+      child.kill();
+      settle(reject, new Error(`Discovery timed out after ${DISCOVERY_TIMEOUT_MS / 1000}s`));
+    }, DISCOVERY_TIMEOUT_MS);
+
+    child.on('message', (msg) => {
+      if (!msg || msg.type !== 'discover-result') return;
+      if (msg.error) settle(reject, new Error(msg.error));
+      else settle(resolve, msg.result);
+    });
+    child.on('exit', (code, signal) => {
+      settle(reject, new Error(`Discovery worker exited unexpectedly (${signal || `code ${code}`})`));
+    });
+
+    child.send({ type: 'discover', discoveryUrl });
+  });
+});
+
+const SELF_TEST_START_TIMEOUT_MS = 60000;
+
+function stopSelfTest() {
+  if (!selfTest) return;
+  const child = selfTest;
+  selfTest = null;
+  child.send({ type: 'selftest-stop' });
+  setTimeout(() => child.kill(), 5000).unref();
+}
+
+/**
+ * IPC handlers: Self-test server
+ * One lib/selftest server at a time, hosted by its own worker; starting a new scenario
+ * replaces the running one. Resolves with the endpoint, expected entries and NodeIds.
+ */
+ipcMain.handle('start-self-test', (event, options) => {
+  log.info('Main: start-self-test received', options && options.scenario);
+  stopSelfTest();
+  return new Promise((resolve, reject) => {
+    const child = fork(path.join(__dirname, 'worker.js'));
+    selfTest = child;
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    };
+    const timer = setTimeout(() => {
+      child.kill();
+      settle(reject, new Error(`Self-test server did not start within ${SELF_TEST_START_TIMEOUT_MS / 1000}s`));
+    }, SELF_TEST_START_TIMEOUT_MS);
+
+    child.on('message', (msg) => {
+      if (!msg || msg.type !== 'selftest-ready') return;
+      if (msg.error) {
+        child.kill();
+        settle(reject, new Error(msg.error));
+      } else {
+        settle(resolve, msg.result);
+      }
+    });
+    child.on('exit', (code, signal) => {
+      if (selfTest === child) selfTest = null;
+      settle(reject, new Error(`Self-test worker exited unexpectedly (${signal || `code ${code}`})`));
+    });
+
+    child.send({ type: 'selftest-start', options, userDataPath: app.getPath('userData') });
+  });
+});
+
+ipcMain.handle('stop-self-test', () => {
+  stopSelfTest();
+  return true;
+});
+
+/**
+ * IPC handlers: Address space browser
+ * The session lives in a dedicated worker until the dialog is closed.
+ */
+ipcMain.handle('browse-open', (event, config) => {
+  log.info('Main: browse-open received', redactConfig(config));
+  return browseRequest('browse-open', { config });
+});
+
+ipcMain.handle('browse-children', (event, nodeId) => browseRequest('browse-children', { nodeId }));
+
+ipcMain.handle('browse-close', async () => {
+  if (!browser) return true;
+  const { child } = browser;
+  try {
+    return await browseRequest('browse-close');
+  } catch (err) {
+    child.kill();
+    return true;
+  }
+});
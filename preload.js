@@ -6,6 +6,27 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   runProbe: (cfg) => ipcRenderer.send('run-probe', cfg),
+  confirmWrites: (writes) => ipcRenderer.invoke('confirm-writes', writes),
   cancelProbe: () => ipcRenderer.send('cancel-probe'),
+  exportReport: (reportFiles) => ipcRenderer.invoke('export-report', reportFiles),
+  listRuns: () => ipcRenderer.invoke('list-runs'),
+  loadRun: (id) => ipcRenderer.invoke('load-run', id),
+  diffRuns: (idA, idB) => ipcRenderer.invoke('diff-runs', idA, idB),
+  importProfiles: () => ipcRenderer.invoke('import-profiles'),
+  exportProfiles: (profiles) => ipcRenderer.invoke('export-profiles', profiles),
+  importInventory: () => ipcRenderer.invoke('import-inventory'),
+  loadCredentials: () => ipcRenderer.invoke('load-credentials'),
+  runBatch: (batch) => ipcRenderer.send('run-batch', batch),
+  cancelBatch: () => ipcRenderer.send('cancel-batch'),
+  onBatchEvent: (cb) => ipcRenderer.on('batch-event', (e, msg) => cb(msg)),
+  startWatch: (options) => ipcRenderer.send('start-watch', options),
+  stopWatch: () => ipcRenderer.send('stop-watch'),
+  onWatchEvent: (cb) => ipcRenderer.on('watch-event', (e, msg) => cb(msg)),
+  browseOpen: (cfg) => ipcRenderer.invoke('browse-open', cfg),
+  browseChildren: (nodeId) => ipcRenderer.invoke('browse-children', nodeId),
+  browseClose: () => ipcRenderer.invoke('browse-close'),
+  discoverServers: (discoveryUrl) => ipcRenderer.invoke('discover-servers', discoveryUrl),
+  startSelfTest: (options) => ipcRenderer.invoke('start-self-test', options),
+  stopSelfTest: () => ipcRenderer.invoke('stop-self-test'),
   onProbeEvent: (cb) => ipcRenderer.on('probe-event', (e, msg) => cb(msg))
 });
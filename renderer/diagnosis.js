@@ -0,0 +1,751 @@
+/**
+ * Diagnosis engine - evaluates a whole probe run against DIAGNOSIS_RULES and returns ranked
+ * root-cause verdicts with evidence and remediation. Shared like summaries.js (loaded via
+ * <script> before renderer.js, required by the worker, CLI and reports), so it must not touch
+ * the DOM or require anything.
+ *
+ * extractFacts() reduces the run to named facts; the rules only refer to those names:
+ *   { id, title, severity, when: ['fact', '!fact'], confidence, support: ['fact'],
+ *     evidence: ['text' | { fact, text }], remediation: ['text'], fallback? }
+ * A rule fires when every fact in `when` holds ('!' negates). Its confidence rises by 0.1 for
+ * each `support` fact that holds (at most 0.95). Evidence lines with a fact are kept only when
+ * it holds. {name} in any text is replaced with that fact's value. Fallback rules fire only
+ * when no other rule did.
+ */
+
+const DIAGNOSIS_RULES = [
+  {
+    id: 'dns-unresolvable',
+    title: 'The server host name does not resolve',
+    severity: 'error',
+    when: ['dnsFailed'],
+    confidence: 0.95,
+    evidence: ['{host} could not be resolved: {dnsError}.'],
+    remediation: [
+      'Check the spelling of the server host name.',
+      'Use the IP address instead, or add a DNS record or hosts entry for {host} on this machine.'
+    ]
+  },
+  {
+    id: 'port-closed',
+    title: 'Nothing is listening on the OPC UA port',
+    severity: 'error',
+    when: ['tcpRefused'],
+    confidence: 0.9,
+    evidence: ['The TCP connection to {host}:{port} was actively refused ({tcpError}).'],
+    remediation: [
+      'Check that the OPC UA server is running.',
+      'Check the port in the server configuration; 4840 is only the default.',
+      'A host firewall that rejects rather than drops connections shows the same symptom.'
+    ]
+  },
+  {
+    id: 'network-blocked',
+    title: 'A firewall or the route to the server drops the traffic',
+    severity: 'error',
+    when: ['tcpTimedOut'],
+    confidence: 0.8,
+    support: ['dnsOk'],
+    evidence: [
+      'The TCP connection to {host}:{port} got no answer ({tcpError}).',
+      { fact: 'dnsOk', text: 'The host name resolved, so the address itself is known.' }
+    ],
+    remediation: [
+      'Allow TCP port {port} to {host} on every firewall in between (host firewall on the server, OT/IT boundary firewalls).',
+      'Check the routing or VPN between this machine and the server.'
+    ]
+  },
+  {
+    id: 'tcp-failed',
+    title: 'The server cannot be reached over TCP',
+    severity: 'error',
+    when: ['tcpFailed', '!tcpRefused', '!tcpTimedOut'],
+    confidence: 0.7,
+    evidence: ['No address of {host} accepted a TCP connection on port {port} ({tcpError}).'],
+    remediation: ['Check the network connection, routing and firewalls between this machine and {host}.']
+  },
+  {
+    id: 'not-opcua',
+    title: 'The port is open but does not answer as an OPC UA server',
+    severity: 'error',
+    when: ['helloFailed'],
+    confidence: 0.8,
+    evidence: ['TCP port {port} accepted a connection, but the UA Hello failed: {helloError}.'],
+    remediation: [
+      'Check that {port} is the OPC UA port and not another service (web server, HTTPS endpoint, proxy).',
+      'If the server limits its number of connections, close unused clients and retry.'
+    ]
+  },
+  {
+    id: 'no-endpoints',
+    title: 'The server answered but offers no endpoints',
+    severity: 'error',
+    when: ['helloOk', 'noEndpoints'],
+    confidence: 0.6,
+    evidence: ['The UA Hello succeeded, but GetEndpoints returned no endpoint.'],
+    remediation: ['Check that at least one endpoint (security policy and mode) is enabled in the server configuration.']
+  },
+  {
+    id: 'certificate-expired',
+    title: 'The server certificate has expired',
+    severity: 'error',
+    when: ['certExpired'],
+    confidence: 0.9,
+    support: ['allSessionsFailed'],
+    evidence: [
+      '{certExpiredIssue}',
+      { fact: 'allSessionsFailed', text: 'No security combination accepted a session.' }
+    ],
+    remediation: [
+      'Renew the server application instance certificate.',
+      'Distribute the new certificate to the trust lists of all clients.'
+    ]
+  },
+  {
+    id: 'clock-skew',
+    title: 'The clocks of this machine and the server disagree',
+    severity: 'error',
+    when: ['certNotYetValid'],
+    confidence: 0.75,
+    evidence: ['{certNotYetValidIssue}'],
+    remediation: ['Synchronise both machines with the same time source (NTP) and retry.']
+  },
+  {
+    id: 'client-certificate-untrusted',
+    title: 'The server does not trust this client\'s certificate',
+    severity: 'error',
+    when: ['secureSessionsFailed'],
+    confidence: 0.7,
+    support: ['certificateRejected'],
+    evidence: [
+      'Sessions without security succeeded, but every Sign/SignAndEncrypt combination failed.',
+      { fact: 'certificateRejected', text: 'The server answered {certificateStatus}.' }
+    ],
+    remediation: [
+      'Trust the client certificate on the server (move it from the rejected to the trusted folder of the server\'s PKI).',
+      'Check that the client certificate has not expired.'
+    ]
+  },
+  {
+    id: 'certificate-rejected',
+    title: 'The server rejects the certificate exchange',
+    severity: 'error',
+    when: ['certificateRejected', '!secureSessionsFailed', '!certExpired'],
+    confidence: 0.7,
+    evidence: ['The server answered {certificateStatus}.'],
+    remediation: [
+      'Trust the client certificate on the server, and the server certificate on this machine.',
+      'Check both certificates for expiry and applicationUri mismatches.'
+    ]
+  },
+  {
+    id: 'identity-rejected',
+    title: 'The server rejects the user identity',
+    severity: 'error',
+    when: ['identityRejected'],
+    confidence: 0.85,
+    evidence: ['The server answered {identityStatus} for the {identityType} identity.'],
+    remediation: [
+      'Check the user name and password, or the user certificate, configured for the probe.',
+      'Check that the endpoint allows this identity type and that the user has the required rights.'
+    ]
+  },
+  {
+    id: 'sessions-failed',
+    title: 'No session could be created',
+    severity: 'error',
+    when: ['allSessionsFailed', '!identityRejected', '!certificateRejected', '!certExpired'],
+    confidence: 0.5,
+    evidence: ['All {matrixCount} security combination(s) failed ({matrixStatuses}).'],
+    remediation: ['Check the server\'s session limits, security configuration and its own diagnostics log.']
+  },
+  {
+    id: 'advertised-url-unresolvable',
+    title: 'The server advertises an endpointUrl this machine cannot resolve',
+    severity: 'error',
+    when: ['advertisedUnresolvable'],
+    confidence: 0.7,
+    support: ['advertisedProven'],
+    evidence: [
+      'The advertised host(s) {advertisedHosts} do not resolve from this machine.',
+      { fact: 'advertisedProven', text: 'A session on the advertised URL failed while the same session on the dialled address succeeded.' }
+    ],
+    remediation: [
+      'Fix the hostname the server advertises (or its alternate hostnames).',
+      'Or add a DNS record or hosts entry for the advertised name on the clients.'
+    ]
+  },
+  {
+    id: 'advertised-url-mismatch',
+    title: 'The advertised endpointUrl differs from the dialled address',
+    severity: 'warn',
+    when: ['advertisedMismatch', '!advertisedUnresolvable'],
+    confidence: 0.5,
+    support: ['advertisedProven'],
+    evidence: [
+      'The server advertises {advertisedHosts}, not the address that was dialled.',
+      { fact: 'advertisedProven', text: 'A session on the advertised URL failed while the same session on the dialled address succeeded.' }
+    ],
+    remediation: ['Make the server advertise the address and port clients actually use.']
+  },
+  {
+    id: 'endpoint-not-matched',
+    title: 'The dialled address does not match any advertised endpoint',
+    severity: 'error',
+    when: ['endpointNotMatched'],
+    confidence: 0.8,
+    support: ['advertisedHostAlias'],
+    evidence: [
+      'The client refused to open the session with "End point must exist": no advertised endpointUrl matches {host}:{port}.',
+      { fact: 'advertisedHostAlias', text: 'The server advertises {advertisedNames}, which reaches the same machine under another name.' }
+    ],
+    remediation: [
+      'Dial the server with the host name it advertises ({advertisedNames}).',
+      'Or make the server advertise the name clients use, e.g. as an alternate hostname.'
+    ]
+  },
+  {
+    id: 'session-limit',
+    title: 'The server is out of sessions',
+    severity: 'error',
+    when: ['sessionLimitReached'],
+    confidence: 0.8,
+    support: ['subscriptionFailed'],
+    evidence: [
+      { fact: 'sessionsAtLimit', text: 'The server reported {currentSessions} open session(s) against its limit of {maxSessions}, this probe\'s own session included.' },
+      { fact: 'tooManySessions', text: 'A session was refused with BadTooManySessions.' },
+      { fact: 'subscriptionFailed', text: 'The subscription step, which needs a session of its own, failed: {subscriptionError}' }
+    ],
+    remediation: [
+      'Close unused client sessions; sessions of crashed clients stay open until their session timeout expires.',
+      'Raise the server\'s session limit (MaxSessions) if every session is in use.'
+    ]
+  },
+  {
+    id: 'operation-limit',
+    title: 'More monitored items than the server accepts in one call',
+    severity: 'warn',
+    when: ['itemsOverCallLimit'],
+    confidence: 0.5,
+    support: ['tooManyOperations', 'subscriptionFailed'],
+    evidence: [
+      'The probe monitors {monitoredItemCount} item(s), but the server accepts at most {maxItemsPerCall} per CreateMonitoredItems call; clients that create them all at once are refused.',
+      { fact: 'tooManyOperations', text: 'The server answered with BadTooManyOperations.' }
+    ],
+    remediation: [
+      'Create monitored items in batches of at most {maxItemsPerCall} (check the client\'s batch size setting).',
+      'Or raise MaxMonitoredItemsPerCall in the server\'s operation limits.'
+    ]
+  },
+  {
+    id: 'server-not-running',
+    title: 'The server is not in the Running state',
+    severity: 'warn',
+    when: ['serverNotRunning'],
+    confidence: 0.7,
+    evidence: ['ServerStatus reports the state {serverState}.'],
+    remediation: ['Check the server\'s own log and console; it may be starting, shutting down, suspended or in a failed state.']
+  },
+  {
+    id: 'session-rejections',
+    title: 'The server has been rejecting sessions',
+    severity: 'info',
+    when: ['sessionRejections', '!sessionLimitReached', '!certificateRejected', '!identityRejected'],
+    confidence: 0.4,
+    evidence: ['Since {serverStartTime} the server rejected {rejectedSessions} session(s), {securityRejectedSessions} of them for security reasons.'],
+    remediation: [
+      'Check the server\'s log for the clients whose sessions were refused.',
+      'Compare the counts across runs; rising security rejections usually mean an untrusted certificate or wrong credentials.'
+    ]
+  },
+  {
+    id: 'subscription-limit',
+    title: 'The server refuses further subscriptions',
+    severity: 'error',
+    when: ['tooManySubscriptions'],
+    confidence: 0.9,
+    support: ['subscriptionsAtLimit'],
+    evidence: [
+      'CreateSubscription failed with {subscriptionStatus}.',
+      { fact: 'subscriptionsAtLimit', text: 'The server reported {currentSubscriptions} open subscription(s) against its limit of {maxSubscriptions}.' }
+    ],
+    remediation: [
+      'Raise the server\'s subscription limit (per session and in total).',
+      'Close stale client sessions that still hold subscriptions; a crashed client keeps them until its session times out.'
+    ]
+  },
+  {
+    id: 'subscription-failed',
+    title: 'The subscription could not be created',
+    severity: 'error',
+    when: ['subscriptionFailed', '!tooManySubscriptions', '!identityRejected', '!allSessionsFailed', '!endpointNotMatched',
+      '!sessionLimitReached', '!itemsOverCallLimit'],
+    confidence: 0.5,
+    support: ['sessionsOk'],
+    evidence: [
+      'The subscription step failed: {subscriptionError}',
+      { fact: 'sessionsOk', text: 'Plain sessions were accepted, so the failure is specific to subscriptions.' }
+    ],
+    remediation: ['Check the server\'s subscription and monitored item limits and its diagnostics log.']
+  },
+  {
+    id: 'items-rejected',
+    title: 'The server rejected monitored items',
+    severity: 'warn',
+    when: ['itemsRejected'],
+    confidence: 0.8,
+    support: ['nodeIdUnknown'],
+    evidence: [
+      '{rejectedItems} monitored item(s) were rejected ({rejectedStatuses}).',
+      { fact: 'nodeIdUnknown', text: 'At least one NodeId does not exist in the server\'s address space.' }
+    ],
+    remediation: [
+      'Check the NodeIds (namespace index and identifier) with the address space browser.',
+      'Check that the user may read the nodes.'
+    ]
+  },
+  {
+    id: 'value-not-restored',
+    title: 'A test value was left on the server',
+    severity: 'error',
+    when: ['valuesNotRestored'],
+    confidence: 0.95,
+    evidence: ['Restoring the original value failed for {notRestoredNodes} ({restoreStatuses}); the test value is still in place.'],
+    remediation: ['Set {notRestoredNodes} back to the original value shown in the report by hand, then check why the second write was refused.']
+  },
+  {
+    id: 'write-rejected',
+    title: 'The server rejects writes',
+    severity: 'warn',
+    when: ['writesFailed'],
+    confidence: 0.7,
+    support: ['writeAccessDenied'],
+    evidence: [
+      'Test writes to {writeFailedNodes} failed ({writeStatuses}).',
+      { fact: 'writeAccessDenied', text: 'Write access was refused, which points at access levels or user roles rather than the network.' }
+    ],
+    remediation: [
+      'Check the nodes\' AccessLevel/UserAccessLevel and the roles of the user ({identityType}).',
+      'Write the exact DataType the node declares.'
+    ]
+  },
+  {
+    id: 'write-not-kept',
+    title: 'A written value did not stick',
+    severity: 'info',
+    when: ['writesNotKept'],
+    confidence: 0.5,
+    evidence: ['The value read back from {notKeptNodes} differs from the test value written.'],
+    remediation: ['The server (or the device behind it) clamps, scales or overwrites the value; check the node\'s range and whether another writer owns it.']
+  },
+  {
+    id: 'read-failed',
+    title: 'Some nodes cannot be read',
+    severity: 'warn',
+    when: ['readsFailed'],
+    confidence: 0.6,
+    evidence: ['Reads of {readFailedNodes} failed ({readStatuses}).'],
+    remediation: [
+      'Check the NodeIds (namespace index and identifier) with the address space browser.',
+      'Check that the user may read the nodes.'
+    ]
+  },
+  {
+    id: 'method-failed',
+    title: 'The method call failed',
+    severity: 'warn',
+    when: ['methodFailed'],
+    confidence: 0.6,
+    evidence: ['Calling {methodId} failed: {methodFailure}'],
+    remediation: [
+      'Check that the method is a component of the object it is called on and that the arguments match its InputArguments.',
+      'Check that the user may execute the method and that the device allows it in its current mode.'
+    ]
+  },
+  {
+    id: 'no-publish-responses',
+    title: 'The subscription delivers no data',
+    severity: 'error',
+    when: ['noPublishResponses'],
+    confidence: 0.7,
+    evidence: ['No publish response (data or keep-alive) arrived during the {healthWindowSeconds} s health window.'],
+    remediation: [
+      'Check that the server is not overloaded and that publishing is enabled for the subscription.',
+      'Look for a device between client and server that drops idle connections.'
+    ]
+  },
+  {
+    id: 'publish-unhealthy',
+    title: 'Publish responses are delayed or lost',
+    severity: 'warn',
+    when: ['publishUnhealthy', '!noPublishResponses'],
+    confidence: 0.6,
+    support: ['sequenceGaps'],
+    evidence: [
+      { fact: 'publishStalled', text: 'Publish responses stalled for up to {maxPublishGapMs} ms (keep-alive period {keepAlivePeriodMs} ms).' },
+      { fact: 'sequenceGaps', text: '{missingMessages} notification message(s) were missing.' }
+    ],
+    remediation: [
+      'Check the load on the server and the network latency between client and server.',
+      'Raise the publishing interval or keep-alive count if the server cannot keep up.'
+    ]
+  },
+  {
+    id: 'callbacks-blocked-inbound',
+    title: 'No server callbacks: an inbound firewall is probably dropping them',
+    severity: 'warn',
+    when: ['noInbound', '!subscriptionFailed', '!unreachable'],
+    confidence: 0.55,
+    support: ['subscriptionOk', 'newListeners'],
+    evidence: [
+      { fact: 'subscriptionOk', text: 'The server is reachable and the subscription works.' },
+      'No incoming connection from {host} was seen while monitoring.',
+      { fact: 'newListeners', text: 'This machine opened listening port(s) {newPorts} for the subscription, but nothing connected to them.' }
+    ],
+    remediation: [
+      'Allow inbound TCP from {host} to this machine (host firewall inbound rule and any network firewall).',
+      'Check that the server calls back to an address of this machine it can reach (not a NAT or VPN address).'
+    ]
+  },
+  {
+    id: 'callbacks-half-open',
+    title: 'Server callbacks are blocked on the return path',
+    severity: 'warn',
+    when: ['inboundHalfOpen'],
+    confidence: 0.75,
+    evidence: ['{halfOpenCount} incoming connection(s) from the server never got past SYN_RECEIVED.'],
+    remediation: ['A firewall or asymmetric route drops this machine\'s replies; check outbound rules and the route back to {host}.']
+  },
+  {
+    id: 'reverse-connect-unreached',
+    title: 'The server does not reach this machine with Reverse Connect',
+    severity: 'error',
+    when: ['reverseUnreached'],
+    confidence: 0.65,
+    evidence: ['No ReverseHello arrived on port {reversePort}.'],
+    remediation: [
+      'Configure the server to reverse-connect to this machine\'s address and port {reversePort}.',
+      'Allow inbound TCP on port {reversePort} from the server.'
+    ]
+  },
+  {
+    id: 'reverse-connect-session',
+    title: 'Reverse Connect arrives but its session fails',
+    severity: 'warn',
+    when: ['reverseSessionFailed'],
+    confidence: 0.6,
+    evidence: ['The ReverseHello arrived, but the session over it failed ({reverseStatus}).'],
+    remediation: ['Check the server\'s security and user settings for reverse connections.']
+  },
+  {
+    id: 'capacity-below-advertised',
+    title: 'The server grants fewer resources than it advertises',
+    severity: 'warn',
+    when: ['capacityBelowAdvertised'],
+    confidence: 0.7,
+    evidence: ['The capacity test was refused before the advertised ServerCapabilities were reached: {capacityShortfall}.'],
+    remediation: [
+      'Check the server licence and configuration; licences often cap sessions, subscriptions or tags below the advertised limits.',
+      'Plan the integration around the measured limits, not the advertised ones.'
+    ]
+  },
+  {
+    id: 'capacity-not-released',
+    title: 'The capacity test could not release everything it created',
+    severity: 'warn',
+    when: ['capacityNotReleased'],
+    confidence: 0.8,
+    evidence: ['Releasing the test {capacityLeftOpen} failed.'],
+    remediation: ['The server frees them when their session times out; wait for that before commissioning other clients, or restart the server.']
+  },
+  {
+    id: 'unexplained-failure',
+    title: 'The probe failed for a reason no rule recognises',
+    severity: 'error',
+    when: ['probeFailed'],
+    confidence: 0.3,
+    fallback: true,
+    evidence: ['{failure}'],
+    remediation: ['Check the error details in the log file.']
+  },
+  {
+    id: 'no-fault',
+    title: 'No fault found',
+    severity: 'success',
+    when: ['!probeFailed'],
+    confidence: 0.6,
+    fallback: true,
+    support: ['sessionsOk', 'subscriptionOk', 'inboundEstablished'],
+    evidence: [
+      { fact: 'sessionsOk', text: 'Sessions were accepted.' },
+      { fact: 'subscriptionOk', text: 'The subscription was created and delivered data.' },
+      { fact: 'operationsOk', text: 'The configured reads, writes and method call succeeded.' },
+      { fact: 'capacityMeasured', text: 'Capacity test: {capacityReached}.' },
+      { fact: 'inboundEstablished', text: 'The server opened connections to this machine.' }
+    ],
+    remediation: ['Nothing to fix; keep this report as a baseline to compare later runs against.']
+  }
+];
+
+// The one-line overview: each stage reads its ok or failure fact
+const DIAGNOSIS_STAGES = [
+  { ok: 'reachable', okText: 'server reachable', failed: 'unreachable', failedText: 'server not reachable' },
+  { ok: 'sessionsOk', okText: 'sessions accepted', failed: 'allSessionsFailed', failedText: 'no session accepted' },
+  { ok: 'subscriptionOk', okText: 'subscription OK', failed: 'subscriptionFailed', failedText: 'subscription failed' },
+  { ok: 'readsWritesOk', okText: 'reads/writes OK', failed: 'readsWritesFailed', failedText: 'reads/writes failed' },
+  { ok: 'methodOk', okText: 'method call OK', failed: 'methodFailed', failedText: 'method call failed' },
+  { ok: 'inboundEstablished', okText: 'callbacks arrive', failed: 'noInbound', failedText: 'no callbacks' }
+];
+
+const SEVERITY_RANK = { error: 0, warn: 1, info: 2, success: 3 };
+
+const CERTIFICATE_STATUSES = ['BadCertificateUntrusted', 'BadSecurityChecksFailed', 'BadCertificateInvalid', 'BadCertificateUriInvalid', 'BadCertificateRevoked'];
+const IDENTITY_STATUSES = ['BadIdentityTokenRejected', 'BadIdentityTokenInvalid', 'BadUserAccessDenied', 'BadUserSignatureInvalid'];
+
+/**
+ * run: { result, errors, status, error, config } as in the JSON report (result is the
+ * worker's collected partial results). Returns a flat object of booleans and text values.
+ */
+function extractFacts(run) {
+  const result = run.result || {};
+  const config = run.config || {};
+  const pre = result.preflight;
+  const skipped = new Set((result.skippedSteps || []).map((s) => s.key));
+  const matrix = Array.isArray(result.securityMatrix) ? result.securityMatrix : [];
+  const sub = result.subscriptionResult;
+  const health = sub && sub.health;
+  const items = sub && Array.isArray(sub.items) ? sub.items : [];
+  const certs = Array.isArray(result.serverCertificates) ? result.serverCertificates : [];
+  const urls = result.endpointUrlCheck ? result.endpointUrlCheck.urls : [];
+  const connections = Array.isArray(result.connections) ? result.connections : null;
+  const inbound = (connections || []).filter((c) => c.direction !== 'outbound');
+  const rc = result.reverseConnect;
+
+  // Status codes and messages from everywhere, for rules keyed on a status name
+  const failureText = [
+    ...matrix.filter((r) => !r.success).map((r) => `${r.statusCode || ''} ${r.error || ''}`),
+    sub && !sub.success ? sub.error || '' : '',
+    ...(run.errors || []).map((e) => e.message),
+    run.error || ''
+  ].join(' ');
+  const mentioned = (codes) => codes.filter((code) => failureText.includes(code)).join(', ');
+
+  const certIssue = (code) => {
+    const issue = certs.flatMap((c) => c.issues || []).find((i) => i.code === code);
+    return issue ? issue.message : '';
+  };
+
+  const secure = matrix.filter((r) => r.securityMode === 2 || r.securityMode === 3);
+  const keepAlivePeriodMs = health ? health.revised.publishingInterval * health.revised.maxKeepAliveCount : 0;
+  const beforePorts = new Set((result.beforeListeners || []).map((l) => String(l.localPort)));
+  const newPorts = result.beforeListeners
+    ? [...new Set((result.afterListeners || []).map((l) => String(l.localPort)))].filter((p) => p && !beforePorts.has(p))
+    : [];
+  const stateNames = (c) => (c.states || [{ state: c.state }]).map((st) => st.state);
+  const established = inbound.filter((c) => stateNames(c).includes('ESTABLISHED'));
+  const halfOpen = inbound.filter((c) => !established.includes(c) && stateNames(c).includes('SYN_RECEIVED'));
+  const rejectedItems = items.filter((i) => i.statusCode !== 'Good');
+  const snapshot = result.serverSnapshot;
+  const counters = snapshot && snapshot.diagnostics.summary;
+  const limit = (key) => {
+    const entry = snapshot && snapshot.limits.find((l) => l.key === key);
+    return entry && entry.value > 0 ? entry.value : 0;
+  };
+  const ops = result.operations;
+  const opNodes = ops ? ops.nodes : [];
+  const failedOp = (op) => !!op && !op.skipped && op.statusCode !== 'Good';
+  const listNodes = (nodes) => [...new Set(nodes.map((n) => n.nodeId))].join(', ');
+  const listStatuses = (opsList) => [...new Set(opsList.map((op) => op.statusCode || 'no response'))].join(', ');
+  const readFailures = opNodes.filter((n) => failedOp(n.read));
+  const writeFailures = opNodes.filter((n) => failedOp(n.write));
+  const restoreFailures = opNodes.filter((n) => failedOp(n.restore));
+  const notKept = opNodes.filter((n) => n.verify && n.verify.statusCode === 'Good' && !n.verify.matches);
+  const call = ops && ops.method ? ops.method.call : null;
+  const capacity = result.capacity;
+  const capacityPhases = [['sessions', 'sessions'], ['subscriptions', 'subscriptions'], ['monitoredItems', 'monitored items']]
+    .filter(([key]) => capacity && capacity[key])
+    .map(([key, label]) => ({ label, ...capacity[key] }));
+  const configuredItems = Array.isArray(config.monitoredItems) && config.monitoredItems.length > 0
+    ? config.monitoredItems.length
+    : (Array.isArray(config.nodeIds) && config.nodeIds.length > 0 ? config.nodeIds.length : 1);
+
+  const facts = {
+    host: (pre && pre.host) || config.server || 'the server',
+    port: (pre && pre.port) || config.port || 4840,
+    identityType: (config.identity && config.identity.type) || 'Anonymous',
+
+    dnsOk: !!pre && pre.dns.ok,
+    dnsFailed: !!pre && pre.dns.ok === false,
+    dnsError: pre && pre.dns.error,
+    tcpFailed: !!pre && !pre.tcp.skipped && pre.tcp.ok === false,
+    tcpError: pre && pre.tcp.error,
+    helloOk: !!pre && pre.hello.ok === true,
+    helloFailed: !!pre && !pre.hello.skipped && pre.hello.ok === false,
+    helloError: pre && pre.hello.error,
+
+    noEndpoints: !skipped.has('endpoints') && !(result.endpoints && result.endpoints.length > 0),
+    certExpiredIssue: certIssue('Expired'),
+    certNotYetValidIssue: certIssue('NotYetValid'),
+
+    sessionsOk: matrix.some((r) => r.success),
+    allSessionsFailed: matrix.length > 0 && !matrix.some((r) => r.success),
+    secureSessionsFailed: secure.length > 0 && !secure.some((r) => r.success) && matrix.some((r) => r.success),
+    matrixCount: matrix.length,
+    matrixStatuses: [...new Set(matrix.map((r) => r.statusCode || 'unknown'))].join(', '),
+    certificateStatus: mentioned(CERTIFICATE_STATUSES),
+    identityStatus: mentioned(IDENTITY_STATUSES),
+
+    advertisedUnresolvable: urls.some((u) => !u.resolves),
+    advertisedMismatch: urls.some((u) => u.issues.some((i) => i.severity !== 'info')),
+    advertisedProven: !!(result.endpointUrlCheck && result.endpointUrlCheck.retry &&
+      !result.endpointUrlCheck.retry.advertised.success && result.endpointUrlCheck.retry.rewritten.success),
+    advertisedHostAlias: urls.some((u) => !u.hostMatches && u.sameAddress),
+    advertisedNames: [...new Set(urls.map((u) => u.host))].join(', '),
+    advertisedHosts: [...new Set(urls.filter((u) => u.issues.some((i) => i.severity !== 'info')).map((u) => u.host))].join(', '),
+
+    subscriptionOk: !!sub && sub.success,
+    subscriptionFailed: !!sub && !sub.success,
+    subscriptionError: sub && !sub.success ? sub.error : '',
+    subscriptionStatus: sub && !sub.success ? mentioned(['BadTooManySubscriptions', 'BadTooManyMonitoredItems']) : '',
+    rejectedItems: sub && sub.success ? rejectedItems.length : 0,
+    rejectedStatuses: [...new Set(rejectedItems.map((i) => i.statusCode))].join(', '),
+    nodeIdUnknown: rejectedItems.some((i) => /BadNodeId(Unknown|Invalid)/.test(i.statusCode || '')),
+
+    healthWindowSeconds: health ? health.windowMs / 1000 : 0,
+    noPublishResponses: !!health && health.notificationMessages + health.keepAlives === 0,
+    publishStalled: !!(health && health.publishIntervals && health.publishIntervals.maxMs > keepAlivePeriodMs * 1.5),
+    sequenceGaps: !!health && health.sequenceGaps > 0,
+    maxPublishGapMs: health && health.publishIntervals ? health.publishIntervals.maxMs : 0,
+    keepAlivePeriodMs,
+    missingMessages: health ? health.missingCount : 0,
+
+    noInbound: !!connections && inbound.length === 0,
+    inboundEstablished: established.length > 0,
+    inboundHalfOpen: halfOpen.length > 0 && established.length === 0,
+    halfOpenCount: halfOpen.length,
+    newListeners: newPorts.length > 0,
+    newPorts: newPorts.join(', '),
+
+    serverState: snapshot ? snapshot.state : '',
+    serverStartTime: snapshot && snapshot.startTime ? snapshot.startTime : 'the server started',
+    maxSessions: limit('MaxSessions'),
+    maxSubscriptions: limit('MaxSubscriptions'),
+    maxItemsPerCall: limit('MaxMonitoredItemsPerCall'),
+    monitoredItemCount: items.length || configuredItems,
+    currentSessions: counters ? counters.currentSessionCount : 0,
+    currentSubscriptions: counters ? counters.currentSubscriptionCount : 0,
+    rejectedSessions: counters ? counters.rejectedSessionCount : 0,
+    securityRejectedSessions: counters ? counters.securityRejectedSessionCount : 0,
+    tooManySessions: failureText.includes('BadTooManySessions'),
+    tooManyOperations: failureText.includes('BadTooManyOperations') || rejectedItems.some((i) => i.statusCode === 'BadTooManyOperations'),
+
+    readFailedNodes: listNodes(readFailures),
+    readStatuses: listStatuses(readFailures.map((n) => n.read)),
+    writeFailedNodes: listNodes(writeFailures),
+    writeStatuses: listStatuses(writeFailures.map((n) => n.write)),
+    writeAccessDenied: writeFailures.some((n) => /BadNotWritable|BadUserAccessDenied/.test(n.write.statusCode || '')),
+    notRestoredNodes: listNodes(restoreFailures),
+    restoreStatuses: listStatuses(restoreFailures.map((n) => n.restore)),
+    notKeptNodes: listNodes(notKept),
+    methodId: ops && ops.method ? ops.method.methodId : '',
+    methodFailed: failedOp(call),
+    methodFailure: call && call.statusCode !== 'Good' ? call.statusCode || call.error : '',
+
+    capacityReached: capacityPhases.map((p) => `${p.reached}${p.rejected ? '' : '+'} ${p.label}`).join(', '),
+    capacityShortfall: capacityPhases.filter((p) => p.belowAdvertised).map((p) => `${p.reached} ${p.label} of ${p.headroom} (${p.statusCode || 'no response'})`).join(', '),
+    capacityLeftOpen: capacityPhases.filter((p) => !p.released).map((p) => p.label).join(' and '),
+
+    reversePort: rc ? rc.listenPort : '',
+    reverseUnreached: !!rc && !rc.reached,
+    reverseSessionFailed: !!rc && rc.reached && !rc.session.success,
+    reverseStatus: rc && rc.reached && !rc.session.success ? rc.session.statusCode || rc.session.error : '',
+
+    probeFailed: run.status === 'failed',
+    failure: run.error || ''
+  };
+
+  facts.tcpRefused = facts.tcpFailed && /ECONNREFUSED/.test(facts.tcpError || '');
+  facts.tcpTimedOut = facts.tcpFailed && /ETIMEDOUT|EHOSTUNREACH|ENETUNREACH/.test(facts.tcpError || '');
+  facts.unreachable = facts.dnsFailed || facts.tcpFailed || facts.helloFailed;
+  facts.reachable = facts.helloOk || !!(result.endpoints && result.endpoints.length > 0);
+  facts.certExpired = !!facts.certExpiredIssue;
+  facts.certNotYetValid = !!facts.certNotYetValidIssue;
+  facts.certificateRejected = !!facts.certificateStatus;
+  facts.identityRejected = !!facts.identityStatus;
+  facts.tooManySubscriptions = !!facts.subscriptionStatus;
+  facts.endpointNotMatched = /End ?point must exist/i.test(failureText);
+  facts.itemsRejected = facts.rejectedItems > 0;
+  facts.publishUnhealthy = facts.publishStalled || facts.sequenceGaps;
+  facts.serverNotRunning = !!facts.serverState && facts.serverState !== 'Running';
+  facts.sessionsAtLimit = facts.maxSessions > 0 && facts.currentSessions >= facts.maxSessions;
+  facts.sessionLimitReached = facts.sessionsAtLimit || facts.tooManySessions;
+  facts.subscriptionsAtLimit = facts.maxSubscriptions > 0 && facts.currentSubscriptions >= facts.maxSubscriptions;
+  facts.itemsOverCallLimit = facts.maxItemsPerCall > 0 && facts.monitoredItemCount > facts.maxItemsPerCall;
+  facts.sessionRejections = facts.rejectedSessions > 0;
+  facts.readsFailed = !!facts.readFailedNodes;
+  facts.writesFailed = !!facts.writeFailedNodes;
+  facts.valuesNotRestored = !!facts.notRestoredNodes;
+  facts.writesNotKept = !!facts.notKeptNodes;
+  facts.readsWritesFailed = facts.readsFailed || facts.writesFailed || facts.valuesNotRestored;
+  facts.readsWritesOk = opNodes.length > 0 && !facts.readsWritesFailed;
+  facts.methodOk = !!call && !facts.methodFailed;
+  facts.operationsFailed = facts.readsWritesFailed || facts.methodFailed;
+  facts.operationsOk = !!ops && !facts.operationsFailed;
+  facts.capacityMeasured = capacityPhases.length > 0;
+  facts.capacityBelowAdvertised = !!facts.capacityShortfall;
+  facts.capacityNotReleased = !!facts.capacityLeftOpen;
+  return facts;
+}
+
+function factHolds(facts, condition) {
+  return condition.startsWith('!') ? !facts[condition.slice(1)] : !!facts[condition];
+}
+
+function fillTemplate(text, facts) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (facts[name] == null || facts[name] === '' ? '?' : String(facts[name])));
+}
+
+function evaluateRule(rule, facts) {
+  const supporting = (rule.support || []).filter((fact) => facts[fact]).length;
+  return {
+    id: rule.id,
+    title: rule.title,
+    severity: rule.severity,
+    confidence: Math.min(0.95, Math.round((rule.confidence + 0.1 * supporting) * 100) / 100),
+    evidence: rule.evidence
+      .filter((e) => typeof e === 'string' || facts[e.fact])
+      .map((e) => fillTemplate(typeof e === 'string' ? e : e.text, facts)),
+    remediation: rule.remediation.map((text) => fillTemplate(text, facts))
+  };
+}
+
+/**
+ * Returns { overview, verdicts } where verdicts ({ id, title, severity, confidence 0-1,
+ * evidence[], remediation[] }) are ordered most likely first; errors outrank warnings of
+ * equal confidence.
+ */
+function diagnose(run, rules = DIAGNOSIS_RULES) {
+  const facts = extractFacts(run);
+  const fires = (rule) => rule.when.every((condition) => factHolds(facts, condition));
+  let matched = rules.filter((rule) => !rule.fallback && fires(rule));
+  if (matched.length === 0) matched = rules.filter((rule) => rule.fallback && fires(rule));
+
+  const verdicts = matched
+    .map((rule) => evaluateRule(rule, facts))
+    .sort((a, b) => b.confidence - a.confidence || SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+
+  const stages = DIAGNOSIS_STAGES
+    .map((stage) => (facts[stage.ok] ? stage.okText : facts[stage.failed] ? stage.failedText : null))
+    .filter(Boolean);
+  const overview = stages.length > 0 ? stages.join(', ') : 'the probe collected too little to judge the stages';
+
+  return { overview: overview.charAt(0).toUpperCase() + overview.slice(1), verdicts };
+}
+
+function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)} %`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DIAGNOSIS_RULES, extractFacts, diagnose, formatConfidence };
+}
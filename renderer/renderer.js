@@ -5,16 +5,78 @@
 
 const runBtn = document.getElementById('runBtn');
 const cancelBtn = document.getElementById('cancelBtn');
+const exportBtn = document.getElementById('exportBtn');
 const serverEl = document.getElementById('server');
 const portEl = document.getElementById('port');
 const nodeidEl = document.getElementById('nodeid');
 const publishingEl = document.getElementById('publishing');
+const healthWindowEl = document.getElementById('healthWindow');
+const reversePortEl = document.getElementById('reversePort');
+const reverseWaitEl = document.getElementById('reverseWait');
+const operationNodesEl = document.getElementById('operationNodes');
+const methodObjectEl = document.getElementById('methodObject');
+const methodIdEl = document.getElementById('methodId');
+const methodArgsEl = document.getElementById('methodArgs');
+const capacitySessionsEl = document.getElementById('capacitySessions');
+const capacitySubscriptionsEl = document.getElementById('capacitySubscriptions');
+const capacityItemsEl = document.getElementById('capacityItems');
+const identityTypeEl = document.getElementById('identityType');
+const userNameEl = document.getElementById('userName');
+const passwordEl = document.getElementById('password');
+const certificateFileEl = document.getElementById('certificateFile');
+const privateKeyFileEl = document.getElementById('privateKeyFile');
 const progressFill = document.getElementById('progressFill');
 const currentTask = document.getElementById('currentTask');
 const progressPercentLabel = document.getElementById('progressPercent');
 const resultsEl = document.getElementById('results');
+const diagnosisEl = document.getElementById('diagnosis');
 const statusChip = document.getElementById('statusChip');
 const themeToggle = document.getElementById('themeToggle');
+const historyListEl = document.getElementById('historyList');
+const historyRefreshBtn = document.getElementById('historyRefreshBtn');
+const historyCompareBtn = document.getElementById('historyCompareBtn');
+const batchImportBtn = document.getElementById('batchImportBtn');
+const batchCredentialsBtn = document.getElementById('batchCredentialsBtn');
+const batchConcurrencyEl = document.getElementById('batchConcurrency');
+const batchRunBtn = document.getElementById('batchRunBtn');
+const batchCancelBtn = document.getElementById('batchCancelBtn');
+const batchExportBtn = document.getElementById('batchExportBtn');
+const batchStatusEl = document.getElementById('batchStatus');
+const batchTable = document.getElementById('batchTable');
+const batchRowsEl = document.getElementById('batchRows');
+const watchIntervalEl = document.getElementById('watchInterval');
+const watchLightweightEl = document.getElementById('watchLightweight');
+const watchStartBtn = document.getElementById('watchStartBtn');
+const watchStopBtn = document.getElementById('watchStopBtn');
+const watchStatusEl = document.getElementById('watchStatus');
+const watchStatsEl = document.getElementById('watchStats');
+const browseBtn = document.getElementById('browseBtn');
+const browseDialog = document.getElementById('browseDialog');
+const browseCloseBtn = document.getElementById('browseCloseBtn');
+const browseStatusEl = document.getElementById('browseStatus');
+const browseTreeEl = document.getElementById('browseTree');
+const browseAddBtn = document.getElementById('browseAddBtn');
+const discoveryUrlEl = document.getElementById('discoveryUrl');
+const discoverBtn = document.getElementById('discoverBtn');
+const discoveryStatusEl = document.getElementById('discoveryStatus');
+const discoveryListEl = document.getElementById('discoveryList');
+const profileSelectEl = document.getElementById('profileSelect');
+const profileNameEl = document.getElementById('profileName');
+const profileSaveBtn = document.getElementById('profileSaveBtn');
+const profileRenameBtn = document.getElementById('profileRenameBtn');
+const profileDeleteBtn = document.getElementById('profileDeleteBtn');
+const profileImportBtn = document.getElementById('profileImportBtn');
+const profileExportBtn = document.getElementById('profileExportBtn');
+const profileStatusEl = document.getElementById('profileStatus');
+const selfTestScenarioEl = document.getElementById('selfTestScenario');
+const selfTestPortEl = document.getElementById('selfTestPort');
+const selfTestAnonymousEl = document.getElementById('selfTestAnonymous');
+const selfTestUserEl = document.getElementById('selfTestUser');
+const selfTestPasswordEl = document.getElementById('selfTestPassword');
+const selfTestVariablesEl = document.getElementById('selfTestVariables');
+const selfTestStartBtn = document.getElementById('selfTestStartBtn');
+const selfTestStopBtn = document.getElementById('selfTestStopBtn');
+const selfTestStatusEl = document.getElementById('selfTestStatus');
 
 function setProgress(percent) {
   const clamped = Math.max(0, Math.min(100, percent || 0));
@@ -75,11 +137,84 @@ themeToggle.addEventListener('click', toggleTheme);
   }
 })();
 
+// Shows only the form rows that belong to the selected identity type
+function updateIdentityFields() {
+  const type = identityTypeEl.value;
+  for (const row of document.querySelectorAll('[data-identity]')) {
+    row.hidden = row.dataset.identity !== type;
+  }
+}
+
+identityTypeEl.addEventListener('change', updateIdentityFields);
+updateIdentityFields();
+
+function readIdentity() {
+  const type = identityTypeEl.value;
+  if (type === 'UserName') {
+    return { type, userName: userNameEl.value.trim(), password: passwordEl.value };
+  }
+  if (type === 'Certificate') {
+    return {
+      type,
+      certificateFile: certificateFileEl.value.trim(),
+      privateKeyFile: privateKeyFileEl.value.trim()
+    };
+  }
+  return { type: 'Anonymous' };
+}
+
 function clearResults() {
   resultsEl.innerHTML = '<div id="resultsEmpty">No results yet.</div>';
+  diagnosisEl.hidden = true;
+  diagnosisEl.innerHTML = '';
 }
 
-function addLogEntry({ title, message, severity = 'info' }) {
+function appendDiagnosisList(parent, label, lines) {
+  if (lines.length === 0) return;
+  const heading = document.createElement('div');
+  heading.className = 'diagnosis-label';
+  heading.textContent = label;
+  const list = document.createElement('ul');
+  list.className = 'diagnosis-list';
+  for (const line of lines) {
+    const item = document.createElement('li');
+    item.textContent = line;
+    list.appendChild(item);
+  }
+  parent.append(heading, list);
+}
+
+// Ranked verdicts from renderer/diagnosis.js, shown above the live output
+function renderDiagnosis(diagnosis) {
+  diagnosisEl.innerHTML = '';
+  const overview = document.createElement('div');
+  overview.className = 'diagnosis-overview';
+  overview.textContent = `Diagnosis: ${diagnosis.overview}.`;
+  diagnosisEl.appendChild(overview);
+
+  for (const verdict of diagnosis.verdicts) {
+    const container = document.createElement('div');
+    container.className = 'log-entry log-entry--' + verdict.severity;
+
+    const header = document.createElement('div');
+    header.className = 'log-entry-header';
+    const titleEl = document.createElement('div');
+    titleEl.className = 'log-entry-title';
+    titleEl.textContent = verdict.title;
+    const confidenceEl = document.createElement('div');
+    confidenceEl.className = 'log-entry-time';
+    confidenceEl.textContent = `confidence ${formatConfidence(verdict.confidence)}`;
+    header.append(titleEl, confidenceEl);
+    container.appendChild(header);
+
+    appendDiagnosisList(container, 'Evidence', verdict.evidence);
+    appendDiagnosisList(container, 'Remediation', verdict.remediation);
+    diagnosisEl.appendChild(container);
+  }
+  diagnosisEl.hidden = false;
+}
+
+function addLogEntry({ title, message, severity = 'info', table = null }) {
   const empty = document.getElementById('resultsEmpty');
   if (empty) empty.remove();
 
@@ -110,213 +245,118 @@ function addLogEntry({ title, message, severity = 'info' }) {
   container.appendChild(header);
   container.appendChild(body);
 
+  // Optional detail table: { headers: [...], rows: [[...], ...] }
+  if (table && Array.isArray(table.rows) && table.rows.length > 0) {
+    container.appendChild(buildTable(table));
+  }
+
   // Add to results container and auto-scroll to bottom
   resultsEl.appendChild(container);
   resultsEl.scrollTop = resultsEl.scrollHeight;
 }
 
-// Result summarization: converts raw diagnostic data into human-readable summaries
-let baselineListeners = null;
-let afterListeners = null;
+function buildTable({ headers, rows }) {
+  const tableEl = document.createElement('table');
+  tableEl.className = 'log-entry-table';
 
-function summarizeEndpoints(endpoints) {
-  if (!Array.isArray(endpoints) || endpoints.length === 0) {
-    return {
-      severity: 'error',
-      text: 'The server did not return any OPC UA endpoints. This usually means the endpoint URL or port is wrong, or the server refused the connection.'
-    };
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  for (const h of headers || []) {
+    const th = document.createElement('th');
+    th.textContent = h;
+    headRow.appendChild(th);
   }
-
-  const total = endpoints.length;
-  let noneCount = 0;
-  let modernCount = 0;
-  let legacyCount = 0;
-  const policies = new Set();
-
-  for (const e of endpoints) {
-    const uri = (e.securityPolicyUri || '').toString();
-    if (!uri) continue;
-    const lower = uri.toLowerCase();
-    policies.add(uri);
-    if (lower.includes('none')) {
-      noneCount++;
-    } else if (lower.includes('aes')) {
-      modernCount++;
-    } else if (lower.includes('basic128') || lower.includes('basic256')) {
-      legacyCount++;
+  thead.appendChild(headRow);
+  tableEl.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    for (const cell of row) {
+      const td = document.createElement('td');
+      td.textContent = cell == null ? '' : String(cell);
+      tr.appendChild(td);
     }
+    tbody.appendChild(tr);
   }
+  tableEl.appendChild(tbody);
+  return tableEl;
+}
 
-  const policyList = Array.from(policies);
-  let parts = [];
-  parts.push(`The server advertised ${total} OPC UA endpoint(s).`);
-
-  if (noneCount > 0) {
-    parts.push(`${noneCount} endpoint(s) use no encryption (SecurityPolicy.None).`);
-  }
-  if (legacyCount > 0) {
-    parts.push(`${legacyCount} endpoint(s) use legacy RSA-based security policies (Basic128/256).`);
-  }
-  if (modernCount > 0) {
-    parts.push(`${modernCount} endpoint(s) use modern AES-based security policies.`);
-  }
-  if (policyList.length > 0) {
-    parts.push(`Security policies seen: ${policyList.join(', ')}.`);
-  }
+// Per-run state shared between partial results (see narrateResult in summaries.js)
+let narrativeContext = {};
 
-  let severity = 'success';
-  if (modernCount === 0 && noneCount > 0 && legacyCount === 0) {
-    severity = 'warn';
-  }
+// Report files written by the worker for the last run ({ json, html, log })
+let lastReportFiles = null;
 
-  return { severity, text: parts.join(' ') };
+function setReportFiles(files) {
+  lastReportFiles = files && files.html && files.json ? files : null;
+  exportBtn.disabled = !lastReportFiles;
 }
 
-function getUniquePorts(listeners) {
-  const ports = new Set();
-  for (const l of listeners || []) {
-    if (l.localPort) ports.add(String(l.localPort));
-  }
-  return Array.from(ports);
+function readLines(textarea) {
+  return textarea.value.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
 }
 
-function summarizeBeforeListeners(before) {
-  baselineListeners = Array.isArray(before) ? before : [];
-  const ports = getUniquePorts(baselineListeners);
-
-  if (baselineListeners.length === 0) {
-    return {
-      severity: 'info',
-      text: 'Before creating a subscription, no listening TCP sockets were captured for this process. This is the baseline used for comparison.'
-    };
-  }
-
-  let portText;
-  if (ports.length === 0) {
-    portText = 'no specific ports could be parsed.';
-  } else if (ports.length <= 5) {
-    portText = `ports ${ports.join(', ')}.`;
-  } else {
-    portText = `ports ${ports.slice(0, 5).join(', ')} and additional ports.`;
-  }
+// The NodeId field holds one NodeId per line
+function readNodeIds() {
+  return readLines(nodeidEl);
+}
 
+// Read/write/method checks (lib/operations.js); null when none are filled in.
+// writesConfirmed is only ever set by the run button after its confirmation dialog.
+function readOperations() {
+  const nodes = readLines(operationNodesEl);
+  const objectId = methodObjectEl.value.trim();
+  const methodId = methodIdEl.value.trim();
+  if (nodes.length === 0 && !objectId && !methodId) return null;
   return {
-    severity: 'info',
-    text: `Before the subscription, the tool saw ${baselineListeners.length} listening TCP socket(s) on ${portText}`
+    nodes,
+    method: objectId || methodId ? { objectId, methodId, arguments: readLines(methodArgsEl) } : null
   };
 }
 
-function summarizeSubscriptionResult(sub) {
-  if (!sub) {
-    return {
-      severity: 'warn',
-      text: 'No information was returned about the subscription attempt.'
-    };
-  }
-
-  if (sub.success) {
-    const node = sub.nodeMonitored || 'the default status node';
-    return {
-      severity: 'success',
-      text: `The tool successfully created a subscription and monitored ${node}. This confirms the server accepted the subscription on the selected endpoint.`
-    };
-  } else {
-    const err = sub.error ? shortenError(sub.error) : 'an unspecified error occurred.';
-    return {
-      severity: 'error',
-      text: `The tool could not maintain a subscription. The server likely rejected the monitored item or closed the session early. Details: ${err}`
-    };
-  }
+// Capacity test caps (lib/capacity.js); null when none is entered, which keeps the test off
+function readCapacity() {
+  const cap = (el) => {
+    const n = parseInt(el.value, 10);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  };
+  const capacity = {
+    sessions: cap(capacitySessionsEl),
+    subscriptions: cap(capacitySubscriptionsEl),
+    monitoredItems: cap(capacityItemsEl)
+  };
+  return Object.values(capacity).some(Boolean) ? capacity : null;
 }
 
-function summarizeAfterListeners(after) {
-  afterListeners = Array.isArray(after) ? after : [];
-  const portsAfter = getUniquePorts(afterListeners);
-
-  if (!baselineListeners) {
-    if (afterListeners.length === 0) {
-      return {
-        severity: 'info',
-        text: 'After the subscription step, no listening TCP sockets were captured.'
-      };
-    }
-    let portText;
-    if (portsAfter.length === 0) {
-      portText = 'no specific ports could be parsed.';
-    } else if (portsAfter.length <= 5) {
-      portText = `ports ${portsAfter.join(', ')}.`;
-    } else {
-      portText = `ports ${portsAfter.slice(0, 5).join(', ')} and additional ports.`;
+// Step toggles and their seconds field; only values that differ from the defaults are sent
+// (connection monitoring's field is its duration, the others are timeouts; see lib/steps.js)
+function readSteps() {
+  const steps = {};
+  for (const toggle of document.querySelectorAll('[data-step]')) {
+    const key = toggle.dataset.step;
+    const seconds = parseInt(document.querySelector(`[data-step-seconds="${key}"]`).value, 10);
+    const step = {};
+    if (!toggle.checked) step.enabled = false;
+    if (Number.isFinite(seconds) && seconds > 0) {
+      step[key === 'connectionMonitoring' ? 'durationSeconds' : 'timeoutSeconds'] = seconds;
     }
-    return {
-      severity: 'info',
-      text: `After the subscription, the tool saw ${afterListeners.length} listening TCP socket(s) on ${portText}`
-    };
-  }
-
-  const portsBefore = new Set(getUniquePorts(baselineListeners));
-  const newPorts = portsAfter.filter((p) => !portsBefore.has(p));
-
-  if (afterListeners.length === 0) {
-    return {
-      severity: 'warn',
-      text: 'After the subscription, no listening TCP sockets were captured. This suggests the client did not keep a separate callback listener open.'
-    };
+    if (Object.keys(step).length > 0) steps[key] = step;
   }
-
-  if (newPorts.length === 0) {
-    return {
-      severity: 'info',
-      text: 'The set of listening ports did not change after creating the subscription. The OPC UA client likely reused existing ports for callbacks.'
-    };
-  }
-
-  let text;
-  if (newPorts.length <= 5) {
-    text = `New listening port(s) appeared after the subscription: ${newPorts.join(', ')}.`;
-  } else {
-    text = `Several new listening ports appeared after the subscription, including ${newPorts.slice(0, 5).join(', ')}.`;
-  }
-
-  return {
-    severity: 'info',
-    text: `After creating the subscription, the tool saw ${afterListeners.length} listening TCP socket(s). ${text}`
-  };
+  return steps;
 }
 
-function summarizeConnections(connections) {
-  if (!Array.isArray(connections) || connections.length === 0) {
-    return {
-      severity: 'warn',
-      text: 'No incoming TCP connections from the server’s IP were observed during the monitoring window. This may mean the server is not attempting callbacks, cannot reach this machine, or a firewall is blocking the traffic.'
-    };
+function applySteps(steps) {
+  for (const toggle of document.querySelectorAll('[data-step]')) {
+    const step = (steps || {})[toggle.dataset.step] || {};
+    toggle.checked = step.enabled !== false;
+    document.querySelector(`[data-step-seconds="${toggle.dataset.step}"]`).value = step.timeoutSeconds || step.durationSeconds || '';
   }
-
-  const total = connections.length;
-  const last = connections[connections.length - 1];
-
-  const src = (last.remoteAddress || 'server');
-  const srcPort = (last.remotePort || '');
-  const dst = (last.localAddress || 'this machine');
-  const dstPort = (last.localPort || '');
-  const state = (last.state || 'unknown');
-
-  const details = `One example connection was from ${src}${srcPort ? ':' + srcPort : ''} to ${dst}${dstPort ? ':' + dstPort : ''} with state "${state}".`;
-
-  return {
-    severity: 'success',
-    text: `The tool observed ${total} incoming TCP connection attempt(s) from the server’s IP during the monitoring window. ${details}`
-  };
 }
 
-function shortenError(text) {
-  if (!text) return '';
-  const s = String(text).replace(/\s+/g, ' ').trim();
-  if (s.length > 220) return s.slice(0, 217) + '…';
-  return s;
-}
-
-runBtn.addEventListener('click', () => {
+// Probe configuration from the form, with the same defaults the worker applies
+function readProbeConfig() {
   let port = parseInt(portEl.value, 10);
   if (!Number.isFinite(port) || port <= 0 || port > 65535) {
     port = 4840;
@@ -327,21 +367,54 @@ runBtn.addEventListener('click', () => {
     ? publishing
     : 250;
 
+  const healthWindow = parseInt(healthWindowEl.value, 10);
+  const healthWindowSeconds = Number.isFinite(healthWindow) && healthWindow > 0
+    ? healthWindow
+    : 10;
+
+  // Reverse Connect is off unless a listen port is entered
+  const reversePort = parseInt(reversePortEl.value, 10);
+  const reverseWait = parseInt(reverseWaitEl.value, 10);
+  const reverseConnect = Number.isFinite(reversePort) && reversePort > 0 && reversePort <= 65535
+    ? { port: reversePort, waitSeconds: Number.isFinite(reverseWait) && reverseWait > 0 ? reverseWait : 60 }
+    : null;
+
   let server = serverEl.value.trim();
   if (server.toLowerCase().startsWith('opc.tcp://')) {
     server = server.slice('opc.tcp://'.length);
   }
 
-  const cfg = {
+  const nodeIds = readNodeIds();
+
+  return {
     server,
     port,
-    nodeId: nodeidEl.value || 'ns=0;i=2258',
-    publishingInterval
+    nodeId: nodeIds[0] || 'ns=0;i=2258',
+    nodeIds,
+    publishingInterval,
+    healthWindowSeconds,
+    reverseConnect,
+    operations: readOperations(),
+    capacity: readCapacity(),
+    steps: readSteps(),
+    identity: readIdentity()
   };
+}
+
+runBtn.addEventListener('click', async () => {
+  const cfg = readProbeConfig();
+
+  // Nothing is written to the server without an explicit confirmation for this run
+  const writes = cfg.operations ? cfg.operations.nodes.filter((line) => /\|\s*write\s*=/i.test(line)) : [];
+  if (writes.length > 0) {
+    const choice = await window.electronAPI.confirmWrites(writes);
+    if (choice === 'cancel') return;
+    cfg.operations.writesConfirmed = choice === 'write';
+  }
 
   runBtn.disabled = true;
-  baselineListeners = null;
-  afterListeners = null;
+  narrativeContext = {};
+  setReportFiles(null);
   setProgress(5);
   currentTask.innerText = 'Starting probe…';
   setStatus('running');
@@ -358,6 +431,7 @@ runBtn.addEventListener('click', () => {
 
 cancelBtn.addEventListener('click', () => {
   window.electronAPI.cancelProbe();
+  selfTestRun = null;
   addLogEntry({
     title: 'Probe',
     severity: 'warn',
@@ -369,6 +443,18 @@ cancelBtn.addEventListener('click', () => {
   setStatus('idle');
 });
 
+exportBtn.addEventListener('click', async () => {
+  if (!lastReportFiles) return;
+  try {
+    const saved = await window.electronAPI.exportReport(lastReportFiles);
+    if (saved) {
+      addLogEntry({ title: 'Report', severity: 'info', message: `Report exported to ${saved}.` });
+    }
+  } catch (err) {
+    addLogEntry({ title: 'Report', severity: 'error', message: `The report could not be exported: ${shortenError(err && err.message)}` });
+  }
+});
+
 window.addEventListener('keydown', (e) => {
   if (e.ctrlKey && e.key === 'Enter') runBtn.click();
 });
@@ -388,6 +474,8 @@ window.electronAPI.onProbeEvent((msg) => {
 
     case 'result-final':
       handleFinalResult();
+      finishSelfTestRun();
+      setReportFiles(msg.reportFiles);
       runBtn.disabled = false;
       setProgress(100);
       currentTask.innerText = 'Complete';
@@ -414,10 +502,13 @@ window.electronAPI.onProbeEvent((msg) => {
         setStatus('idle');
       }
       runBtn.disabled = false;
+      loadHistory();
       break;
 
     case 'error':
-      handleErrorMessage(msg.error);
+      handleErrorMessage(msg.error, msg.status);
+      finishSelfTestRun();
+      setReportFiles(msg.reportFiles);
       runBtn.disabled = false;
       currentTask.innerText = 'Error';
       setStatus('error');
@@ -426,52 +517,882 @@ window.electronAPI.onProbeEvent((msg) => {
 });
 
 function handlePartialResult(payload) {
-  if (!payload || typeof payload !== 'object') return;
+  if (payload && payload.diagnosis) renderDiagnosis(payload.diagnosis);
+  for (const entry of narrateResult(payload, narrativeContext)) {
+    addLogEntry(entry);
+    if (selfTestRun) selfTestRun.entries.push(entry);
+  }
+}
+
+// status is the StatusCode decoded by the worker (lib/statuscodes.js), when the error carried one
+function handleErrorMessage(error, status) {
+  let msg = error ? shortenError(error) : 'An unknown error occurred in the worker.';
+  if (status) msg = `${describeStatusCode(status)} Error: ${msg}`;
+  addLogEntry({
+    title: 'Error',
+    severity: 'error',
+    message: msg
+  });
+}
+
+function handleFinalResult() {
+  addLogEntry({
+    title: 'Probe',
+    severity: 'success',
+    message: 'The probe has completed. Review the entries above for detailed results.'
+  });
+}
+
+// --- Probe profiles ---
 
-  // Display endpoint security analysis
-  if (payload.endpoints) {
-    const { severity, text } = summarizeEndpoints(payload.endpoints);
-    addLogEntry({ title: 'Endpoint Security', severity, message: text });
+// Saved as [{ name, config, savedAt }]; config is readProbeConfig() without the password
+const PROFILES_KEY = 'opcuaProfiles';
+const LAST_PROFILE_KEY = 'opcuaLastProfile';
+
+function loadProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (_) {
+    return [];
   }
+}
+
+function storeProfiles(profiles) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch (_) {}
+}
 
-  // Display baseline listening ports (before subscription)
-  if (payload.beforeListeners) {
-    const { severity, text } = summarizeBeforeListeners(payload.beforeListeners);
-    addLogEntry({ title: 'Baseline Listeners', severity, message: text });
+function rememberProfile(name) {
+  try {
+    if (name) localStorage.setItem(LAST_PROFILE_KEY, name);
+    else localStorage.removeItem(LAST_PROFILE_KEY);
+  } catch (_) {}
+}
+
+// The password is typed per session and never stored
+function profileConfig() {
+  const config = readProbeConfig();
+  if (config.identity.password !== undefined) {
+    const { password, ...identity } = config.identity;
+    config.identity = identity;
+  }
+  return config;
+}
+
+// Fills the probe form from a saved config; fields the config lacks fall back to the form defaults
+function applyProbeConfig(config) {
+  serverEl.value = config.server || '';
+  portEl.value = config.port || 4840;
+  nodeidEl.value = (config.nodeIds && config.nodeIds.length > 0 ? config.nodeIds : [config.nodeId || 'ns=0;i=2258']).join('\n');
+  publishingEl.value = config.publishingInterval || 250;
+  healthWindowEl.value = config.healthWindowSeconds || 10;
+  reversePortEl.value = config.reverseConnect ? config.reverseConnect.port : '';
+  reverseWaitEl.value = config.reverseConnect ? config.reverseConnect.waitSeconds : 60;
+  const operations = config.operations || {};
+  operationNodesEl.value = (operations.nodes || []).join('\n');
+  methodObjectEl.value = operations.method ? operations.method.objectId || '' : '';
+  methodIdEl.value = operations.method ? operations.method.methodId || '' : '';
+  methodArgsEl.value = operations.method ? (operations.method.arguments || []).join('\n') : '';
+  const capacity = config.capacity || {};
+  capacitySessionsEl.value = capacity.sessions || '';
+  capacitySubscriptionsEl.value = capacity.subscriptions || '';
+  capacityItemsEl.value = capacity.monitoredItems || '';
+  applySteps(config.steps);
+
+  const identity = config.identity || { type: 'Anonymous' };
+  identityTypeEl.value = ['UserName', 'Certificate'].includes(identity.type) ? identity.type : 'Anonymous';
+  userNameEl.value = identity.userName || '';
+  passwordEl.value = '';
+  certificateFileEl.value = identity.certificateFile || '';
+  privateKeyFileEl.value = identity.privateKeyFile || '';
+  updateIdentityFields();
+}
+
+function renderProfiles(selected) {
+  const profiles = loadProfiles();
+  profileSelectEl.innerHTML = '';
+  const unsaved = document.createElement('option');
+  unsaved.value = '';
+  unsaved.textContent = '(unsaved)';
+  profileSelectEl.appendChild(unsaved);
+  for (const profile of profiles) {
+    const option = document.createElement('option');
+    option.value = profile.name;
+    option.textContent = profile.name;
+    profileSelectEl.appendChild(option);
+  }
+  profileSelectEl.value = profiles.some((p) => p.name === selected) ? selected : '';
+  profileNameEl.value = profileSelectEl.value;
+  profileRenameBtn.disabled = !profileSelectEl.value;
+  profileDeleteBtn.disabled = !profileSelectEl.value;
+  profileExportBtn.disabled = profiles.length === 0;
+}
+
+profileSelectEl.addEventListener('change', () => {
+  const name = profileSelectEl.value;
+  const profile = loadProfiles().find((p) => p.name === name);
+  if (profile) {
+    applyProbeConfig(profile.config);
+    profileStatusEl.textContent = profile.config.identity && profile.config.identity.type === 'UserName'
+      ? 'Loaded; enter the password before running.'
+      : 'Loaded.';
+  } else {
+    profileStatusEl.textContent = '';
   }
+  rememberProfile(name);
+  renderProfiles(name);
+});
 
-  // Display subscription creation result
-  if (payload.subscriptionResult) {
-    const { severity, text } = summarizeSubscriptionResult(payload.subscriptionResult);
-    addLogEntry({ title: 'Subscription', severity, message: text });
+// Saving under an existing name overwrites that profile
+profileSaveBtn.addEventListener('click', () => {
+  const name = profileNameEl.value.trim();
+  if (!name) {
+    profileStatusEl.textContent = 'Enter a profile name.';
+    return;
   }
+  const profiles = loadProfiles().filter((p) => p.name !== name);
+  profiles.push({ name, config: profileConfig(), savedAt: new Date().toISOString() });
+  profiles.sort((a, b) => a.name.localeCompare(b.name));
+  storeProfiles(profiles);
+  rememberProfile(name);
+  renderProfiles(name);
+  profileStatusEl.textContent = `Saved "${name}".`;
+});
 
-  // Display listening ports after subscription (for comparison)
-  if (payload.afterListeners) {
-    const { severity, text } = summarizeAfterListeners(payload.afterListeners);
-    addLogEntry({ title: 'Post-Subscription Listeners', severity, message: text });
+profileRenameBtn.addEventListener('click', () => {
+  const from = profileSelectEl.value;
+  const to = profileNameEl.value.trim();
+  if (!from) return;
+  if (!to || to === from) {
+    profileStatusEl.textContent = 'Type the new name in the name field, then press Rename.';
+    return;
   }
+  const profiles = loadProfiles();
+  if (profiles.some((p) => p.name === to)) {
+    profileStatusEl.textContent = `A profile named "${to}" already exists.`;
+    return;
+  }
+  for (const profile of profiles) {
+    if (profile.name === from) profile.name = to;
+  }
+  profiles.sort((a, b) => a.name.localeCompare(b.name));
+  storeProfiles(profiles);
+  rememberProfile(to);
+  renderProfiles(to);
+  profileStatusEl.textContent = `Renamed "${from}" to "${to}".`;
+});
+
+profileDeleteBtn.addEventListener('click', () => {
+  const name = profileSelectEl.value;
+  if (!name) return;
+  storeProfiles(loadProfiles().filter((p) => p.name !== name));
+  rememberProfile(null);
+  renderProfiles(null);
+  profileStatusEl.textContent = `Deleted "${name}".`;
+});
 
-  // Display server callback connection attempts
-  if (payload.connections) {
-    const { severity, text } = summarizeConnections(payload.connections);
-    addLogEntry({ title: 'Server Callbacks', severity, message: text });
+// Imported profiles replace saved ones with the same name; the rest are kept
+profileImportBtn.addEventListener('click', async () => {
+  try {
+    const imported = await window.electronAPI.importProfiles();
+    if (!imported) return;
+    const names = new Set(imported.profiles.map((p) => p.name));
+    const savedAt = new Date().toISOString();
+    const profiles = loadProfiles()
+      .filter((p) => !names.has(p.name))
+      .concat(imported.profiles.map((p) => ({ ...p, savedAt })));
+    profiles.sort((a, b) => a.name.localeCompare(b.name));
+    storeProfiles(profiles);
+    renderProfiles(profileSelectEl.value);
+    profileStatusEl.textContent = `Imported ${imported.profiles.length} profile(s) from ${imported.file.split(/[\\/]/).pop()}.`;
+  } catch (err) {
+    profileStatusEl.textContent = `Import failed: ${shortenError(err && err.message)}`;
+  }
+});
+
+profileExportBtn.addEventListener('click', async () => {
+  try {
+    const file = await window.electronAPI.exportProfiles(loadProfiles());
+    if (file) profileStatusEl.textContent = `Exported to ${file}.`;
+  } catch (err) {
+    profileStatusEl.textContent = `Export failed: ${shortenError(err && err.message)}`;
+  }
+});
+
+// Restores the profile that was selected when the app was last closed
+(function initProfiles() {
+  let last = null;
+  try {
+    last = localStorage.getItem(LAST_PROFILE_KEY);
+  } catch (_) {}
+  const profile = loadProfiles().find((p) => p.name === last);
+  if (profile) applyProbeConfig(profile.config);
+  renderProfiles(profile ? profile.name : null);
+})();
+
+// --- Probe history ---
+
+let historyRuns = [];
+const historySelection = new Set();
+
+function updateCompareButton() {
+  historyCompareBtn.disabled = historySelection.size !== 2;
+}
+
+function renderHistory() {
+  historyListEl.innerHTML = '';
+  if (historyRuns.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'helper-text';
+    empty.textContent = 'No past runs found.';
+    historyListEl.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'history-table';
+  const head = document.createElement('tr');
+  for (const label of ['', 'Time', 'Server', 'Result', '']) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  }
+  table.appendChild(head);
+
+  for (const run of historyRuns) {
+    const tr = document.createElement('tr');
+
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = historySelection.has(run.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) historySelection.add(run.id);
+      else historySelection.delete(run.id);
+      updateCompareButton();
+    });
+    selectCell.appendChild(checkbox);
+
+    const timeCell = document.createElement('td');
+    timeCell.textContent = new Date(run.startedAt).toLocaleString();
+
+    const serverCell = document.createElement('td');
+    serverCell.textContent = `${run.server}:${run.port}`;
+
+    const resultCell = document.createElement('td');
+    resultCell.className = run.passed ? 'history-pass' : 'history-fail';
+    resultCell.textContent = run.passed ? 'Pass' : (run.status === 'failed' ? 'Failed' : 'Fail');
+
+    const openCell = document.createElement('td');
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.className = 'btn btn-secondary btn-small';
+    openBtn.textContent = 'Open';
+    openBtn.addEventListener('click', () => openHistoryRun(run));
+    openCell.appendChild(openBtn);
+
+    tr.append(selectCell, timeCell, serverCell, resultCell, openCell);
+    table.appendChild(tr);
   }
+  historyListEl.appendChild(table);
 }
 
-function handleErrorMessage(error) {
-  const msg = error ? shortenError(error) : 'An unknown error occurred in the worker.';
+async function loadHistory() {
+  try {
+    historyRuns = await window.electronAPI.listRuns();
+  } catch (err) {
+    historyRuns = [];
+  }
+  const ids = new Set(historyRuns.map((r) => r.id));
+  for (const id of [...historySelection]) {
+    if (!ids.has(id)) historySelection.delete(id);
+  }
+  renderHistory();
+  updateCompareButton();
+}
+
+async function openHistoryRun(run) {
+  let report;
+  try {
+    report = await window.electronAPI.loadRun(run.id);
+  } catch (err) {
+    addLogEntry({ title: 'History', severity: 'error', message: `The run could not be loaded: ${shortenError(err && err.message)}` });
+    return;
+  }
+
+  clearResults();
+  setReportFiles(null);
   addLogEntry({
-    title: 'Error',
-    severity: 'error',
-    message: msg
+    title: 'History',
+    severity: 'worker',
+    message: `Showing the past run against ${run.server}:${run.port} from ${new Date(run.startedAt).toLocaleString()}.`
   });
+  for (const entry of narrateResult(report.result, {})) {
+    addLogEntry(entry);
+  }
+  if (report.result && report.result.diagnosis) renderDiagnosis(report.result.diagnosis);
+  if (report.status === 'failed') {
+    handleErrorMessage(report.error, report.errorStatus);
+  }
 }
 
-function handleFinalResult() {
-  addLogEntry({
-    title: 'Probe',
-    severity: 'success',
-    message: 'The probe has completed. Review the entries above for detailed results.'
+historyRefreshBtn.addEventListener('click', loadHistory);
+
+historyCompareBtn.addEventListener('click', async () => {
+  const [idA, idB] = [...historySelection];
+  let diff;
+  try {
+    diff = await window.electronAPI.diffRuns(idA, idB);
+  } catch (err) {
+    addLogEntry({ title: 'History', severity: 'error', message: `The runs could not be compared: ${shortenError(err && err.message)}` });
+    return;
+  }
+  clearResults();
+  setReportFiles(null);
+  for (const entry of narrateDiff(diff)) {
+    addLogEntry(entry);
+  }
+});
+
+// --- Discovery ---
+
+// One row per (application, discovery URL) from FindServers, then one per FindServersOnNetwork record
+function discoveryRows(result) {
+  const rows = [];
+  for (const app of result.applications) {
+    const checks = app.discoveryUrls.length > 0 ? app.discoveryUrls : [null];
+    for (const check of checks) {
+      rows.push({ source: 'FindServers', name: app.applicationName, uri: app.applicationUri, type: app.applicationType, check, stale: app.stale });
+    }
+  }
+  for (const server of result.onNetwork.servers) {
+    rows.push({ source: 'OnNetwork', name: server.serverName, uri: '', type: server.capabilities.join(', '), check: server.discoveryUrl, stale: server.stale });
+  }
+  return rows;
+}
+
+// Copies host and port from a discovery URL into the probe form
+function useDiscoveredServer(url) {
+  const parsed = new URL(url);
+  serverEl.value = parsed.hostname.replace(/^\[|\]$/g, '');
+  portEl.value = parsed.port || '4840';
+  discoveryStatusEl.textContent = `Probe form set to ${serverEl.value}:${portEl.value}.`;
+  serverEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function renderDiscovery(result) {
+  discoveryListEl.innerHTML = '';
+  const rows = discoveryRows(result);
+  if (rows.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'helper-text';
+    empty.textContent = 'The discovery server returned no applications.';
+    discoveryListEl.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'history-table';
+  const head = document.createElement('tr');
+  for (const label of ['Source', 'Application', 'ApplicationUri', 'Type', 'Discovery URL', 'Status', '']) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  }
+  table.appendChild(head);
+
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    for (const value of [row.source, row.name, row.uri, row.type, row.check ? row.check.url : '(none)']) {
+      const td = document.createElement('td');
+      td.textContent = value || '';
+      tr.appendChild(td);
+    }
+
+    const statusCell = document.createElement('td');
+    if (!row.check) {
+      statusCell.textContent = 'No URL';
+    } else if (!row.check.checked) {
+      statusCell.textContent = 'Not checked';
+      statusCell.title = row.check.error || '';
+    } else if (row.check.reachable) {
+      statusCell.className = 'history-pass';
+      statusCell.textContent = 'Answers';
+    } else {
+      statusCell.className = 'history-fail';
+      statusCell.textContent = row.stale ? 'Stale' : 'No answer';
+      statusCell.title = row.check.error || '';
+    }
+
+    const useCell = document.createElement('td');
+    if (row.check && /^opc\.tcp:\/\//i.test(row.check.url)) {
+      const useBtn = document.createElement('button');
+      useBtn.type = 'button';
+      useBtn.className = 'btn btn-secondary btn-small';
+      useBtn.textContent = 'Use';
+      useBtn.addEventListener('click', () => useDiscoveredServer(row.check.url));
+      useCell.appendChild(useBtn);
+    }
+
+    tr.append(statusCell, useCell);
+    table.appendChild(tr);
+  }
+  discoveryListEl.appendChild(table);
+}
+
+discoverBtn.addEventListener('click', async () => {
+  const discoveryUrl = discoveryUrlEl.value.trim() || serverEl.value.trim().replace(/^opc\.tcp:\/\//i, '').replace(/:\d+$/, '');
+  if (!discoveryUrl) {
+    discoveryStatusEl.textContent = 'Enter a discovery server.';
+    return;
+  }
+  discoverBtn.disabled = true;
+  discoveryListEl.innerHTML = '';
+  discoveryStatusEl.textContent = `Querying ${discoveryUrl}…`;
+  try {
+    const result = await window.electronAPI.discoverServers(discoveryUrl);
+    const stale = [...result.applications, ...result.onNetwork.servers].filter((entry) => entry.stale).length;
+    discoveryStatusEl.textContent = `${result.discoveryUrl}: ${result.applications.length} application(s) from FindServers, ` +
+      (result.onNetwork.supported
+        ? `${result.onNetwork.servers.length} record(s) from FindServersOnNetwork`
+        : `FindServersOnNetwork not supported (${result.onNetwork.error})`) +
+      (stale > 0 ? `, ${stale} stale registration(s).` : '.');
+    renderDiscovery(result);
+  } catch (err) {
+    discoveryStatusEl.textContent = `Discovery failed: ${shortenError(err && err.message)}`;
+  } finally {
+    discoverBtn.disabled = false;
+  }
+});
+
+// --- Self-test server ---
+
+// Set while a probe started from the self-test card runs: { label, expected, entries }
+let selfTestRun = null;
+
+function readSelfTestOptions() {
+  const userName = selfTestUserEl.value.trim();
+  return {
+    scenario: selfTestScenarioEl.value,
+    port: parseInt(selfTestPortEl.value, 10) || 48480,
+    securityPolicies: [...document.querySelectorAll('[data-selftest-policy]')]
+      .filter((box) => box.checked)
+      .map((box) => box.dataset.selftestPolicy),
+    allowAnonymous: selfTestAnonymousEl.checked,
+    users: userName ? [{ userName, password: selfTestPasswordEl.value }] : [],
+    variables: selfTestVariablesEl.value.split(',').map((spec) => spec.trim()).filter(Boolean)
+  };
+}
+
+// Compares what the probe showed with what the scenario should produce and logs the verdict
+function finishSelfTestRun() {
+  if (!selfTestRun) return;
+  const { label, expected, entries } = selfTestRun;
+  selfTestRun = null;
+  const verdict = summarizeSelfTest(label, compareNarrative(entries, expected));
+  addLogEntry({ title: 'Self-Test', severity: verdict.severity, message: verdict.text, table: verdict.table });
+  selfTestStatusEl.textContent = `${label}: ${verdict.severity === 'success' ? 'diagnosed as expected' : 'mismatch, see the log'}. Server still running.`;
+}
+
+selfTestStartBtn.addEventListener('click', async () => {
+  const options = readSelfTestOptions();
+  selfTestStartBtn.disabled = true;
+  selfTestStatusEl.textContent = 'Starting the self-test server…';
+  try {
+    const info = await window.electronAPI.startSelfTest(options);
+    const user = options.users[0];
+    // The connection monitoring step only waits for inbound connections, which a local server never makes
+    applyProbeConfig({
+      server: 'localhost',
+      port: info.port,
+      nodeIds: info.nodeIds,
+      publishingInterval: parseInt(publishingEl.value, 10),
+      healthWindowSeconds: parseInt(healthWindowEl.value, 10),
+      steps: { connectionMonitoring: { enabled: false } },
+      identity: options.allowAnonymous || !user ? { type: 'Anonymous' } : { type: 'UserName', userName: user.userName }
+    });
+    if (identityTypeEl.value === 'UserName') passwordEl.value = user.password;
+
+    selfTestStopBtn.disabled = false;
+    selfTestStatusEl.textContent = `${info.label} running at ${info.endpointUrl}; probing…`;
+    selfTestRun = { label: info.label, expected: info.expected, entries: [] };
+    runBtn.click();
+  } catch (err) {
+    selfTestStatusEl.textContent = `The self-test server could not start: ${shortenError(err && err.message)}`;
+  } finally {
+    selfTestStartBtn.disabled = false;
+  }
+});
+
+selfTestStopBtn.addEventListener('click', async () => {
+  selfTestRun = null;
+  await window.electronAPI.stopSelfTest();
+  selfTestStopBtn.disabled = true;
+  selfTestStatusEl.textContent = 'Not running.';
+});
+
+// --- Batch probe ---
+
+// One row per inventory item; status/summary are filled in from batch-event messages
+let batchRows = [];
+let batchInventoryFile = null;
+let batchReportFiles = null;
+let batchRunning = false;
+let batchSort = { key: null, desc: false };
+
+function batchCellValue(row, key) {
+  if (['server', 'port', 'nodeId'].includes(key)) return row.item[key];
+  if (['status', 'durationMs'].includes(key)) return row[key];
+  return row.summary ? row.summary[key] : null;
+}
+
+function compareBatchValues(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+function updateBatchControls() {
+  batchRunBtn.disabled = batchRunning || batchRows.length === 0;
+  batchCancelBtn.disabled = !batchRunning;
+  batchImportBtn.disabled = batchRunning;
+  batchCredentialsBtn.disabled = batchRunning;
+  batchExportBtn.disabled = batchRunning || !batchReportFiles;
+}
+
+function renderBatch() {
+  batchTable.hidden = batchRows.length === 0;
+  for (const th of batchTable.querySelectorAll('th[data-sort]')) {
+    th.classList.toggle('sorted', th.dataset.sort === batchSort.key);
+    th.classList.toggle('desc', th.dataset.sort === batchSort.key && batchSort.desc);
+  }
+
+  const rows = [...batchRows];
+  if (batchSort.key) {
+    rows.sort((a, b) => compareBatchValues(batchCellValue(a, batchSort.key), batchCellValue(b, batchSort.key)) * (batchSort.desc ? -1 : 1));
+  }
+
+  batchRowsEl.innerHTML = '';
+  for (const row of rows) {
+    const s = row.summary || {};
+    const statusClass = { passed: 'history-pass', failed: 'history-fail', error: 'history-fail', running: 'batch-running' }[row.status] || '';
+    const cells = [
+      row.item.server,
+      row.item.port,
+      row.item.nodeId,
+      row.status,
+      s.endpoints ?? '',
+      s.securityMatrix || '',
+      s.subscription || '',
+      s.callbacks ?? '',
+      row.durationMs == null ? '' : `${(row.durationMs / 1000).toFixed(1)} s`
+    ];
+    const tr = document.createElement('tr');
+    cells.forEach((value, i) => {
+      const td = document.createElement('td');
+      td.textContent = String(value);
+      if (i === 3) {
+        td.className = statusClass;
+        if (row.error) td.title = row.error;
+      }
+      tr.appendChild(td);
+    });
+    batchRowsEl.appendChild(tr);
+  }
+}
+
+batchTable.querySelector('thead').addEventListener('click', (e) => {
+  const th = e.target.closest('th[data-sort]');
+  if (!th) return;
+  batchSort = { key: th.dataset.sort, desc: batchSort.key === th.dataset.sort ? !batchSort.desc : false };
+  renderBatch();
+});
+
+batchImportBtn.addEventListener('click', async () => {
+  let inventory;
+  try {
+    inventory = await window.electronAPI.importInventory();
+  } catch (err) {
+    batchStatusEl.textContent = `Inventory could not be read: ${shortenError(err && err.message)}`;
+    return;
+  }
+  if (!inventory) return;
+
+  batchInventoryFile = inventory.file;
+  batchReportFiles = null;
+  batchRows = inventory.items.map((item) => ({ item, status: 'queued', summary: null, error: null, durationMs: null }));
+  batchStatusEl.textContent = `${inventory.items.length} server(s) loaded` +
+    (inventory.errors.length ? `, ${inventory.errors.length} row(s) skipped: ${inventory.errors.join('; ')}` : '.');
+  renderBatch();
+  updateBatchControls();
+});
+
+batchCredentialsBtn.addEventListener('click', async () => {
+  try {
+    const loaded = await window.electronAPI.loadCredentials();
+    if (loaded) batchStatusEl.textContent = `Credentials loaded: ${loaded.names.join(', ') || 'none'}.`;
+  } catch (err) {
+    batchStatusEl.textContent = `Credentials could not be read: ${shortenError(err && err.message)}`;
+  }
+});
+
+batchRunBtn.addEventListener('click', () => {
+  for (const row of batchRows) {
+    Object.assign(row, { status: 'queued', summary: null, error: null, durationMs: null });
+  }
+  batchRunning = true;
+  batchReportFiles = null;
+  batchStatusEl.textContent = 'Batch running...';
+  renderBatch();
+  updateBatchControls();
+  window.electronAPI.runBatch({
+    items: batchRows.map((row) => row.item),
+    concurrency: parseInt(batchConcurrencyEl.value, 10) || 4,
+    inventoryFile: batchInventoryFile
   });
+});
+
+batchCancelBtn.addEventListener('click', () => {
+  window.electronAPI.cancelBatch();
+  batchStatusEl.textContent = 'Cancelling batch...';
+});
+
+batchExportBtn.addEventListener('click', async () => {
+  try {
+    const saved = await window.electronAPI.exportReport(batchReportFiles);
+    if (saved) batchStatusEl.textContent = `Batch report exported to ${saved}.`;
+  } catch (err) {
+    batchStatusEl.textContent = `Export failed: ${shortenError(err && err.message)}`;
+  }
+});
+
+window.electronAPI.onBatchEvent((msg) => {
+  if (!msg) return;
+  if (msg.type === 'item') {
+    const row = batchRows[msg.index];
+    if (!row) return;
+    const { type, index, ...update } = msg;
+    Object.assign(row, update);
+    renderBatch();
+  } else if (msg.type === 'finished') {
+    batchRunning = false;
+    batchReportFiles = msg.reportFiles && msg.reportFiles.html && msg.reportFiles.json ? msg.reportFiles : null;
+    const counts = batchRows.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+    batchStatusEl.textContent = `Batch finished: ${Object.entries(counts).map(([k, v]) => `${v} ${k}`).join(', ')}.`;
+    updateBatchControls();
+    loadHistory();
+  }
+});
+
+// --- Watch mode ---
+
+function formatPercent(value) {
+  return value == null ? 'n/a' : `${value}%`;
+}
+
+function setWatching(watching) {
+  watchStartBtn.disabled = watching;
+  watchStopBtn.disabled = !watching;
+  watchIntervalEl.disabled = watching;
+  watchLightweightEl.disabled = watching;
+}
+
+function renderWatchStats(stats) {
+  watchStatsEl.innerHTML = '';
+  watchStatsEl.appendChild(buildTable({
+    headers: ['', 'Available', 'Subscription OK', 'Callbacks seen'],
+    rows: [
+      [`All ${stats.runs} run(s)`, formatPercent(stats.availability), formatPercent(stats.subscriptionRate), formatPercent(stats.callbackRate)],
+      [`Last ${stats.rolling.runs} run(s)`, formatPercent(stats.rolling.availability), formatPercent(stats.rolling.subscriptionRate), formatPercent(stats.rolling.callbackRate)]
+    ]
+  }));
 }
+
+watchStartBtn.addEventListener('click', () => {
+  const config = readProbeConfig();
+  setWatching(true);
+  watchStatsEl.innerHTML = '';
+  watchStatusEl.textContent = `Starting watch on ${config.server}:${config.port}…`;
+  window.electronAPI.startWatch({
+    config,
+    intervalMinutes: parseFloat(watchIntervalEl.value) || 5,
+    lightweight: watchLightweightEl.checked
+  });
+});
+
+watchStopBtn.addEventListener('click', () => {
+  window.electronAPI.stopWatch();
+});
+
+window.electronAPI.onWatchEvent((msg) => {
+  if (!msg) return;
+  switch (msg.type) {
+    case 'started':
+      addLogEntry({ title: 'Watch', severity: 'info', message: `Watch mode started. Alerts are also written to ${msg.logFile}.` });
+      break;
+
+    case 'run-started':
+      watchStatusEl.textContent = `Probe running (started ${new Date(msg.at).toLocaleTimeString()})…`;
+      break;
+
+    case 'run':
+      renderWatchStats(msg.stats);
+      watchStatusEl.textContent = `Last run ${new Date(msg.stats.lastRunAt).toLocaleTimeString()}: ` +
+        `${msg.sample.reachable ? 'reachable' : 'unreachable'}, ` +
+        `subscription ${msg.sample.subscriptionOk === null ? 'skipped' : msg.sample.subscriptionOk ? 'OK' : 'FAILED'}, ` +
+        `${msg.sample.callbacks === null ? 'callbacks not monitored' : `${msg.sample.callbacks} callback(s)`}. Next run ${new Date(msg.nextRunAt).toLocaleTimeString()}.`;
+      for (const change of msg.changes) {
+        addLogEntry({ title: `Watch - ${change.title}`, severity: change.severity, message: change.message });
+      }
+      loadHistory();
+      break;
+
+    case 'stopped':
+      setWatching(false);
+      watchStatusEl.textContent = 'Watch stopped.';
+      addLogEntry({ title: 'Watch', severity: 'worker', message: 'Watch mode stopped.' });
+      break;
+  }
+});
+
+// --- Address space browser ---
+
+// NodeIds ticked in the browser dialog; cleared when it closes
+const browseChecked = new Set();
+
+function updateBrowseAddButton() {
+  browseAddBtn.disabled = browseChecked.size === 0;
+  browseAddBtn.textContent = browseChecked.size > 0 ? `Add ${browseChecked.size} checked node(s)` : 'Add checked nodes';
+}
+
+function renderBrowseNodes(container, result) {
+  container.innerHTML = '';
+  if (result.children.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'helper-text';
+    empty.textContent = '(no children)';
+    container.appendChild(empty);
+    return;
+  }
+  for (const node of result.children) {
+    container.appendChild(buildBrowseNode(node));
+  }
+  if (result.truncated) {
+    const more = document.createElement('div');
+    more.className = 'helper-text';
+    more.textContent = `Only the first ${result.children.length} children are shown.`;
+    container.appendChild(more);
+  }
+}
+
+function buildBrowseNode(node) {
+  const wrapper = document.createElement('div');
+  const row = document.createElement('div');
+  row.className = 'browse-row';
+  const children = document.createElement('div');
+  children.className = 'browse-children';
+  children.hidden = true;
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'browse-toggle';
+  toggle.textContent = '▸';
+  let loaded = false;
+  toggle.addEventListener('click', async () => {
+    if (!children.hidden) {
+      children.hidden = true;
+      toggle.textContent = '▸';
+      return;
+    }
+    children.hidden = false;
+    toggle.textContent = '▾';
+    if (loaded) return;
+    children.textContent = 'Loading…';
+    try {
+      renderBrowseNodes(children, await window.electronAPI.browseChildren(node.nodeId));
+      loaded = true;
+    } catch (err) {
+      children.textContent = `Browse failed: ${shortenError(err && err.message)}`;
+    }
+  });
+
+  const checkCell = document.createElement('span');
+  const isVariable = node.nodeClass === 'Variable';
+  if (isVariable) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = browseChecked.has(node.nodeId);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) browseChecked.add(node.nodeId);
+      else browseChecked.delete(node.nodeId);
+      updateBrowseAddButton();
+    });
+    checkCell.appendChild(checkbox);
+  }
+
+  const name = document.createElement('span');
+  name.className = 'browse-name';
+  name.textContent = node.displayName || node.browseName;
+  name.title = `${node.browseName}\n${node.nodeId}`;
+  if (isVariable) {
+    // Selecting a single variable replaces the monitored NodeId
+    name.classList.add('selectable');
+    name.addEventListener('click', () => {
+      nodeidEl.value = node.nodeId;
+      for (const el of browseTreeEl.querySelectorAll('.browse-row.selected')) el.classList.remove('selected');
+      row.classList.add('selected');
+      browseStatusEl.textContent = `Monitored NodeId set to ${node.nodeId}.`;
+    });
+  }
+
+  const cells = [node.nodeClass, node.dataType, node.accessLevel, node.value].map((text) => {
+    const span = document.createElement('span');
+    span.textContent = text == null ? '' : String(text);
+    span.title = span.textContent;
+    return span;
+  });
+
+  row.append(toggle, checkCell, name, ...cells);
+  wrapper.append(row, children);
+  return wrapper;
+}
+
+async function closeBrowser() {
+  browseDialog.hidden = true;
+  browseChecked.clear();
+  browseTreeEl.innerHTML = '';
+  try {
+    await window.electronAPI.browseClose();
+  } catch (err) { /* the worker is gone already */ }
+}
+
+browseBtn.addEventListener('click', async () => {
+  const cfg = readProbeConfig();
+  browseChecked.clear();
+  updateBrowseAddButton();
+  browseTreeEl.innerHTML = '';
+  browseStatusEl.textContent = `Connecting to ${cfg.server}:${cfg.port}…`;
+  browseDialog.hidden = false;
+  try {
+    const root = await window.electronAPI.browseOpen(cfg);
+    browseStatusEl.textContent = `Browsing the Objects folder of ${cfg.server}:${cfg.port}.`;
+    renderBrowseNodes(browseTreeEl, root);
+  } catch (err) {
+    browseStatusEl.textContent = `Could not open a browse session: ${shortenError(err && err.message)}`;
+  }
+});
+
+browseAddBtn.addEventListener('click', () => {
+  const current = readNodeIds();
+  const merged = [...current, ...[...browseChecked].filter((id) => !current.includes(id))];
+  nodeidEl.value = merged.join('\n');
+  browseStatusEl.textContent = `${merged.length} NodeId(s) will be monitored.`;
+});
+
+browseCloseBtn.addEventListener('click', closeBrowser);
+
+loadHistory();
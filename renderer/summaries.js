@@ -0,0 +1,1053 @@
+/**
+ * Result summaries - converts raw diagnostic data into human-readable narrative entries
+ * Shared by the renderer (loaded via <script> before renderer.js) and Node
+ * (worker reports, CLI), so it must not touch the DOM or require anything.
+ */
+
+function summarizeEndpoints(endpoints) {
+  if (!Array.isArray(endpoints) || endpoints.length === 0) {
+    return {
+      severity: 'error',
+      text: 'The server did not return any OPC UA endpoints. This usually means the endpoint URL or port is wrong, or the server refused the connection.'
+    };
+  }
+
+  const total = endpoints.length;
+  let noneCount = 0;
+  let modernCount = 0;
+  let legacyCount = 0;
+  const policies = new Set();
+
+  for (const e of endpoints) {
+    const uri = (e.securityPolicyUri || '').toString();
+    if (!uri) continue;
+    const lower = uri.toLowerCase();
+    policies.add(uri);
+    if (lower.includes('none')) {
+      noneCount++;
+    } else if (lower.includes('aes')) {
+      modernCount++;
+    } else if (lower.includes('basic128') || lower.includes('basic256')) {
+      legacyCount++;
+    }
+  }
+
+  const policyList = Array.from(policies);
+  let parts = [];
+  parts.push(`The server advertised ${total} OPC UA endpoint(s).`);
+
+  if (noneCount > 0) {
+    parts.push(`${noneCount} endpoint(s) use no encryption (SecurityPolicy.None).`);
+  }
+  if (legacyCount > 0) {
+    parts.push(`${legacyCount} endpoint(s) use legacy RSA-based security policies (Basic128/256).`);
+  }
+  if (modernCount > 0) {
+    parts.push(`${modernCount} endpoint(s) use modern AES-based security policies.`);
+  }
+  if (policyList.length > 0) {
+    parts.push(`Security policies seen: ${policyList.join(', ')}.`);
+  }
+
+  let severity = 'success';
+  if (modernCount === 0 && noneCount > 0 && legacyCount === 0) {
+    severity = 'warn';
+  }
+
+  return { severity, text: parts.join(' ') };
+}
+
+// "BadX (0x80..0000): what it means. Likely fix: ..." for a StatusCode decoded by lib/statuscodes.js
+function describeStatusCode(status) {
+  return `${status.name} (${status.hex}): ${status.explanation}` + (status.fix ? ` Likely fix: ${status.fix}` : '');
+}
+
+function shortenPolicyUri(uri) {
+  if (!uri) return 'Unknown';
+  const s = String(uri);
+  const idx = s.lastIndexOf('#');
+  return idx >= 0 ? s.slice(idx + 1) : s;
+}
+
+function securityModeToString(mode) {
+  const map = { 0: 'Invalid', 1: 'None', 2: 'Sign', 3: 'SignAndEncrypt' };
+  return map[mode] ?? String(mode);
+}
+
+/**
+ * Splits the connection preflight (see lib/preflight.js) into one entry per layer so the
+ * first failing layer - DNS, TCP or the UA Hello - is obvious. Skipped layers are shown
+ * as info so the reader knows they were not reached rather than passed.
+ */
+function summarizePreflight(preflight) {
+  const skipped = (title) => ({ title, severity: 'info', text: 'Not checked because an earlier layer failed.' });
+  const entries = [];
+  const { dns, tcp, hello } = preflight;
+
+  if (dns.ok) {
+    const list = dns.addresses.map((a) => `${a.address} (${a.family})`).join(', ');
+    entries.push({
+      title: 'DNS Resolution',
+      severity: 'success',
+      text: `${preflight.host} resolved to ${dns.addresses.length} address(es) in ${dns.durationMs} ms: ${list}.`
+    });
+  } else {
+    entries.push({
+      title: 'DNS Resolution',
+      severity: 'error',
+      text: `${preflight.host} could not be resolved (${dns.error}). Check the host name, or use the IP address directly.`
+    });
+  }
+
+  if (tcp.skipped) {
+    entries.push(skipped('TCP Connect'));
+  } else if (tcp.ok) {
+    const failedFirst = tcp.attempts.length > 1 ? ` after ${tcp.attempts.length - 1} other address(es) failed` : '';
+    entries.push({
+      title: 'TCP Connect',
+      severity: tcp.attempts.length > 1 ? 'warn' : 'success',
+      text: `TCP port ${preflight.port} on ${tcp.address} accepted a connection in ${tcp.durationMs} ms${failedFirst}.`,
+      table: tcp.attempts.length > 1
+        ? { headers: ['Address', 'Result', 'Time (ms)'], rows: tcp.attempts.map((a) => [a.address, a.ok ? 'Connected' : a.error, String(a.durationMs)]) }
+        : null
+    });
+  } else {
+    entries.push({
+      title: 'TCP Connect',
+      severity: 'error',
+      text: `No address accepted a TCP connection on port ${preflight.port} (${tcp.error}). The OPC UA server is not reachable at the network level.`,
+      table: { headers: ['Address', 'Result', 'Time (ms)'], rows: tcp.attempts.map((a) => [a.address, a.error, String(a.durationMs)]) }
+    });
+  }
+
+  if (hello.skipped) {
+    entries.push(skipped('OPC UA Hello'));
+  } else if (hello.ok) {
+    const limit = (v, unit) => (v === 0 ? 'no limit' : `${v}${unit}`);
+    entries.push({
+      title: 'OPC UA Hello',
+      severity: 'success',
+      text: `The server acknowledged the UA TCP Hello in ${hello.durationMs} ms (protocol version ${hello.protocolVersion}).`,
+      table: {
+        headers: ['Parameter', 'Negotiated'],
+        rows: [
+          ['Receive buffer size', `${hello.receiveBufferSize} bytes`],
+          ['Send buffer size', `${hello.sendBufferSize} bytes`],
+          ['Max message size', limit(hello.maxMessageSize, ' bytes')],
+          ['Max chunk count', limit(hello.maxChunkCount, '')]
+        ]
+      }
+    });
+  } else {
+    entries.push({
+      title: 'OPC UA Hello',
+      severity: 'error',
+      text: `The TCP port is open, but the OPC UA handshake failed: ${hello.error}.`
+    });
+  }
+
+  return entries;
+}
+
+// The Server object snapshot as two entries: what the server is (with its limits) and how busy it is
+function summarizeServerSnapshot(snapshot) {
+  const entries = [];
+  const limit = (key) => snapshot.limits.find((l) => l.key === key) || null;
+  const build = snapshot.buildInfo;
+
+  const parts = [];
+  parts.push(build
+    ? `${build.productName || 'Unnamed product'} ${build.softwareVersion || '(no version)'} by ${build.manufacturerName || 'an unnamed manufacturer'} (build ${build.buildNumber || '?'}).`
+    : 'The server did not return its BuildInfo.');
+  parts.push(`State: ${snapshot.state || 'not readable'}; ${snapshot.namespaces.length} namespace(s): ${snapshot.namespaces.join(', ') || 'none'}.`);
+  const perCall = limit('MaxMonitoredItemsPerCall');
+  const perRead = limit('MaxNodesPerRead');
+  const sampleRate = limit('MinSupportedSampleRate');
+  const show = (l, unit = '') => !l || l.value === null ? 'not reported' : (l.value === 0 ? 'no limit' : `${l.value}${unit}`);
+  parts.push(`Max monitored items per call: ${show(perCall)}, max nodes per read: ${show(perRead)}, min sample rate: ${show(sampleRate, ' ms')}.`);
+  if (snapshot.state && snapshot.state !== 'Running') {
+    parts.push('The server is not Running, so it may refuse or drop sessions until it is.');
+  }
+  entries.push({
+    title: 'Server Snapshot',
+    severity: snapshot.state && snapshot.state !== 'Running' ? 'warn' : 'success',
+    text: parts.join(' '),
+    table: {
+      headers: ['Limit', 'Value', 'Group'],
+      rows: snapshot.limits.map((l) => [l.label, l.value === null ? l.status : (l.value === 0 ? 'No limit' : String(l.value)), l.group])
+    }
+  });
+
+  const d = snapshot.diagnostics;
+  if (!d.summary) {
+    entries.push({
+      title: 'Server Diagnostics',
+      severity: 'info',
+      text: `The server does not expose its ServerDiagnosticsSummary (${d.status}), so session and request counts are unknown.`
+    });
+    return entries;
+  }
+  const s = d.summary;
+  const maxSessions = limit('MaxSessions');
+  const maxSubscriptions = limit('MaxSubscriptions');
+  const of = (count, l) => l && l.value > 0 ? `${count}/${l.value}` : String(count);
+  const diag = [`${of(s.currentSessionCount, maxSessions)} session(s) and ${of(s.currentSubscriptionCount, maxSubscriptions)} subscription(s) open (this probe's own session included).`];
+  diag.push(`Since it started the server rejected ${s.rejectedSessionCount} session(s) (${s.securityRejectedSessionCount} for security reasons) and ${s.rejectedRequestsCount} request(s); ${s.sessionTimeoutCount} session(s) timed out and ${s.sessionAbortCount} were aborted.`);
+  if (d.enabled === false) diag.push('Its diagnostics are switched off (EnabledFlag), so these counters may be stale.');
+  let severity = 'success';
+  if (maxSessions && maxSessions.value > 0 && s.currentSessionCount >= maxSessions.value) {
+    severity = 'error';
+    diag.push('The server is at its session limit: new clients will be refused (BadTooManySessions) until sessions close or time out.');
+  } else if (maxSubscriptions && maxSubscriptions.value > 0 && s.currentSubscriptionCount >= maxSubscriptions.value) {
+    severity = 'error';
+    diag.push('The server is at its subscription limit: new subscriptions will be refused (BadTooManySubscriptions).');
+  } else if (s.rejectedSessionCount > 0 || s.rejectedRequestsCount > 0) {
+    severity = 'warn';
+    diag.push(s.securityRejectedSessionCount > 0
+      ? 'Security rejections usually mean untrusted client certificates or wrong credentials.'
+      : 'Rejections mean clients have been refused before; compare the counts across runs to see if they are still rising.');
+  }
+  entries.push({ title: 'Server Diagnostics', severity, text: diag.join(' ') });
+  return entries;
+}
+
+function summarizeServerCertificate(cert) {
+  if (cert.error) {
+    return {
+      severity: 'error',
+      text: `The server certificate could not be decoded: ${shortenError(cert.error)}`,
+      table: null
+    };
+  }
+
+  const errors = cert.issues.filter((i) => i.severity === 'error');
+  const warns = cert.issues.filter((i) => i.severity === 'warn');
+  let severity = 'success';
+  let text = `Certificate for ${cert.subject} is valid until ${cert.validTo.slice(0, 10)} and shows no common problems.`;
+  if (cert.issues.length > 0) {
+    severity = errors.length > 0 ? 'error' : 'warn';
+    text = `Found ${cert.issues.length} problem(s) with the server certificate: ` +
+      cert.issues.map((i) => i.message).join(' ');
+  }
+  if (errors.length === 0 && warns.length === 0 && cert.selfSigned) {
+    text += ' It is self-signed, so the client must trust it explicitly.';
+  }
+
+  const san = cert.subjectAltName;
+  return {
+    severity,
+    text,
+    table: {
+      headers: ['Field', 'Value'],
+      rows: [
+        ['Subject', cert.subject],
+        ['Issuer', cert.selfSigned ? `${cert.issuer} (self-signed)` : cert.issuer],
+        ['Valid', `${cert.validFrom.slice(0, 10)} → ${cert.validTo.slice(0, 10)}`],
+        ['Key', `${(cert.keyType || '?').toUpperCase()} ${cert.keySize || ''}`.trim()],
+        ['Signature', cert.signatureAlgorithm],
+        ['SAN URIs', san.uris.join(', ') || '(none)'],
+        ['SAN DNS', san.dns.join(', ') || '(none)'],
+        ['SAN IPs', san.ips.join(', ') || '(none)'],
+        ['ApplicationUri', cert.applicationUris.join(', ') || '(none)'],
+        ['Endpoints', String(cert.endpointCount)]
+      ]
+    }
+  };
+}
+
+/**
+ * Judges the advertised endpointUrls against the dialled address (see lib/advertised.js).
+ * The session retry, when it ran, turns a suspicion into proof: advertised URL fails,
+ * rewritten URL works.
+ */
+function summarizeEndpointUrlCheck(check) {
+  const flagged = check.urls.filter((u) => u.issues.some((i) => i.severity !== 'info'));
+  const table = {
+    headers: ['Advertised URL', 'Resolves to', 'Host', 'Port', 'Findings'],
+    rows: check.urls.map((u) => [
+      u.endpointUrl,
+      u.resolves ? u.addresses.join(', ') : 'Does not resolve',
+      u.hostMatches ? 'Matches' : (u.sameAddress ? 'Alias' : 'Differs'),
+      u.portMatches ? 'Matches' : 'Differs',
+      u.issues.map((i) => i.code).join(', ') || 'OK'
+    ])
+  };
+
+  if (check.urls.length === 0) {
+    return { severity: 'info', text: 'The endpoint descriptions did not carry any endpointUrl to compare.', table: null };
+  }
+  if (flagged.length === 0) {
+    const alias = check.urls.some((u) => !u.hostMatches);
+    return {
+      severity: alias ? 'info' : 'success',
+      text: alias
+        ? `The server advertises a different host name than ${check.dialledUrl}, but it resolves to the same address from this machine.`
+        : `Every advertised endpointUrl matches the dialled address ${check.dialledUrl}.`,
+      table
+    };
+  }
+
+  const parts = [`${flagged.length} of ${check.urls.length} advertised endpointUrl(s) differ from the dialled address ${check.dialledUrl}.`];
+  const unresolvable = flagged.filter((u) => !u.resolves);
+  if (unresolvable.length > 0) {
+    parts.push(`${[...new Set(unresolvable.map((u) => u.host))].join(', ')} cannot be resolved from this machine, so clients that follow the advertised URL will fail to reconnect.`);
+  }
+
+  const retry = check.retry;
+  if (retry) {
+    const failure = (a) => a.statusCode || shortenError(a.error);
+    if (!retry.advertised.success && retry.rewritten.success) {
+      parts.push(`Confirmed: a session on the advertised URL failed (${failure(retry.advertised)}) while the same session on the rewritten URL ${retry.rewritten.url} succeeded.`);
+    } else if (retry.advertised.success) {
+      parts.push('A session on the advertised URL still succeeded, so this machine can reach it; other clients may not.');
+    } else {
+      parts.push(`Sessions failed on both the advertised (${failure(retry.advertised)}) and the rewritten URL (${failure(retry.rewritten)}), so the mismatch is not the only problem.`);
+    }
+  }
+  parts.push('Fix the hostname the server advertises (or its alternate hostnames), or add a hosts entry / DNS record on the client for the advertised name.');
+
+  return { severity: unresolvable.length > 0 ? 'error' : 'warn', text: parts.join(' '), table };
+}
+
+function summarizeSecurityMatrix(matrix) {
+  if (!Array.isArray(matrix) || matrix.length === 0) {
+    return {
+      severity: 'warn',
+      text: 'No security policy/mode combinations could be tested because the server did not advertise any endpoints.',
+      table: null
+    };
+  }
+
+  const ok = matrix.filter((r) => r.success);
+  const failed = matrix.filter((r) => !r.success);
+  const secureOk = ok.filter((r) => r.securityMode === 3 || r.securityMode === 2);
+
+  let severity;
+  let text;
+  if (failed.length === 0) {
+    severity = 'success';
+    text = `A session was opened on all ${matrix.length} advertised security combination(s).`;
+  } else if (ok.length === 0) {
+    severity = 'error';
+    text = `None of the ${matrix.length} advertised security combination(s) accepted a session. Check certificates, trust lists and firewall rules.`;
+  } else {
+    severity = 'warn';
+    text = `${ok.length} of ${matrix.length} security combination(s) accepted a session; ${failed.length} failed (see table).`;
+  }
+  if (ok.length > 0 && secureOk.length === 0) {
+    text += ' Only unsecured (None) sessions succeeded, so Sign/SignAndEncrypt traffic is not proven to work.';
+    if (severity === 'success') severity = 'warn';
+  }
+  // Explain each distinct failure code once
+  const statuses = new Map(failed.filter((r) => r.status).map((r) => [r.status.name, r.status]));
+  for (const status of statuses.values()) {
+    text += ` ${describeStatusCode(status)}`;
+  }
+
+  return {
+    severity,
+    text,
+    table: {
+      headers: ['Policy', 'Mode', 'Result', 'Status', 'Time'],
+      rows: matrix.map((r) => [
+        shortenPolicyUri(r.securityPolicyUri),
+        securityModeToString(r.securityMode),
+        r.success ? 'OK' : 'FAILED',
+        r.statusCode || (r.success ? 'Good' : 'Unknown'),
+        `${r.durationMs} ms`
+      ])
+    }
+  };
+}
+
+function getUniquePorts(listeners) {
+  const ports = new Set();
+  for (const l of listeners || []) {
+    if (l.localPort) ports.add(String(l.localPort));
+  }
+  return Array.from(ports);
+}
+
+function summarizeBeforeListeners(before) {
+  const baselineListeners = Array.isArray(before) ? before : [];
+  const ports = getUniquePorts(baselineListeners);
+
+  if (baselineListeners.length === 0) {
+    return {
+      severity: 'info',
+      text: 'Before creating a subscription, no listening TCP sockets were captured for this process. This is the baseline used for comparison.'
+    };
+  }
+
+  let portText;
+  if (ports.length === 0) {
+    portText = 'no specific ports could be parsed.';
+  } else if (ports.length <= 5) {
+    portText = `ports ${ports.join(', ')}.`;
+  } else {
+    portText = `ports ${ports.slice(0, 5).join(', ')} and additional ports.`;
+  }
+
+  return {
+    severity: 'info',
+    text: `Before the subscription, the tool saw ${baselineListeners.length} listening TCP socket(s) on ${portText}`
+  };
+}
+
+function summarizeMonitoredItems(items) {
+  return {
+    headers: ['NodeId', 'Status', 'Sampling (ms)', 'Queue', 'Deadband', 'Changes'],
+    rows: items.map((i) => [
+      i.nodeId,
+      i.statusCode || 'Unknown',
+      i.revisedSamplingInterval == null ? String(i.samplingInterval) : `${i.samplingInterval} → ${i.revisedSamplingInterval}`,
+      i.revisedQueueSize == null ? String(i.queueSize) : `${i.queueSize} → ${i.revisedQueueSize}`,
+      i.deadband ? `${i.deadband.value}${i.deadband.type === 'Percent' ? '%' : ''}` : '',
+      String(i.dataChanges)
+    ])
+  };
+}
+
+function summarizeSubscriptionResult(sub) {
+  if (!sub) {
+    return {
+      severity: 'warn',
+      text: 'No information was returned about the subscription attempt.'
+    };
+  }
+
+  const items = Array.isArray(sub.items) ? sub.items : [];
+  const table = items.length > 0 ? summarizeMonitoredItems(items) : null;
+  const rejected = items.filter((i) => i.statusCode !== 'Good');
+
+  if (sub.success && rejected.length > 0) {
+    const statuses = [...new Set(rejected.map((i) => i.statusCode))].join(', ');
+    return {
+      severity: 'warn',
+      text: `The subscription was created, but the server rejected ${rejected.length} of ${items.length} monitored item(s) (${statuses}). See the table for each item's status code.`,
+      table
+    };
+  } else if (sub.success) {
+    const node = items.length > 1 ? `all ${items.length} monitored items` : (sub.nodeMonitored || 'the default status node');
+    return {
+      severity: 'success',
+      text: `The tool successfully created a subscription and monitored ${node}. This confirms the server accepted the subscription on the selected endpoint.`,
+      table: items.length > 1 ? table : null
+    };
+  } else {
+    // The decoded status leads, so shortening the raw error never cuts the StatusCode off
+    const err = sub.status
+      ? `${describeStatusCode(sub.status)} (${shortenError(sub.error)})`
+      : (sub.error ? shortenError(sub.error) : 'an unspecified error occurred.');
+    return {
+      severity: 'error',
+      text: `The tool could not maintain a subscription. The server likely rejected the monitored item or closed the session early. Details: ${err}`,
+      table
+    };
+  }
+}
+
+function describeOperation(op) {
+  if (!op) return '-';
+  if (op.skipped) return 'Skipped';
+  return op.statusCode ? `${op.statusCode} (${op.durationMs} ms)` : `Failed (${op.durationMs} ms)`;
+}
+
+// The read/write/method checks (lib/operations.js): one entry for the nodes, one for the method call
+function summarizeOperations(ops) {
+  const entries = [];
+  const failureOf = (op) => (op.status ? describeStatusCode(op.status) : shortenError(op.error || op.statusCode));
+
+  if (ops.nodes.length > 0) {
+    const readsFailed = ops.nodes.filter((n) => n.read.statusCode !== 'Good');
+    const requested = ops.nodes.filter((n) => n.write);
+    const issued = requested.filter((n) => !n.write.skipped);
+    const writesFailed = issued.filter((n) => n.write.statusCode !== 'Good');
+    const notRestored = issued.filter((n) => n.restore && n.restore.statusCode !== 'Good');
+    const mismatched = issued.filter((n) => n.verify && n.verify.statusCode === 'Good' && !n.verify.matches);
+
+    const parts = [`${ops.nodes.length - readsFailed.length} of ${ops.nodes.length} read(s) succeeded.`];
+    for (const n of readsFailed) parts.push(`Reading ${n.nodeId} failed: ${failureOf(n.read)}`);
+    if (requested.length > 0 && !ops.writesConfirmed) {
+      parts.push(`${requested.length} test write(s) were not issued because they were not confirmed.`);
+    } else if (issued.length > 0) {
+      const accepted = issued.length - writesFailed.length;
+      parts.push(`${accepted} of ${issued.length} test write(s) were accepted${accepted > 0 && notRestored.length === 0 ? ' and every original value was restored' : ''}.`);
+    }
+    for (const n of requested.filter((r) => r.write.skipped && ops.writesConfirmed)) parts.push(`The write to ${n.nodeId} was skipped: ${n.write.skipped}.`);
+    for (const n of writesFailed) parts.push(`Writing ${n.nodeId} failed: ${failureOf(n.write)}`);
+    for (const n of mismatched) parts.push(`${n.nodeId} read back ${n.verify.value} after writing ${n.testValue}; the server may clamp, scale or override the value.`);
+    for (const n of notRestored) parts.push(`${n.nodeId} could NOT be restored to ${n.restore.value}; it ${n.write.statusCode ? 'still holds' : 'may still hold'} the test value ${n.testValue}. Set it back by hand.`);
+
+    let severity = 'success';
+    if (notRestored.length > 0) severity = 'error';
+    else if (readsFailed.length > 0 || writesFailed.length > 0 || mismatched.length > 0) severity = 'warn';
+    entries.push({
+      title: 'Read/Write Checks',
+      severity,
+      text: parts.join(' '),
+      table: {
+        headers: ['NodeId', 'Read', 'Value', 'Write', 'Read back', 'Restore'],
+        rows: ops.nodes.map((n) => [
+          n.nodeId,
+          describeOperation(n.read),
+          n.read.statusCode === 'Good' ? `${n.read.value} (${n.read.dataType})` : '',
+          n.write ? (n.write.skipped ? 'Skipped' : `${n.testValue}: ${describeOperation(n.write)}`) : '-',
+          n.verify ? (n.verify.matches ? 'Matches' : n.verify.value) : '-',
+          describeOperation(n.restore)
+        ])
+      }
+    });
+  }
+
+  if (ops.method) {
+    const { call } = ops.method;
+    const args = ops.method.arguments.length > 0 ? `(${ops.method.arguments.join(', ')})` : 'without arguments';
+    if (call.statusCode === 'Good') {
+      const outputs = call.outputArguments.length > 0 ? ` Output: ${call.outputArguments.join(', ')}.` : '';
+      entries.push({
+        title: 'Method Call',
+        severity: 'success',
+        text: `Calling ${ops.method.methodId} ${args} on ${ops.method.objectId} succeeded in ${call.durationMs} ms.${outputs}`
+      });
+    } else {
+      const argumentErrors = (call.inputArgumentResults || []).some((s) => s !== 'Good')
+        ? ` Argument results: ${call.inputArgumentResults.join(', ')}.`
+        : '';
+      entries.push({
+        title: 'Method Call',
+        severity: 'error',
+        text: `Calling ${ops.method.methodId} ${args} on ${ops.method.objectId} failed: ${failureOf(call)}${argumentErrors}`
+      });
+    }
+  }
+  return entries;
+}
+
+// The capacity test (lib/capacity.js): what each phase reached, next to the advertised ServerCapabilities
+function summarizeCapacity(capacity) {
+  const advertised = (key) => {
+    const entry = capacity.advertised.find((l) => l.key === key);
+    if (!entry) return null;
+    return entry.value === 0 ? 'no limit' : String(entry.value);
+  };
+  const describe = (pairs) => pairs.filter(([, value]) => value !== null).map(([what, value]) => `${value} ${what}`).join(', ') || 'Not advertised';
+  const phases = [
+    ['sessions', 'Sessions', describe([['in total', advertised('MaxSessions')]])],
+    ['subscriptions', 'Subscriptions', describe([['per session', advertised('MaxSubscriptionsPerSession')], ['in total', advertised('MaxSubscriptions')]])],
+    ['monitoredItems', 'Monitored items', describe([['per subscription', advertised('MaxMonitoredItemsPerSubscription')], ['in total', advertised('MaxMonitoredItems')]])]
+  ].filter(([key]) => capacity[key]);
+
+  const parts = [];
+  let severity = 'success';
+  for (const [key, label] of phases) {
+    const phase = capacity[key];
+    if (!phase.rejected) {
+      parts.push(`${label}: all ${phase.cap} were granted, so the limit is above the cap.`);
+    } else {
+      let text = `${label}: ${phase.reached} were granted, the next was refused with ${phase.statusCode || shortenError(phase.error) || 'no response'}.`;
+      if (key === 'sessions' && capacity.sessionsBefore > 1) {
+        text += ` With the ${capacity.sessionsBefore - 1} session(s) other clients held, the server stops at ${phase.reached + capacity.sessionsBefore - 1}.`;
+      }
+      if (phase.belowAdvertised) {
+        severity = severity === 'error' ? severity : 'warn';
+        text += ` That is fewer than the ${phase.headroom} the advertised limits allow.`;
+      }
+      parts.push(text);
+    }
+    if (!phase.released) {
+      severity = 'error';
+      parts.push(`Not all ${label.toLowerCase()} could be released (${shortenError(phase.releaseError)}); the server frees them when the session times out.`);
+    }
+  }
+
+  return {
+    severity,
+    text: parts.join(' '),
+    table: {
+      headers: ['Resource', 'Cap', 'Reached', 'Stopped by', 'Advertised'],
+      rows: phases.map(([key, label, limits]) => {
+        const phase = capacity[key];
+        return [label, String(phase.cap), String(phase.reached), phase.rejected ? phase.statusCode || 'No response' : 'Cap reached', limits];
+      })
+    }
+  };
+}
+
+/**
+ * Judges the data flow recorded while the subscription was held open (see lib/health.js).
+ * Publish responses should arrive at least once per keep-alive period
+ * (revised publishing interval x revised max keep-alive count).
+ */
+function summarizeSubscriptionHealth(health) {
+  const { requested, revised, publishIntervals: iv } = health;
+  const keepAlivePeriod = revised.publishingInterval * revised.maxKeepAliveCount;
+  const responses = health.notificationMessages + health.keepAlives;
+  const problems = [];
+  const notes = [];
+
+  if (responses === 0) {
+    problems.push('no publish responses (data or keep-alive) arrived during the window');
+  } else if (iv && iv.maxMs > keepAlivePeriod * 1.5) {
+    problems.push(`publish responses stalled for up to ${iv.maxMs} ms (keep-alive period is ${keepAlivePeriod} ms)`);
+  }
+  if (health.sequenceGaps > 0) {
+    const recovered = health.republish.requested > 0
+      ? ` (republish recovered ${health.republish.recovered} of ${health.republish.requested})`
+      : '';
+    problems.push(`${health.missingCount} notification message(s) were missing in ${health.sequenceGaps} sequence gap(s)${recovered}`);
+  }
+  if (health.statusChanges.length > 0) {
+    problems.push(`the server changed the subscription status (${health.statusChanges.map((c) => c.status).join(', ')})`);
+  }
+  if (responses > 0 && health.dataChanges === 0) {
+    notes.push('No data changes were received; only keep-alives arrived. The monitored value may simply not change.');
+  }
+  if (revised.publishingInterval !== requested.publishingInterval) {
+    notes.push(`The server revised the publishing interval from ${requested.publishingInterval} ms to ${revised.publishingInterval} ms.`);
+  }
+
+  const windowText = `${health.windowMs / 1000} s`;
+  const text = problems.length === 0
+    ? `The data flow was healthy over ${windowText}: ${health.dataChanges} data change(s) and ${health.keepAlives} keep-alive(s) with no missing messages.`
+    : `The data flow was not healthy over ${windowText}: ${problems.join('; ')}.`;
+
+  const fmt = (v) => (v == null ? 'n/a' : String(v));
+  return {
+    severity: problems.length > 0 ? (responses === 0 ? 'error' : 'warn') : (notes.length > 0 ? 'info' : 'success'),
+    text: [text, ...notes].join(' '),
+    table: {
+      headers: ['Measure', 'Requested', 'Observed / Granted'],
+      rows: [
+        ['Publishing interval', `${requested.publishingInterval} ms`, `${revised.publishingInterval} ms`],
+        ['Lifetime count', fmt(requested.lifetimeCount), fmt(revised.lifetimeCount)],
+        ['Max keep-alive count', fmt(requested.maxKeepAliveCount), fmt(revised.maxKeepAliveCount)],
+        ['Publish response interval', '', iv ? `min ${iv.minMs} / avg ${iv.avgMs} / max ${iv.maxMs} ms` : 'n/a'],
+        ['Data changes', '', String(health.dataChanges)],
+        ['Keep-alives', '', String(health.keepAlives)],
+        ['Sequence gaps', '', `${health.sequenceGaps} (${health.missingCount} missing)`]
+      ]
+    }
+  };
+}
+
+// baselineListeners is null when the baseline step did not run or was not received
+function summarizeAfterListeners(after, baselineListeners) {
+  const afterListeners = Array.isArray(after) ? after : [];
+  const portsAfter = getUniquePorts(afterListeners);
+
+  if (!baselineListeners) {
+    if (afterListeners.length === 0) {
+      return {
+        severity: 'info',
+        text: 'After the subscription step, no listening TCP sockets were captured.'
+      };
+    }
+    let portText;
+    if (portsAfter.length === 0) {
+      portText = 'no specific ports could be parsed.';
+    } else if (portsAfter.length <= 5) {
+      portText = `ports ${portsAfter.join(', ')}.`;
+    } else {
+      portText = `ports ${portsAfter.slice(0, 5).join(', ')} and additional ports.`;
+    }
+    return {
+      severity: 'info',
+      text: `After the subscription, the tool saw ${afterListeners.length} listening TCP socket(s) on ${portText}`
+    };
+  }
+
+  const portsBefore = new Set(getUniquePorts(baselineListeners));
+  const newPorts = portsAfter.filter((p) => !portsBefore.has(p));
+
+  if (afterListeners.length === 0) {
+    return {
+      severity: 'warn',
+      text: 'After the subscription, no listening TCP sockets were captured. This suggests the client did not keep a separate callback listener open.'
+    };
+  }
+
+  if (newPorts.length === 0) {
+    return {
+      severity: 'info',
+      text: 'The set of listening ports did not change after creating the subscription. The OPC UA client likely reused existing ports for callbacks.'
+    };
+  }
+
+  let text;
+  if (newPorts.length <= 5) {
+    text = `New listening port(s) appeared after the subscription: ${newPorts.join(', ')}.`;
+  } else {
+    text = `Several new listening ports appeared after the subscription, including ${newPorts.slice(0, 5).join(', ')}.`;
+  }
+
+  return {
+    severity: 'info',
+    text: `After creating the subscription, the tool saw ${afterListeners.length} listening TCP socket(s). ${text}`
+  };
+}
+
+// Steps turned off in the probe configuration ([{ key, label }] from lib/steps)
+function summarizeSkippedSteps(skipped) {
+  const labels = skipped.map((step) => step.label);
+  const consequences = [];
+  if (skipped.some((step) => step.key === 'subscription')) {
+    consequences.push('no subscription was created, so callback listeners and connections may not appear');
+  }
+  if (skipped.some((step) => step.key === 'baselineListeners') && !skipped.some((step) => step.key === 'postSubscriptionListeners')) {
+    consequences.push('post-subscription listeners are not compared with a baseline');
+  }
+  return `The probe configuration turned off ${labels.join(', ')}; those steps did not run and have no results below.` +
+    (consequences.length > 0 ? ` As a result, ${consequences.join(', and ')}.` : '');
+}
+
+/**
+ * Checks narrative entries ({ title, severity }) against a self-test scenario's expectations
+ * (lib/selftest.js). An expectation passes when an entry with its title has an accepted severity.
+ */
+function compareNarrative(entries, expected) {
+  return expected.map(({ title, severity }) => {
+    const actual = entries.filter((e) => e.title === title).map((e) => e.severity);
+    return { title, expected: severity, actual, pass: actual.some((s) => severity.includes(s)) };
+  });
+}
+
+function summarizeSelfTest(scenarioLabel, comparison) {
+  const failed = comparison.filter((c) => !c.pass);
+  const table = {
+    headers: ['Entry', 'Expected', 'Shown', 'Result'],
+    rows: comparison.map((c) => [c.title, c.expected.join(' or '), c.actual.join(', ') || '(missing)', c.pass ? 'OK' : 'MISMATCH'])
+  };
+  if (failed.length === 0) {
+    return {
+      severity: 'success',
+      text: `Self-test "${scenarioLabel}": all ${comparison.length} expected result(s) were shown, so the tool diagnosed this scenario correctly.`,
+      table
+    };
+  }
+  return {
+    severity: 'error',
+    text: `Self-test "${scenarioLabel}": ${failed.length} of ${comparison.length} expected result(s) did not match (${failed.map((c) => c.title).join(', ')}). ` +
+      'Either the scenario did not take effect on the self-test server or the tool no longer diagnoses it correctly.',
+    table
+  };
+}
+
+// Reverse Connect proves the callback path directly: the server dialled us (see lib/reverse.js)
+function summarizeReverseConnect(rc) {
+  const rejected = rc.rejected.length > 0
+    ? ` ${rc.rejected.length} other connection(s) arrived but did not send a ReverseHello (${rc.rejected.map((r) => r.remoteAddress).join(', ')}).`
+    : '';
+  if (!rc.reached) {
+    return {
+      severity: 'error',
+      text: `No ReverseHello arrived on port ${rc.listenPort} within ${rc.waitMs / 1000} s. Either the server is not configured to reverse-connect to this machine and port, or a firewall/NAT blocks connections from the server to this client.${rejected}`
+    };
+  }
+
+  const reached = `The server reached this machine from ${rc.remoteAddress}:${rc.remotePort} after ${(rc.waitedMs / 1000).toFixed(1)} s and sent a ReverseHello for ${rc.endpointUrl || 'an unnamed endpoint'}` +
+    `${rc.serverUri ? ` (${rc.serverUri})` : ''}, so the server-to-client callback path is open.`;
+  if (rc.session.success) {
+    return {
+      severity: 'success',
+      text: `${reached} A session was created over the reversed connection in ${rc.session.durationMs} ms.${rejected}`
+    };
+  }
+  return {
+    severity: 'warn',
+    text: `${reached} However, creating a session over it failed: ${rc.session.statusCode || shortenError(rc.session.error)}. The network path works; check the server's security and user settings for reverse connections.${rejected}`
+  };
+}
+
+function formatSeconds(ms) {
+  return ms == null ? '' : `${Math.round(ms / 1000)} s`;
+}
+
+// "SYN_RECEIVED +0s → ESTABLISHED +2s → TIME_WAIT +8s"; older reports only carry one state
+function formatStateTimeline(connection) {
+  const states = connection.states || [{ state: connection.state || 'unknown', atMs: 0 }];
+  return states.map((st) => `${st.state} +${Math.round(st.atMs / 1000)}s`).join(' → ');
+}
+
+/**
+ * Connections are timeline entities from lib/connections.js, one per 4-tuple. Only inbound
+ * ones are callbacks; outbound ones (this machine's own sessions to the server) are listed
+ * for context. Records without a direction come from older reports and count as inbound.
+ */
+function summarizeConnections(connections) {
+  const all = Array.isArray(connections) ? connections : [];
+  const inbound = all.filter((c) => c.direction !== 'outbound');
+  const outbound = all.length - inbound.length;
+  const outboundText = outbound > 0 ? ` ${outbound} outbound connection(s) from this machine to the server were also seen; they are not callbacks.` : '';
+  const table = all.length === 0 ? null : {
+    headers: ['Direction', 'Remote', 'Local', 'First seen', 'Last seen', 'Duration', 'State timeline'],
+    rows: all.map((c) => [
+      c.direction || 'inbound?',
+      `${c.remoteAddress || ''}:${c.remotePort || ''}`,
+      `${c.localAddress || ''}:${c.localPort || ''}`,
+      c.firstSeen || c.timestamp ? new Date(c.firstSeen || c.timestamp).toLocaleTimeString() : '',
+      c.lastSeen ? new Date(c.lastSeen).toLocaleTimeString() : '',
+      c.durationMs == null ? '' : `≥ ${formatSeconds(c.durationMs)}${c.open ? ' (still present)' : ''}`,
+      formatStateTimeline(c)
+    ])
+  };
+
+  if (inbound.length === 0) {
+    return {
+      severity: 'warn',
+      text: `No incoming TCP connections from the server’s IP were observed during the monitoring window. This may mean the server is not attempting callbacks, cannot reach this machine, or a firewall is blocking the traffic.${outboundText}`,
+      table
+    };
+  }
+
+  const established = inbound.filter((c) => (c.states || [{ state: c.state }]).some((st) => st.state === 'ESTABLISHED'));
+  const halfOpen = inbound.filter((c) => !established.includes(c) && (c.states || [{ state: c.state }]).some((st) => st.state === 'SYN_RECEIVED'));
+  const parts = [`The tool observed ${inbound.length} distinct incoming TCP connection(s) from the server’s IP during the monitoring window.`];
+  if (established.length > 0) {
+    parts.push(`${established.length} reached ESTABLISHED, so the server can open connections to this machine.`);
+  }
+  if (halfOpen.length > 0) {
+    parts.push(`${halfOpen.length} never got past SYN_RECEIVED, which suggests the handshake is being blocked or dropped on the way back.`);
+  }
+
+  return {
+    severity: established.length > 0 || halfOpen.length === 0 ? 'success' : 'warn',
+    text: parts.join(' ') + outboundText,
+    table
+  };
+}
+
+function shortenError(text) {
+  if (!text) return '';
+  const s = String(text).replace(/\s+/g, ' ').trim();
+  if (s.length > 220) return s.slice(0, 217) + '…';
+  return s;
+}
+
+/**
+ * Builds narrative entries ({ title, severity, message, table? }) for a partial or final
+ * result payload. context carries state between partial payloads of one run
+ * (the baseline listeners needed to diff the post-subscription snapshot).
+ */
+function narrateResult(payload, context = {}) {
+  const entries = [];
+  if (!payload || typeof payload !== 'object') return entries;
+
+  // Say up front which steps were turned off, so missing entries are not read as failures
+  if (payload.skippedSteps && payload.skippedSteps.length > 0) {
+    entries.push({ title: 'Probe Steps', severity: 'info', message: summarizeSkippedSteps(payload.skippedSteps) });
+  }
+
+  // Display the DNS / TCP / Hello preflight, one entry per layer
+  if (payload.preflight) {
+    for (const { title, severity, text, table } of summarizePreflight(payload.preflight)) {
+      entries.push({ title, severity, message: text, table });
+    }
+  }
+
+  // Display endpoint security analysis
+  if (payload.endpoints) {
+    const { severity, text } = summarizeEndpoints(payload.endpoints);
+    entries.push({ title: 'Endpoint Security', severity, message: text });
+  }
+
+  // Display decoded server certificate(s) with validation findings
+  if (payload.serverCertificates) {
+    if (payload.serverCertificates.length === 0) {
+      entries.push({
+        title: 'Server Certificate',
+        severity: 'info',
+        message: 'No endpoint carried a server certificate, so there was nothing to validate.'
+      });
+    }
+    payload.serverCertificates.forEach((cert, idx) => {
+      const { severity, text, table } = summarizeServerCertificate(cert);
+      const title = payload.serverCertificates.length > 1 ? `Server Certificate ${idx + 1}` : 'Server Certificate';
+      entries.push({ title, severity, message: text, table });
+    });
+  }
+
+  // Display per-policy/mode session results next to the endpoint summary
+  if (payload.securityMatrix) {
+    const { severity, text, table } = summarizeSecurityMatrix(payload.securityMatrix);
+    entries.push({ title: 'Security Matrix', severity, message: text, table });
+  }
+
+  // Display advertised endpointUrl vs. dialled address comparison
+  if (payload.endpointUrlCheck) {
+    const { severity, text, table } = summarizeEndpointUrlCheck(payload.endpointUrlCheck);
+    entries.push({ title: 'Advertised Endpoint URLs', severity, message: text, table });
+  }
+
+  // Display the server's build info, limits and diagnostics counters
+  if (payload.serverSnapshot) {
+    for (const { title, severity, text, table } of summarizeServerSnapshot(payload.serverSnapshot)) {
+      entries.push({ title, severity, message: text, table });
+    }
+  }
+
+  // Display baseline listening ports (before subscription)
+  if (payload.beforeListeners) {
+    context.baselineListeners = payload.beforeListeners;
+    const { severity, text } = summarizeBeforeListeners(payload.beforeListeners);
+    entries.push({ title: 'Baseline Listeners', severity, message: text });
+  }
+
+  // Display subscription creation result
+  if (payload.subscriptionResult) {
+    const { severity, text, table } = summarizeSubscriptionResult(payload.subscriptionResult);
+    entries.push({ title: 'Subscription', severity, message: text, table });
+    if (payload.subscriptionResult.health) {
+      const health = summarizeSubscriptionHealth(payload.subscriptionResult.health);
+      entries.push({ title: 'Subscription Health', severity: health.severity, message: health.text, table: health.table });
+    }
+  }
+
+  // Display the read/write/method checks (only present when some were configured)
+  if (payload.operations) {
+    for (const { title, severity, text, table } of summarizeOperations(payload.operations)) {
+      entries.push({ title, severity, message: text, table });
+    }
+  }
+
+  // Display listening ports after subscription (for comparison)
+  if (payload.afterListeners) {
+    const { severity, text } = summarizeAfterListeners(payload.afterListeners, context.baselineListeners || null);
+    entries.push({ title: 'Post-Subscription Listeners', severity, message: text });
+  }
+
+  // Display server callback connection attempts
+  if (payload.connections) {
+    const { severity, text, table } = summarizeConnections(payload.connections);
+    entries.push({ title: 'Server Callbacks', severity, message: text, table });
+  }
+
+  // Display the Reverse Connect result (only present when the step was enabled)
+  if (payload.reverseConnect) {
+    const { severity, text } = summarizeReverseConnect(payload.reverseConnect);
+    entries.push({ title: 'Reverse Connect', severity, message: text });
+  }
+
+  // Display the capacity test (only present when caps were set)
+  if (payload.capacity) {
+    const { severity, text, table } = summarizeCapacity(payload.capacity);
+    entries.push({ title: 'Capacity Test', severity, message: text, table });
+  }
+
+  return entries;
+}
+
+function formatChangeList(items, limit = 5) {
+  if (items.length <= limit) return items.join(', ');
+  return `${items.slice(0, limit).join(', ')} and ${items.length - limit} more`;
+}
+
+/**
+ * Builds narrative entries for a run-to-run diff produced by lib/history.js diffRuns().
+ * Unchanged areas get a single info line; changes are warn (or error for regressions).
+ */
+function narrateDiff(diff) {
+  const entries = [];
+  const when = (run) => new Date(run.startedAt).toLocaleString();
+
+  entries.push({
+    title: 'Run Comparison',
+    severity: diff.sameServer ? 'info' : 'warn',
+    message: `Comparing the run from ${when(diff.older)} (${diff.older.passed ? 'pass' : 'fail'}) with the run from ${when(diff.newer)} (${diff.newer.passed ? 'pass' : 'fail'}).` +
+      (diff.sameServer ? '' : ' These runs target different servers, so most differences are expected.')
+  });
+
+  const ep = diff.endpoints;
+  if (ep.added.length === 0 && ep.removed.length === 0) {
+    entries.push({ title: 'Endpoints', severity: 'info', message: 'The advertised endpoints and security policies are unchanged.' });
+  } else {
+    entries.push({
+      title: 'Endpoints',
+      severity: ep.removed.length > 0 ? 'error' : 'warn',
+      message: 'The advertised endpoints changed.',
+      table: {
+        headers: ['Change', 'Endpoint / Policy'],
+        rows: [...ep.removed.map((e) => ['Removed', e]), ...ep.added.map((e) => ['Added', e])]
+      }
+    });
+  }
+
+  if (diff.securityMatrix.length > 0) {
+    const regressed = diff.securityMatrix.some((c) => c.before === 'OK' && c.after !== 'OK');
+    entries.push({
+      title: 'Security Matrix',
+      severity: regressed ? 'error' : 'warn',
+      message: `${diff.securityMatrix.length} security combination(s) changed outcome.`,
+      table: {
+        headers: ['Combination', 'Before', 'After'],
+        rows: diff.securityMatrix.map((c) => [c.combination, c.before, c.after])
+      }
+    });
+  }
+
+  const ls = diff.listeners;
+  if (ls.added.length === 0 && ls.removed.length === 0) {
+    entries.push({ title: 'Listeners', severity: 'info', message: 'The set of local listening sockets is unchanged.' });
+  } else {
+    const parts = [];
+    if (ls.added.length > 0) parts.push(`New listeners: ${formatChangeList(ls.added)}.`);
+    if (ls.removed.length > 0) parts.push(`Removed listeners: ${formatChangeList(ls.removed)}.`);
+    entries.push({ title: 'Listeners', severity: 'warn', message: parts.join(' ') });
+  }
+
+  const sub = diff.subscription;
+  if (!sub.changed) {
+    entries.push({
+      title: 'Subscription',
+      severity: sub.after ? 'info' : 'warn',
+      message: `The subscription outcome is unchanged (${sub.after ? 'succeeded' : 'failed'} in both runs).`
+    });
+  } else {
+    entries.push({
+      title: 'Subscription',
+      severity: sub.after ? 'success' : 'error',
+      message: sub.after
+        ? 'The subscription now succeeds; it failed in the earlier run.'
+        : `The subscription now fails; it succeeded in the earlier run. ${sub.errorAfter ? 'Details: ' + shortenError(sub.errorAfter) : ''}`.trim()
+    });
+  }
+
+  const cb = diff.callbacks;
+  entries.push({
+    title: 'Server Callbacks',
+    severity: !cb.changed ? 'info' : (cb.after < cb.before ? 'warn' : 'success'),
+    message: cb.changed
+      ? `Observed incoming connections changed from ${cb.before} to ${cb.after}.`
+      : `Observed incoming connections are unchanged (${cb.after}).`
+  });
+
+  return entries;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    narrateResult,
+    narrateDiff,
+    summarizePreflight,
+    summarizeEndpoints,
+    summarizeServerCertificate,
+    summarizeSecurityMatrix,
+    summarizeEndpointUrlCheck,
+    summarizeServerSnapshot,
+    summarizeBeforeListeners,
+    summarizeSubscriptionResult,
+    summarizeSubscriptionHealth,
+    summarizeOperations,
+    summarizeAfterListeners,
+    summarizeConnections,
+    summarizeSkippedSteps,
+    compareNarrative,
+    summarizeSelfTest,
+    summarizeReverseConnect,
+    summarizeCapacity,
+    shortenError,
+    describeStatusCode,
+    shortenPolicyUri,
+    securityModeToString
+  };
+}
@@ -2,18 +2,43 @@
  * Worker process - OPC-UA diagnostic operations
  * Runs in separate Node.js process to keep UI responsive and isolate OPC-UA operations
  * 
- * Probe workflow:
- * 1. Query OPC-UA server endpoints
- * 2. Capture baseline listening ports (before subscription)
- * 3. Create OPC-UA subscription and monitored item
+ * Probe workflow (steps 1-5 can be turned off or given their own timeout/duration, see lib/steps):
+ * 1. Query OPC-UA server endpoints, inspect server certificates, then attempt a session
+ *    on each security policy/mode; read the server's build info, limits and diagnostics
+ *    counters (lib/snapshot)
+ * 2. Capture baseline listening ports (before subscription, via lib/sockets for the current OS)
+ * 3. Create OPC-UA subscription and monitored item, and measure its health over a window
+ *    (optionally followed by reads, confirmed write-and-restore checks and a method call, lib/operations)
  * 4. Capture listening ports after subscription (identify callback listeners)
  * 5. Monitor for incoming connections from server (callback attempts)
- * 6. Write comprehensive log file with all results
+ *    (optionally followed by Reverse Connect, and last by the bounded capacity test, lib/capacity)
+ * 6. Diagnose the run as a whole (renderer/diagnosis.js) and write comprehensive log file with all results
  */
 
-const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { getSocketSource, listSockets, sameAddress } = require('./lib/sockets');
+const { buildUserIdentity, describeIdentity, redactConfig } = require('./lib/identity');
+const { inspectCertificate, checkCertificate } = require('./lib/certificates');
+const { writeReports } = require('./lib/report');
+const { createHealthRecorder } = require('./lib/health');
+const { openBrowseSession, closeBrowseSession, browseChildren } = require('./lib/browse');
+const { resolveMonitoredItems, parameterKey, describeItem } = require('./lib/items');
+const { runPreflight } = require('./lib/preflight');
+const { discoverServers } = require('./lib/discovery');
+const { checkAdvertisedUrls, rewriteEndpointUrl } = require('./lib/advertised');
+const { runReverseConnect } = require('./lib/reverse');
+const { createConnectionTracker, inboundConnections } = require('./lib/connections');
+const { resolveSteps, describeStep, createProgressPlan } = require('./lib/steps');
+const { startSelfTestServer } = require('./lib/selftest');
+const { diagnose, formatConfidence } = require('./renderer/diagnosis');
+const { decodeStatusCode } = require('./lib/statuscodes');
+const { readServerSnapshot } = require('./lib/snapshot');
+const { closeLateSession } = require('./lib/sessions');
+const { resolveOperations } = require('./lib/operationspecs');
+const { OPERATION_TIMEOUT_MS, hasWrites, runOperations } = require('./lib/operations');
+const { CAPACITY_PHASES, resolveCapacity } = require('./lib/capacitycaps');
+const { runCapacityTest } = require('./lib/capacity');
 
 function send(type, payload = {}) {
   try { process.send({ type, ...payload }); } catch (e) { /* parent may have closed */ }
@@ -27,13 +52,37 @@ process.on('message', async (msg) => {
   const logPath = path.join(userDataPath, 'logs');
   try { fs.mkdirSync(logPath, { recursive: true }); } catch (e) {}
   
-  const logfile = path.join(
+  let logfile = path.join(
     logPath,
     `opcua-endpoint-diagnostic_${new Date().toISOString().replace(/[:.]/g,'-')}.log`
   );
+  // Batch runs start several workers at once; claim the name so they never share a file
+  try {
+    fs.closeSync(fs.openSync(logfile, 'wx'));
+  } catch (e) {
+    if (e.code === 'EEXIST') logfile = logfile.replace(/\.log$/, `-${process.pid}.log`);
+  }
 
   const errors = [];
   const warnings = [];
+  const startedAt = new Date().toISOString();
+
+  // Everything published to the renderer, kept for the JSON/HTML reports
+  const collected = {};
+  const timings = [];
+
+  function publishPartial(payload) {
+    Object.assign(collected, payload);
+    send('result-partial', { payload });
+  }
+
+  // Records a step's start time; call the returned function when the step ends
+  function beginStep(step) {
+    const entry = { step, startedAt: new Date().toISOString(), durationMs: null };
+    const t0 = Date.now();
+    timings.push(entry);
+    return () => { entry.durationMs = Date.now() - t0; };
+  }
 
   // Dual logging: simple messages go to UI + file, detailed messages only to file
   function appendLog(text, isDetailed = false) {
@@ -86,8 +135,24 @@ process.on('message', async (msg) => {
     appendLog('========== Probe Configuration ==========', true);
     appendLog(`  Server:               ${cfg.server || 'N/A'}`, true);
     appendLog(`  Port:                 ${cfg.port || 'N/A'}`, true);
-    appendLog(`  Node ID:              ${cfg.nodeId || 'ns=0;i=2258'}`, true);
+    appendLog(`  Node ID:              ${monitoredNodeIds(cfg).join(', ')}`, true);
     appendLog(`  Publishing Interval:  ${cfg.publishingInterval || 250} ms`, true);
+    appendLog(`  Health Window:        ${cfg.healthWindowSeconds || DEFAULT_HEALTH_WINDOW_SECONDS} s`, true);
+    const ops = cfg.operations || {};
+    if (ops.nodes && ops.nodes.length > 0) {
+      appendLog(`  Operation Nodes:      ${ops.nodes.join(', ')} (writes ${ops.writesConfirmed ? 'confirmed' : 'not confirmed'})`, true);
+    }
+    if (ops.method && ops.method.methodId) {
+      appendLog(`  Method Call:          ${ops.method.methodId} on ${ops.method.objectId} (${(ops.method.arguments || []).length} argument(s))`, true);
+    }
+    if (cfg.reverseConnect && cfg.reverseConnect.port) {
+      appendLog(`  Reverse Connect:      port ${cfg.reverseConnect.port}, wait ${cfg.reverseConnect.waitSeconds || DEFAULT_REVERSE_WAIT_SECONDS} s`, true);
+    }
+    if (cfg.capacity) {
+      const caps = CAPACITY_PHASES.filter(([key]) => cfg.capacity[key]).map(([key, label]) => `${label.toLowerCase()} ${cfg.capacity[key]}`);
+      if (caps.length > 0) appendLog(`  Capacity Caps:        ${caps.join(', ')}`, true);
+    }
+    appendLog(`  User Identity:        ${describeIdentity(cfg.identity)}`, true);
     appendLog('========== End Probe Configuration ==========', true);
     appendLog('', true);
   }
@@ -158,6 +223,225 @@ process.on('message', async (msg) => {
     appendLog('', true);
   }
 
+  function formatPreflightReport(preflight) {
+    const layerStatus = (layer) => layer.skipped ? 'SKIPPED' : (layer.ok ? `OK (${layer.durationMs} ms)` : `FAILED (${layer.durationMs ?? '?'} ms)`);
+    appendLog('', true);
+    appendLog('========== Connection Preflight ==========', true);
+    appendLog(`  Target:               ${preflight.host}:${preflight.port}`, true);
+    appendLog('', true);
+    appendLog(`  DNS Resolution:       ${layerStatus(preflight.dns)}`, true);
+    for (const a of preflight.dns.addresses || []) {
+      appendLog(`    ${a.family.padEnd(6)} ${a.address}`, true);
+    }
+    if (preflight.dns.error) appendLog(`    Error:              ${preflight.dns.error}`, true);
+    appendLog('', true);
+    appendLog(`  TCP Connect:          ${preflight.tcp.skipped ? 'SKIPPED' : (preflight.tcp.ok ? `OK (${preflight.tcp.durationMs} ms)` : 'FAILED')}`, true);
+    for (const a of preflight.tcp.attempts || []) {
+      appendLog(`    ${a.address.padEnd(40)} ${a.ok ? 'connected' : a.error} (${a.durationMs} ms)`, true);
+    }
+    appendLog('', true);
+    appendLog(`  OPC UA Hello:         ${layerStatus(preflight.hello)}`, true);
+    if (preflight.hello.endpointUrl) appendLog(`    EndpointUrl:        ${preflight.hello.endpointUrl}`, true);
+    if (preflight.hello.ok) {
+      appendLog(`    Protocol Version:   ${preflight.hello.protocolVersion}`, true);
+      appendLog(`    Receive Buffer:     ${preflight.hello.receiveBufferSize} bytes`, true);
+      appendLog(`    Send Buffer:        ${preflight.hello.sendBufferSize} bytes`, true);
+      appendLog(`    Max Message Size:   ${preflight.hello.maxMessageSize || 'no limit'}${preflight.hello.maxMessageSize ? ' bytes' : ''}`, true);
+      appendLog(`    Max Chunk Count:    ${preflight.hello.maxChunkCount || 'no limit'}`, true);
+    }
+    if (preflight.hello.error) appendLog(`    Error:              ${preflight.hello.error}`, true);
+    appendLog('========== End Connection Preflight ==========', true);
+    appendLog('', true);
+  }
+
+  function formatCertificateReport(certs) {
+    appendLog('', true);
+    appendLog('========== Server Certificate Report ==========', true);
+    appendLog(`  Distinct Certificates:  ${certs.length}`, true);
+    if (certs.length === 0) {
+      appendLog('', true);
+      appendLog('  Note: No endpoint carried a server certificate (only SecurityPolicy.None offered?)', true);
+    }
+    certs.forEach((c, idx) => {
+      appendLog('', true);
+      appendLog(`  Certificate ${idx + 1} (used by ${c.endpointCount} endpoint(s)):`, true);
+      if (c.error) {
+        appendLog(`    Error:               ${c.error}`, true);
+      } else {
+        appendLog(`    Thumbprint (SHA1):   ${c.thumbprint}`, true);
+        appendLog(`    Subject:             ${c.subject}`, true);
+        appendLog(`    Issuer:              ${c.issuer}`, true);
+        appendLog(`    Self-Signed:         ${c.selfSigned ? 'Yes' : 'No'}`, true);
+        appendLog(`    Valid From:          ${c.validFrom}`, true);
+        appendLog(`    Valid To:            ${c.validTo}`, true);
+        appendLog(`    Key:                 ${(c.keyType || '?').toUpperCase()} ${c.keySize ? c.keySize + ' bit' : ''}`.trimEnd(), true);
+        appendLog(`    Signature Algorithm: ${c.signatureAlgorithm}`, true);
+        appendLog(`    SAN URIs:            ${c.subjectAltName.uris.join(', ') || '(none)'}`, true);
+        appendLog(`    SAN DNS:             ${c.subjectAltName.dns.join(', ') || '(none)'}`, true);
+        appendLog(`    SAN IPs:             ${c.subjectAltName.ips.join(', ') || '(none)'}`, true);
+        appendLog(`    ApplicationUri(s):   ${c.applicationUris.join(', ') || '(none)'}`, true);
+      }
+      appendLog(`    Issues (${c.issues.length}):`, true);
+      if (c.issues.length === 0) {
+        appendLog('      (none)', true);
+      }
+      for (const issue of c.issues) {
+        appendLog(`      [${issue.severity.toUpperCase()}] ${issue.code}: ${issue.message}`, true);
+      }
+    });
+    appendLog('========== End Server Certificate Report ==========', true);
+    appendLog('', true);
+  }
+
+  function formatEndpointUrlCheck(check) {
+    appendLog('', true);
+    appendLog('========== Advertised Endpoint URLs ==========', true);
+    appendLog(`  Dialled URL:          ${check.dialledUrl}`, true);
+    for (const u of check.urls) {
+      appendLog('', true);
+      appendLog(`  ${u.endpointUrl}`, true);
+      appendLog(`    Resolves To:        ${u.resolves ? u.addresses.join(', ') : '(does not resolve)'}`, true);
+      appendLog(`    Host Matches:       ${u.hostMatches ? 'Yes' : (u.sameAddress ? 'No (same address)' : 'No')}`, true);
+      appendLog(`    Port Matches:       ${u.portMatches ? 'Yes' : 'No'}`, true);
+      for (const issue of u.issues) {
+        appendLog(`    [${issue.severity.toUpperCase()}] ${issue.code}: ${issue.message}`, true);
+      }
+    }
+    if (check.retry) {
+      const outcome = (a) => a.success ? `OK (${a.durationMs} ms)` : `FAILED (${a.statusCode || a.error})`;
+      appendLog('', true);
+      appendLog(`  Session Retry (${shortenPolicyUri(check.retry.securityPolicyUri)}/${securityModeToString(check.retry.securityMode)}):`, true);
+      appendLog(`    Advertised URL:     ${check.retry.advertised.url} -> ${outcome(check.retry.advertised)}`, true);
+      appendLog(`    Rewritten URL:      ${check.retry.rewritten.url} -> ${outcome(check.retry.rewritten)}`, true);
+    }
+    appendLog('========== End Advertised Endpoint URLs ==========', true);
+    appendLog('', true);
+  }
+
+  function formatServerSnapshot(snapshot) {
+    const build = snapshot.buildInfo;
+    appendLog('', true);
+    appendLog('========== Server Snapshot ==========', true);
+    if (build) {
+      appendLog(`  Product:              ${build.productName || '(none)'}`, true);
+      appendLog(`  Manufacturer:         ${build.manufacturerName || '(none)'}`, true);
+      appendLog(`  Software Version:     ${build.softwareVersion || '(none)'} (build ${build.buildNumber || '?'}${build.buildDate ? `, ${build.buildDate}` : ''})`, true);
+      appendLog(`  Product URI:          ${build.productUri || '(none)'}`, true);
+    } else {
+      appendLog('  Build Info:           (not readable)', true);
+    }
+    appendLog(`  Server State:         ${snapshot.state || '(not readable)'}`, true);
+    appendLog(`  Start Time:           ${snapshot.startTime || '(not readable)'}`, true);
+    appendLog(`  Current Time:         ${snapshot.currentTime || '(not readable)'}`, true);
+    appendLog(`  Namespaces (${snapshot.namespaces.length}):`, true);
+    snapshot.namespaces.forEach((uri, idx) => appendLog(`    ns=${idx}  ${uri}`, true));
+    appendLog('', true);
+    const headers = [
+      { label: 'Limit', width: 40 },
+      { label: 'Value', width: 18 },
+      { label: 'Group', width: 16 }
+    ];
+    const rows = snapshot.limits.map(l => [
+      l.label,
+      l.value === null ? l.status : (l.value === 0 ? 'no limit' : l.value),
+      l.group
+    ]);
+    for (const line of formatTable(headers, rows)) {
+      appendLog(line, true);
+    }
+    appendLog('', true);
+    const d = snapshot.diagnostics;
+    appendLog(`  Server Diagnostics:   ${d.summary ? (d.enabled === false ? 'available (EnabledFlag is off, counters may be stale)' : 'available') : `not available (${d.status})`}`, true);
+    if (d.summary) {
+      appendLog(`    Current Sessions:            ${d.summary.currentSessionCount}`, true);
+      appendLog(`    Cumulated Sessions:          ${d.summary.cumulatedSessionCount}`, true);
+      appendLog(`    Rejected Sessions:           ${d.summary.rejectedSessionCount} (security: ${d.summary.securityRejectedSessionCount})`, true);
+      appendLog(`    Session Timeouts / Aborts:   ${d.summary.sessionTimeoutCount} / ${d.summary.sessionAbortCount}`, true);
+      appendLog(`    Current Subscriptions:       ${d.summary.currentSubscriptionCount}`, true);
+      appendLog(`    Cumulated Subscriptions:     ${d.summary.cumulatedSubscriptionCount}`, true);
+      appendLog(`    Publishing Intervals:        ${d.summary.publishingIntervalCount}`, true);
+      appendLog(`    Rejected Requests:           ${d.summary.rejectedRequestsCount} (security: ${d.summary.securityRejectedRequestsCount})`, true);
+    }
+    appendLog('========== End Server Snapshot ==========', true);
+    appendLog('', true);
+  }
+
+  function formatReverseConnect(rc) {
+    appendLog('', true);
+    appendLog('========== Reverse Connect ==========', true);
+    appendLog(`  Listen Port:          ${rc.listenPort}`, true);
+    appendLog(`  Wait Limit:           ${rc.waitMs / 1000} s`, true);
+    appendLog(`  ReverseHello:         ${rc.reached ? `received after ${rc.waitedMs} ms` : 'not received'}`, true);
+    if (rc.reached) {
+      appendLog(`  From:                 ${rc.remoteAddress}:${rc.remotePort}`, true);
+      appendLog(`  ServerUri:            ${rc.serverUri || '(none)'}`, true);
+      appendLog(`  EndpointUrl:          ${rc.endpointUrl || '(none)'}`, true);
+      appendLog(`  Session:              ${rc.session.success ? `OK (${rc.session.durationMs} ms)` : `FAILED (${rc.session.statusCode || 'no status'})`}`, true);
+      if (rc.session.error) appendLog(`  Session Error:        ${rc.session.error}`, true);
+    }
+    for (const r of rc.rejected) {
+      appendLog(`  Rejected Connection:  ${r.remoteAddress}:${r.remotePort} - ${r.error}`, true);
+    }
+    appendLog('========== End Reverse Connect ==========', true);
+    appendLog('', true);
+  }
+
+  function formatDiagnosis(diagnosis) {
+    appendLog('', true);
+    appendLog('========== Diagnosis ==========', true);
+    appendLog(`  Overview: ${diagnosis.overview}`, true);
+    diagnosis.verdicts.forEach((v, idx) => {
+      appendLog(`  ${idx + 1}. [${v.severity.toUpperCase()}] ${v.title} (confidence ${formatConfidence(v.confidence)})`, true);
+      for (const line of v.evidence) appendLog(`       Evidence: ${line}`, true);
+      for (const line of v.remediation) appendLog(`       Fix:      ${line}`, true);
+    });
+    appendLog('========== End Diagnosis ==========', true);
+    appendLog('', true);
+  }
+
+  // Judges the run as a whole (renderer/diagnosis.js); a diagnosis failure never fails the probe
+  function publishDiagnosis(status, error) {
+    try {
+      const diagnosis = diagnose({ config, status, error, result: collected, errors });
+      formatDiagnosis(diagnosis);
+      publishPartial({ diagnosis });
+    } catch (err) {
+      logWarning(`Failed to build the diagnosis: ${err.message}`, 'Diagnosis');
+    }
+  }
+
+  function formatSecurityMatrix(matrix) {
+    appendLog('', true);
+    appendLog('========== Security Matrix ==========', true);
+    appendLog(`  Combinations Tested:  ${matrix.length}`, true);
+    appendLog(`  Sessions Accepted:    ${matrix.filter(r => r.success).length}`, true);
+    appendLog('', true);
+    const headers = [
+      { label: 'Security Policy', width: 22 },
+      { label: 'Mode', width: 16 },
+      { label: 'Result', width: 7 },
+      { label: 'Status Code', width: 32 },
+      { label: 'Time', width: 8 }
+    ];
+    const rows = matrix.map(r => [
+      shortenPolicyUri(r.securityPolicyUri),
+      securityModeToString(r.securityMode),
+      r.success ? 'OK' : 'FAILED',
+      r.statusCode || (r.success ? 'Good' : 'Unknown'),
+      `${r.durationMs} ms`
+    ]);
+    for (const line of formatTable(headers, rows)) {
+      appendLog(line, true);
+    }
+    const statuses = new Map(matrix.filter(r => r.status).map(r => [r.status.name, r.status]));
+    for (const status of statuses.values()) {
+      appendLog('', true);
+      formatStatusCode(status, '  ');
+    }
+    appendLog('========== End Security Matrix ==========', true);
+    appendLog('', true);
+  }
+
   function formatListeningPorts(sectionTitle, listeners, portSummary) {
     appendLog('', true);
     appendLog(`========== ${sectionTitle} ==========`, true);
@@ -235,21 +519,184 @@ process.on('message', async (msg) => {
     if (result.success) {
       appendLog('  Status:          SUCCESS', true);
       appendLog(`  Node Monitored:  ${result.nodeMonitored || 'N/A'}`, true);
+      formatMonitoredItems(result.items);
+      if (result.health) formatSubscriptionHealth(result.health);
     } else {
       appendLog('  Status:  FAILED', true);
       appendLog(`  Error:   ${result.error || 'Unknown error'}`, true);
+      formatStatusCode(result.status, '  ');
+      formatMonitoredItems(result.items);
     }
     appendLog('========== End Subscription Result ==========', true);
     appendLog('', true);
   }
 
+  function formatCapacity(capacity) {
+    appendLog('', true);
+    appendLog('========== Capacity Test ==========', true);
+    appendLog(`  Sessions Before:      ${capacity.sessionsBefore === null ? '(unknown)' : `${capacity.sessionsBefore} (this test's first session included)`}`, true);
+    appendLog(`  Subscriptions Before: ${capacity.subscriptionsBefore === null ? '(unknown)' : capacity.subscriptionsBefore}`, true);
+    appendLog('', true);
+    const headers = [
+      { label: 'Resource', width: 18 },
+      { label: 'Cap', width: 8 },
+      { label: 'Reached', width: 10 },
+      { label: 'Stopped By', width: 28 },
+      { label: 'Advertised Allows', width: 18 },
+      { label: 'Released', width: 10 }
+    ];
+    const phases = CAPACITY_PHASES.filter(([key]) => capacity[key]);
+    const rows = phases.map(([key, label]) => {
+      const phase = capacity[key];
+      return [
+        label,
+        phase.cap,
+        phase.reached,
+        phase.rejected ? phase.statusCode || 'no response' : 'cap reached',
+        phase.headroom === null ? '-' : phase.headroom,
+        phase.released ? 'Yes' : 'NO'
+      ];
+    });
+    for (const line of formatTable(headers, rows)) {
+      appendLog(line, true);
+    }
+    for (const [key, label] of phases) {
+      const phase = capacity[key];
+      if (phase.status) {
+        appendLog(`  ${label} stopped by:`, true);
+        formatStatusCode(phase.status, '    ');
+      } else if (phase.error) {
+        appendLog(`  ${label} stopped by: ${phase.error}`, true);
+      }
+      if (phase.releaseError) appendLog(`  ${label} not released: ${phase.releaseError}`, true);
+    }
+    if (capacity.advertised.length > 0) {
+      appendLog('', true);
+      appendLog('  Advertised ServerCapabilities:', true);
+      for (const l of capacity.advertised) {
+        appendLog(`    ${l.label.padEnd(38)}${l.value === 0 ? 'no limit' : l.value}`, true);
+      }
+    }
+    appendLog('========== End Capacity Test ==========', true);
+    appendLog('', true);
+  }
+
+  function formatOperations(ops) {
+    const outcome = (op) => {
+      if (!op) return '-';
+      if (op.skipped) return 'SKIPPED';
+      return op.statusCode ? `${op.statusCode} (${op.durationMs} ms)` : `FAILED (${op.durationMs} ms)`;
+    };
+    appendLog('', true);
+    appendLog('========== Read/Write/Method Checks ==========', true);
+    appendLog(`  Writes Confirmed:     ${ops.writesConfirmed ? 'Yes' : 'No'}`, true);
+    if (ops.nodes.length > 0) {
+      appendLog('', true);
+      const headers = [
+        { label: 'NodeId', width: 32 },
+        { label: 'Read', width: 28 },
+        { label: 'Value', width: 20 },
+        { label: 'Write', width: 28 },
+        { label: 'Read Back', width: 12 },
+        { label: 'Restore', width: 28 }
+      ];
+      const rows = ops.nodes.map(n => [
+        n.nodeId,
+        outcome(n.read),
+        n.read.statusCode === 'Good' ? `${n.read.value} (${n.read.dataType})` : '',
+        outcome(n.write),
+        n.verify ? (n.verify.matches ? 'matches' : `got ${n.verify.value}`) : '-',
+        outcome(n.restore)
+      ]);
+      for (const line of formatTable(headers, rows)) {
+        appendLog(line, true);
+      }
+      for (const n of ops.nodes) {
+        for (const [label, op] of [['Read', n.read], ['Write', n.write], ['Restore', n.restore]]) {
+          if (!op) continue;
+          if (op.skipped) appendLog(`  ${n.nodeId} ${label}: skipped - ${op.skipped}`, true);
+          if (op.error) appendLog(`  ${n.nodeId} ${label}: ${op.error}`, true);
+          if (op.status) formatStatusCode(op.status, '    ');
+        }
+      }
+    }
+    if (ops.method) {
+      const call = ops.method.call;
+      appendLog('', true);
+      appendLog(`  Method:               ${ops.method.methodId} on ${ops.method.objectId}`, true);
+      appendLog(`  Arguments:            ${ops.method.arguments.length > 0 ? ops.method.arguments.join(', ') : '(none)'}`, true);
+      appendLog(`  Call:                 ${outcome(call)}`, true);
+      if (call.error) appendLog(`  Error:                ${call.error}`, true);
+      if (call.inputArgumentResults && call.inputArgumentResults.some(s => s !== 'Good')) {
+        appendLog(`  Argument Results:     ${call.inputArgumentResults.join(', ')}`, true);
+      }
+      if (call.outputArguments) appendLog(`  Output Arguments:     ${call.outputArguments.join(', ') || '(none)'}`, true);
+      formatStatusCode(call.status, '  ');
+    }
+    appendLog('========== End Read/Write/Method Checks ==========', true);
+    appendLog('', true);
+  }
+
+  function formatMonitoredItems(items) {
+    if (!items || items.length === 0) return;
+    const headers = [
+      { label: 'NodeId', width: 32 },
+      { label: 'Status', width: 24 },
+      { label: 'Sampling (ms)', width: 13 },
+      { label: 'Queue', width: 7 },
+      { label: 'Deadband', width: 9 },
+      { label: 'Changes', width: 7 }
+    ];
+    const rows = items.map(i => [
+      i.nodeId,
+      i.statusCode || 'Unknown',
+      i.revisedSamplingInterval == null ? `${i.samplingInterval}` : `${i.samplingInterval}->${i.revisedSamplingInterval}`,
+      i.revisedQueueSize == null ? `${i.queueSize}` : `${i.queueSize}->${i.revisedQueueSize}`,
+      i.deadband ? `${i.deadband.value}${i.deadband.type === 'Percent' ? '%' : ''}` : '-',
+      i.dataChanges
+    ]);
+    appendLog('', true);
+    appendLog(`  Monitored Items: ${items.filter(i => i.statusCode === 'Good').length}/${items.length} created`, true);
+    for (const line of formatTable(headers, rows)) {
+      appendLog(line, true);
+    }
+  }
+
+  function formatSubscriptionHealth(h) {
+    const iv = h.publishIntervals;
+    appendLog('', true);
+    appendLog(`  Health Window:   ${h.windowMs / 1000} s`, true);
+    for (const line of formatTable(
+      [{ label: 'Parameter', width: 20 }, { label: 'Requested', width: 10 }, { label: 'Revised', width: 10 }],
+      [
+        ['Publishing Interval', `${h.requested.publishingInterval} ms`, `${h.revised.publishingInterval} ms`],
+        ['Lifetime Count', h.requested.lifetimeCount, h.revised.lifetimeCount],
+        ['Max Keep-Alive Count', h.requested.maxKeepAliveCount, h.revised.maxKeepAliveCount]
+      ]
+    )) {
+      appendLog(line, true);
+    }
+    appendLog('', true);
+    appendLog(`  Data Changes:          ${h.dataChanges}`, true);
+    appendLog(`  Notification Messages: ${h.notificationMessages}`, true);
+    appendLog(`  Keep-Alives:           ${h.keepAlives}`, true);
+    appendLog(`  Publish Intervals:     ${iv ? `min ${iv.minMs} / avg ${iv.avgMs} / max ${iv.maxMs} ms (${iv.count} samples)` : 'n/a'}`, true);
+    appendLog(`  Sequence Gaps:         ${h.sequenceGaps} (${h.missingCount} message(s) missing)`, true);
+    if (h.republish.requested > 0) {
+      appendLog(`  Republish Requests:    ${h.republish.requested} (${h.republish.recovered} recovered, ${h.republish.failed} failed${h.republish.lastError ? `, last error ${h.republish.lastError}` : ''})`, true);
+    }
+    for (const change of h.statusChanges) {
+      appendLog(`  Status Change:         ${change.at} ${change.status}`, true);
+    }
+  }
+
   function formatConnectionResults(serverIp, serverPort, connections, connSummary) {
     appendLog('', true);
     appendLog('========== Incoming Connection Monitoring Results ==========', true);
     appendLog(`  Server IP:           ${serverIp || 'Unknown'}`, true);
     appendLog(`  Server Port:         ${serverPort || 'Unknown'}`, true);
     appendLog('  Monitoring Duration: 30 seconds', true);
-    appendLog(`  Connections Found:   ${connections?.length || 0}`, true);
+    appendLog(`  Connections Tracked: ${connections?.length || 0}`, true);
 
     if (!connections || connections.length === 0) {
       appendLog('', true);
@@ -264,6 +711,7 @@ process.on('message', async (msg) => {
     if (connSummary) {
       appendLog('', true);
       appendLog('  Connection Summary:', true);
+      appendLog(`    Direction:                ${connSummary.inbound} inbound, ${connSummary.outbound} outbound`, true);
       const raPreview = (connSummary.uniqueRemoteAddresses || []).slice(0, 5).join(', ');
       appendLog(`    Unique Remote Addresses:  ${connSummary.uniqueRemoteAddresses?.length || 0}  (${raPreview})`, true);
       const lpPreview = (connSummary.uniqueLocalPorts || []).slice(0, 10).join(', ');
@@ -280,27 +728,29 @@ process.on('message', async (msg) => {
     // Connection table
     appendLog('', true);
     appendLog('  Connection Details:', true);
+    const clock = (iso) => (iso ? iso.replace(/.*T/, '').replace(/\.\d+Z$/, '') : '');
     const headers = [
       { label: '#', width: 3 },
-      { label: 'Time', width: 8 },
-      { label: 'Proto', width: 5 },
+      { label: 'Dir', width: 8 },
+      { label: 'First', width: 8 },
+      { label: 'Last', width: 8 },
+      { label: 'Dur (s)', width: 7 },
       { label: 'Local', width: 21 },
       { label: 'Remote', width: 21 },
-      { label: 'State', width: 13 },
-      { label: 'PID', width: 6 }
+      { label: 'PID', width: 6 },
+      { label: 'States', width: 48 }
     ];
-    const rows = connections.map((c, i) => {
-      const time = c.timestamp ? c.timestamp.replace(/.*T/, '').replace(/\.\d+Z$/, '') : '';
-      return [
-        String(i + 1),
-        time,
-        c.proto || '',
-        `${c.localAddress || ''}:${c.localPort || ''}`,
-        `${c.remoteAddress || ''}:${c.remotePort || ''}`,
-        c.state || '',
-        c.pid || ''
-      ];
-    });
+    const rows = connections.map((c, i) => [
+      String(i + 1),
+      c.direction || '',
+      clock(c.firstSeen || c.timestamp),
+      clock(c.lastSeen),
+      c.durationMs == null ? '' : (c.durationMs / 1000).toFixed(0),
+      `${c.localAddress || ''}:${c.localPort || ''}`,
+      `${c.remoteAddress || ''}:${c.remotePort || ''}`,
+      c.pid || '',
+      (c.states || [{ state: c.state, atMs: 0 }]).map(st => `${st.state}@${Math.round(st.atMs / 1000)}s`).join(' > ')
+    ]);
     for (const line of formatTable(headers, rows)) {
       appendLog(line, true);
     }
@@ -309,6 +759,14 @@ process.on('message', async (msg) => {
     appendLog('', true);
   }
 
+  // Decoded StatusCode (lib/statuscodes.js) under an error in the log file
+  function formatStatusCode(status, indent) {
+    if (!status) return;
+    appendLog(`${indent}Status Code: ${status.name} (${status.hex})`, true);
+    appendLog(`${indent}Meaning: ${status.explanation}`, true);
+    if (status.fix) appendLog(`${indent}Likely Fix: ${status.fix}`, true);
+  }
+
   function logError(error, context = '') {
     const errorObj = {
       timestamp: new Date().toISOString(),
@@ -317,6 +775,7 @@ process.on('message', async (msg) => {
       stack: error?.stack || null,
       name: error?.name || 'Error',
       code: error?.code || null,
+      statusCode: decodeStatusCode(error),
       fullError: String(error)
     };
     errors.push(errorObj);
@@ -328,6 +787,7 @@ process.on('message', async (msg) => {
     if (errorObj.code) {
       appendLog(`Error Code: ${errorObj.code}`, true);
     }
+    formatStatusCode(errorObj.statusCode, '');
     if (errorObj.stack) {
       appendLog(`Stack Trace:\n${errorObj.stack}`, true);
     } else {
@@ -364,6 +824,7 @@ process.on('message', async (msg) => {
         if (err.code) {
           appendLog(`  Code: ${err.code}`, true);
         }
+        formatStatusCode(err.statusCode, '  ');
         if (err.stack) {
           appendLog(`  Stack Trace:\n${err.stack.split('\n').map(l => '    ' + l).join('\n')}`, true);
         }
@@ -383,206 +844,564 @@ process.on('message', async (msg) => {
     appendLog(`\n========== END ERROR AND WARNING SUMMARY ==========\n\n`, true);
   }
 
+  // Writes <logfile>.json and <logfile>.html; a report failure never fails the probe
+  function exportReports(status, error, errorStatus = null) {
+    try {
+      const files = writeReports(logfile.replace(/\.log$/, ''), {
+        config: redactConfig(config),
+        status,
+        error,
+        errorStatus,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        timings,
+        result: collected,
+        errors,
+        warnings,
+        logFile: path.basename(logfile)
+      });
+      appendLog(`Reports written: ${path.basename(files.json)}, ${path.basename(files.html)}`, true);
+      return { ...files, log: logfile };
+    } catch (err) {
+      logWarning(`Failed to write reports: ${err.message}`, 'Report Export');
+      return { log: logfile };
+    }
+  }
+
   appendLog('Probe started');
   formatProbeConfig(config);
 
   try {
-    // Step 1: Query OPC-UA server endpoints (security policy info)
-    send('progress', { progress: 10, task: 'Querying endpoints' });
-    appendLog('Querying endpoints');
-    const endpointUrl = normalizeEndpoint(config.server, config.port);
-    appendLog(`Connecting to endpoint: ${endpointUrl}`);
-    
-    let endpoints;
+    // Validate the user identity up front so a bad cert/key path fails fast
     try {
-      endpoints = await queryEndpoints(config.server, config.port);
-      appendLog(`Successfully retrieved ${endpoints?.length || 0} endpoint(s)`);
-      
-      if (endpoints && endpoints.length > 0) {
-        const endpointSummary = {
-          total: endpoints.length,
-          securityPolicies: {},
-          securityModes: {},
-          userTokenTypes: []
-        };
-        const userTokenTypesSet = new Set();
-        
-        endpoints.forEach((ep, idx) => {
-          const policy = ep.securityPolicyUri || 'Unknown';
-          const mode = ep.securityMode || 'Unknown';
-          endpointSummary.securityPolicies[policy] = (endpointSummary.securityPolicies[policy] || 0) + 1;
-          endpointSummary.securityModes[mode] = (endpointSummary.securityModes[mode] || 0) + 1;
-          if (ep.userIdentityTokens) {
-            ep.userIdentityTokens.forEach(t => userTokenTypesSet.add(t));
-          }
-        });
-        
-        endpointSummary.userTokenTypes = Array.from(userTokenTypesSet);
-        
-        formatEndpointResults(endpointUrl, endpoints, endpointSummary);
-      } else {
-        logWarning('No endpoints returned from server', 'Endpoint Query');
-        formatEndpointResults(endpointUrl, [], null);
+      buildUserIdentity(config.identity);
+    } catch (err) {
+      logError(err, 'User Identity');
+      throw err;
+    }
+
+    // Same for the monitored item list (malformed sampling/queue/deadband options)
+    try {
+      for (const item of resolveMonitoredItems(config)) {
+        appendLog(`Monitored item: ${describeItem(item)}`, true);
       }
     } catch (err) {
-      logError(err, 'Endpoint Query');
+      logError(err, 'Monitored Items');
       throw err;
     }
-    
-    send('result-partial', { payload: { endpoints } });
 
-    // Step 2: Capture baseline listening ports (before subscription)
-    send('progress', { progress: 25, task: 'Recording listening ports (before)' });
-    appendLog('Capturing baseline listening ports');
-    
-    let beforeListeners;
+    // And the step selection, which also decides how the progress bar is divided
+    let steps;
     try {
-      beforeListeners = await getListeningPorts();
-      const portCount = beforeListeners?.length || 0;
-      appendLog(`Captured ${portCount} listening socket(s) before subscription`);
-      
-      const portSummary = {
-        total: portCount,
-        uniquePorts: [...new Set(beforeListeners.map(l => l.localPort))].filter(p => p),
-        uniqueAddresses: [...new Set(beforeListeners.map(l => l.localAddress))].filter(a => a),
-        protocols: [...new Set(beforeListeners.map(l => l.proto))].filter(p => p),
-        pids: [...new Set(beforeListeners.map(l => l.pid))].filter(p => p)
-      };
-      
-      formatListeningPorts('Baseline Listening Ports', beforeListeners, portSummary);
-      closeSection('Baseline Listening Ports');
+      steps = resolveSteps(config);
     } catch (err) {
-      logError(err, 'Baseline Port Capture');
-      beforeListeners = [];
-      logWarning('Failed to capture baseline ports, continuing with empty array', 'Baseline Port Capture');
+      logError(err, 'Probe Steps');
+      throw err;
+    }
+    for (const step of Object.values(steps)) {
+      appendLog(`Probe step ${describeStep(step)}`, true);
     }
-    
-    send('result-partial', { payload: { beforeListeners } });
 
-    // Step 3: Create OPC-UA subscription (triggers callback listener ports)
-    send('progress', { progress: 45, task: 'Creating subscription and monitored item' });
-    appendLog('Creating subscription and monitored item');
-    appendLog(`Target node: ${config.nodeId || 'ns=0;i=2258'}`);
-    appendLog(`Publishing interval: ${config.publishingInterval || 250}ms`);
-    
-    let subscriptionResult;
+    // And the read/write/method checks (null when none are configured)
+    let operations;
     try {
-      subscriptionResult = await createSubscriptionAndMonitor(config);
-      
-      if (subscriptionResult.success) {
-        appendLog(`Subscription created successfully, monitored node: ${subscriptionResult.nodeMonitored}`);
-        formatSubscriptionResult(subscriptionResult);
+      operations = resolveOperations(config);
+    } catch (err) {
+      logError(err, 'Read/Write/Method Checks');
+      throw err;
+    }
+
+    // And the capacity test caps (null when the test is off)
+    let capacityCaps;
+    try {
+      capacityCaps = resolveCapacity(config);
+    } catch (err) {
+      logError(err, 'Capacity Test');
+      throw err;
+    }
+    const progressAt = createProgressPlan(steps, config.reverseConnect, operations, capacityCaps);
+    const skippedSteps = Object.values(steps).filter(step => !step.enabled).map(({ key, label }) => ({ key, label }));
+    if (skippedSteps.length > 0) {
+      appendLog(`Skipping ${skippedSteps.map(step => step.label).join(', ')} (turned off in the probe configuration)`);
+      publishPartial({ skippedSteps });
+    }
+
+    let endpoints, serverCertificates, securityMatrix, serverSnapshot, beforeListeners, subscriptionResult, operationResults, afterListeners, connections, capacity;
+
+    // Step 0: Check DNS, TCP and the UA TCP Hello/Acknowledge below the OPC UA session.
+    // A failure here is reported per layer but does not stop the probe; the endpoint
+    // query below still produces its own (less specific) error.
+    const endPreflight = beginStep('Preflight');
+    send('progress', { progress: progressAt('preflight'), task: 'Checking DNS, TCP and OPC UA Hello' });
+    appendLog('Running connection preflight');
+    try {
+      const preflightUrl = normalizeEndpoint(config.server, config.port);
+      const { hostname, port } = new URL(preflightUrl);
+      const preflight = await runPreflight(hostname.replace(/^\[|\]$/g, ''), Number(port), preflightUrl);
+      const layerNames = { dns: 'DNS Resolution', tcp: 'TCP Connect', hello: 'OPC UA Hello' };
+      const failed = Object.keys(layerNames).find(layer => preflight[layer].ok === false);
+      if (failed) {
+        logWarning(preflight[failed].error, `Preflight ${layerNames[failed]}`);
+        appendLog(`Preflight failed at ${layerNames[failed]}: ${preflight[failed].error}`);
       } else {
-        logError(new Error(subscriptionResult.error || 'Subscription failed'), 'Subscription Creation');
-        formatSubscriptionResult(subscriptionResult);
+        appendLog(`Preflight passed: ${preflight.dns.addresses.length} address(es), TCP ${preflight.tcp.durationMs} ms, Hello ${preflight.hello.durationMs} ms`);
       }
+      formatPreflightReport(preflight);
+      publishPartial({ preflight });
     } catch (err) {
-      logError(err, 'Subscription Creation');
-      subscriptionResult = { success: false, error: String(err) };
-      formatSubscriptionResult(subscriptionResult);
+      logError(err, 'Preflight');
+    }
+    endPreflight();
+
+    if (steps.endpoints.enabled) {
+      // Step 1: Query OPC-UA server endpoints (security policy info)
+      const endEndpointQuery = beginStep('Endpoint Query');
+      send('progress', { progress: progressAt('endpoints'), task: 'Querying endpoints' });
+      appendLog('Querying endpoints');
+      const endpointUrl = normalizeEndpoint(config.server, config.port);
+      appendLog(`Connecting to endpoint: ${endpointUrl}`);
+      try {
+        endpoints = await queryEndpoints(config.server, config.port, steps.endpoints.timeoutMs);
+        appendLog(`Successfully retrieved ${endpoints?.length || 0} endpoint(s)`);
+      
+        if (endpoints && endpoints.length > 0) {
+          const endpointSummary = {
+            total: endpoints.length,
+            securityPolicies: {},
+            securityModes: {},
+            userTokenTypes: []
+          };
+          const userTokenTypesSet = new Set();
+        
+          endpoints.forEach((ep, idx) => {
+            const policy = ep.securityPolicyUri || 'Unknown';
+            const mode = ep.securityMode || 'Unknown';
+            endpointSummary.securityPolicies[policy] = (endpointSummary.securityPolicies[policy] || 0) + 1;
+            endpointSummary.securityModes[mode] = (endpointSummary.securityModes[mode] || 0) + 1;
+            if (ep.userIdentityTokens) {
+              ep.userIdentityTokens.forEach(t => userTokenTypesSet.add(t));
+            }
+          });
+        
+          endpointSummary.userTokenTypes = Array.from(userTokenTypesSet);
+        
+          formatEndpointResults(endpointUrl, endpoints, endpointSummary);
+        } else {
+          logWarning('No endpoints returned from server', 'Endpoint Query');
+          formatEndpointResults(endpointUrl, [], null);
+        }
+      } catch (err) {
+        logError(err, 'Endpoint Query');
+        throw err;
+      }
+    
+      // Step 1a: Decode and validate the server certificate(s) carried by the endpoints
+      try {
+        serverCertificates = inspectServerCertificates(endpoints, extractHostFromEndpoint(endpointUrl));
+        const issueCount = serverCertificates.reduce((n, c) => n + c.issues.length, 0);
+        appendLog(`Inspected ${serverCertificates.length} distinct server certificate(s), ${issueCount} issue(s) found`);
+        for (const c of serverCertificates) {
+          for (const issue of c.issues) {
+            logWarning(`${issue.code}: ${issue.message}`, 'Server Certificate');
+          }
+        }
+        formatCertificateReport(serverCertificates);
+      } catch (err) {
+        logError(err, 'Server Certificate');
+        serverCertificates = [];
+      }
+
+      publishPartial({ endpoints });
+      publishPartial({ serverCertificates });
+      endEndpointQuery();
+
+      // Step 1b: Attempt a session on each advertised security policy/mode combination
+      const endSecurityMatrix = beginStep('Security Matrix');
+      send('progress', { progress: progressAt('endpoints', 0.25), task: 'Testing security policy/mode combinations' });
+      if (config.skipSecurityMatrix) {
+        // Lightweight runs (watch mode) skip the per-combination sessions
+        appendLog('Security matrix skipped (lightweight run)');
+        securityMatrix = [];
+      } else {
+        appendLog('Testing session on each advertised security combination');
+        try {
+          securityMatrix = await probeSecurityMatrix(config, endpoints, steps.endpoints.timeoutMs);
+          const okCount = securityMatrix.filter(r => r.success).length;
+          appendLog(`Security matrix: ${okCount}/${securityMatrix.length} combination(s) accepted a session`);
+          for (const r of securityMatrix) {
+            if (!r.success) {
+              logWarning(`${shortenPolicyUri(r.securityPolicyUri)}/${securityModeToString(r.securityMode)} failed: ${r.error}`, 'Security Matrix');
+            }
+          }
+          formatSecurityMatrix(securityMatrix);
+        } catch (err) {
+          logError(err, 'Security Matrix');
+          securityMatrix = [];
+        }
+      }
+
+      if (!config.skipSecurityMatrix) publishPartial({ securityMatrix });
+      endSecurityMatrix();
+
+      // Step 1c: Compare the advertised endpointUrls with the address we dialled, and when they
+      // differ, prove it with a session on the advertised URL vs. the rewritten one
+      const endEndpointUrlCheck = beginStep('Endpoint URL Check');
+      send('progress', { progress: progressAt('endpoints', 0.75), task: 'Checking advertised endpoint URLs' });
+      appendLog('Comparing advertised endpoint URLs with the dialled address');
+      try {
+        const urls = await checkAdvertisedUrls(endpoints, endpointUrl);
+        const flagged = urls.filter(u => u.issues.some(i => i.severity !== 'info'));
+        appendLog(`Advertised endpoint URLs: ${urls.length} distinct, ${flagged.length} differ from ${endpointUrl}`);
+        for (const u of urls) {
+          for (const issue of u.issues) {
+            if (issue.severity !== 'info') logWarning(`${issue.code}: ${issue.message}`, 'Endpoint URL Check');
+          }
+        }
+
+        let retry = null;
+        if (flagged.length > 0 && !config.skipSecurityMatrix) {
+          appendLog('Retrying a session on the advertised URL and on the URL rewritten to the dialled address');
+          retry = await verifyAdvertisedUrl(config, endpoints, urls, steps.endpoints.timeoutMs);
+          if (retry) {
+            const outcome = (a) => a.success ? 'OK' : `FAILED (${(a.statusCode || a.error).replace(/\s*\n\s*/g, ' ')})`;
+            appendLog(`Advertised URL session: ${outcome(retry.advertised)}; rewritten URL session: ${outcome(retry.rewritten)}`);
+          }
+        }
+
+        const endpointUrlCheck = { dialledUrl: endpointUrl, urls, retry };
+        formatEndpointUrlCheck(endpointUrlCheck);
+        publishPartial({ endpointUrlCheck });
+      } catch (err) {
+        logError(err, 'Endpoint URL Check');
+      }
+      endEndpointUrlCheck();
+    }
+
+    if (steps.serverSnapshot.enabled) {
+      // Step 1d: Read the server's own Server object (build info, limits, diagnostics counters)
+      const endServerSnapshot = beginStep('Server Snapshot');
+      send('progress', { progress: progressAt('serverSnapshot'), task: 'Reading server capabilities and diagnostics' });
+      appendLog('Reading server build info, capabilities, operation limits and diagnostics');
+      try {
+        serverSnapshot = await captureServerSnapshot(config, steps.serverSnapshot.timeoutMs);
+        const product = serverSnapshot.buildInfo ? `${serverSnapshot.buildInfo.productName} ${serverSnapshot.buildInfo.softwareVersion}`.trim() : 'unknown product';
+        appendLog(`Server snapshot: ${product}, state ${serverSnapshot.state || 'unknown'}, ${serverSnapshot.namespaces.length} namespace(s)`);
+        const summary = serverSnapshot.diagnostics.summary;
+        const maxSessions = serverSnapshot.limits.find(l => l.key === 'MaxSessions');
+        if (serverSnapshot.state && serverSnapshot.state !== 'Running') {
+          logWarning(`Server reports state ${serverSnapshot.state}`, 'Server Snapshot');
+        }
+        if (summary && maxSessions && maxSessions.value > 0 && summary.currentSessionCount >= maxSessions.value) {
+          logWarning(`Server is at its session limit (${summary.currentSessionCount}/${maxSessions.value})`, 'Server Snapshot');
+        }
+        if (summary && summary.rejectedSessionCount > 0) {
+          logWarning(`Server has rejected ${summary.rejectedSessionCount} session(s) since it started (${summary.securityRejectedSessionCount} for security reasons)`, 'Server Snapshot');
+        }
+        formatServerSnapshot(serverSnapshot);
+        publishPartial({ serverSnapshot });
+      } catch (err) {
+        logError(err, 'Server Snapshot');
+      }
+      endServerSnapshot();
     }
+
+    if (steps.baselineListeners.enabled) {
+      // Step 2: Capture baseline listening ports (before subscription)
+      const endBaselineListeners = beginStep('Baseline Listeners');
+      send('progress', { progress: progressAt('baselineListeners'), task: 'Recording listening ports (before)' });
+      appendLog('Capturing baseline listening ports');
+      try {
+        appendLog(`Socket source: ${getSocketSource().name} (${process.platform})`, true);
+        beforeListeners = await withTimeout(getListeningPorts(), steps.baselineListeners.timeoutMs, 'Baseline port capture');
+        const portCount = beforeListeners?.length || 0;
+        appendLog(`Captured ${portCount} listening socket(s) before subscription`);
+      
+        const portSummary = {
+          total: portCount,
+          uniquePorts: [...new Set(beforeListeners.map(l => l.localPort))].filter(p => p),
+          uniqueAddresses: [...new Set(beforeListeners.map(l => l.localAddress))].filter(a => a),
+          protocols: [...new Set(beforeListeners.map(l => l.proto))].filter(p => p),
+          pids: [...new Set(beforeListeners.map(l => l.pid))].filter(p => p)
+        };
+      
+        formatListeningPorts('Baseline Listening Ports', beforeListeners, portSummary);
+        closeSection('Baseline Listening Ports');
+      } catch (err) {
+        logError(err, 'Baseline Port Capture');
+        beforeListeners = [];
+        logWarning('Failed to capture baseline ports, continuing with empty array', 'Baseline Port Capture');
+      }
     
-    send('result-partial', { payload: { subscriptionResult } });
+      publishPartial({ beforeListeners });
+      endBaselineListeners();
+    }
 
-    // Step 4: Capture listening ports after subscription (identify new callback listeners)
-    send('progress', { progress: 65, task: 'Recording listening ports (after)' });
-    appendLog('Capturing listening ports after subscription');
+    if (steps.subscription.enabled) {
+      // Step 3: Create OPC-UA subscription (triggers callback listener ports)
+      const endSubscription = beginStep('Subscription');
+      send('progress', { progress: progressAt('subscription'), task: 'Creating subscription and monitored item' });
+      appendLog('Creating subscription and monitored item');
+      appendLog(`Target node(s): ${monitoredNodeIds(config).join(', ')}`);
+      appendLog(`Publishing interval: ${config.publishingInterval || 250}ms`);
+      try {
+        subscriptionResult = await createSubscriptionAndMonitor(config, steps.subscription, (fraction, task) => {
+          send('progress', { progress: progressAt('subscription', fraction), task });
+        });
+      
+        if (subscriptionResult.success) {
+          const badItems = subscriptionResult.items.filter(i => i.statusCode !== 'Good');
+          appendLog(`Subscription created successfully, ${subscriptionResult.items.length - badItems.length}/${subscriptionResult.items.length} monitored item(s) accepted`);
+          for (const item of badItems) {
+            logWarning(`Monitored item ${item.nodeId} rejected: ${item.statusCode}`, 'Monitored Items');
+          }
+          const h = subscriptionResult.health;
+          appendLog(`Subscription health over ${h.windowMs / 1000}s: ${h.dataChanges} data change(s), ${h.keepAlives} keep-alive(s), ${h.sequenceGaps} sequence gap(s)`);
+          if (h.revised.publishingInterval !== h.requested.publishingInterval) {
+            logWarning(`Server revised the publishing interval from ${h.requested.publishingInterval} ms to ${h.revised.publishingInterval} ms`, 'Subscription Health');
+          }
+          formatSubscriptionResult(subscriptionResult);
+        } else {
+          logError(new Error(subscriptionResult.error || 'Subscription failed'), 'Subscription Creation');
+          formatSubscriptionResult(subscriptionResult);
+        }
+      } catch (err) {
+        logError(err, 'Subscription Creation');
+        subscriptionResult = { success: false, error: String(err), status: decodeStatusCode(err) };
+        formatSubscriptionResult(subscriptionResult);
+      }
     
-    let afterListeners;
-    try {
-      afterListeners = await getListeningPorts();
-      const portCount = afterListeners?.length || 0;
-      appendLog(`Captured ${portCount} listening socket(s) after subscription`);
+      publishPartial({ subscriptionResult });
+      endSubscription();
+    }
+
+    if (operations) {
+      // Step 3a (optional): Read the listed nodes, write and restore test values, call a method
+      const endOperations = beginStep('Read/Write/Method Checks');
+      send('progress', { progress: progressAt('operations'), task: 'Checking reads, writes and method calls' });
+      appendLog(`Checking ${operations.nodes.length} node(s)${operations.method ? ' and one method call' : ''}`);
+      if (hasWrites(operations) && !operations.writesConfirmed) {
+        logWarning('Test writes were requested but not confirmed, so no value is written', 'Read/Write/Method Checks');
+      }
+      try {
+        operationResults = await withProbeSession(config, OPERATION_TIMEOUT_MS, session => runOperations(session, operations));
+        const readsOk = operationResults.nodes.filter(n => n.read.statusCode === 'Good').length;
+        const writes = operationResults.nodes.filter(n => n.write && !n.write.skipped);
+        appendLog(`Reads: ${readsOk}/${operationResults.nodes.length} OK; writes: ${writes.filter(n => n.write.statusCode === 'Good').length}/${writes.length} accepted`);
+        for (const n of operationResults.nodes) {
+          if (n.read.statusCode !== 'Good') logWarning(`Read of ${n.nodeId} failed: ${n.read.statusCode || n.read.error}`, 'Read/Write/Method Checks');
+          if (n.write && !n.write.skipped && n.write.statusCode !== 'Good') {
+            logWarning(`Write to ${n.nodeId} failed: ${n.write.statusCode || n.write.error}`, 'Read/Write/Method Checks');
+          }
+          if (n.restore && n.restore.statusCode !== 'Good') {
+            logError(new Error(`${n.nodeId} could not be restored to ${n.restore.value} (${n.restore.statusCode || n.restore.error}); it ${n.write.statusCode ? 'still holds' : 'may still hold'} the test value ${n.testValue}`), 'Read/Write/Method Checks');
+          }
+        }
+        if (operationResults.method) {
+          const call = operationResults.method.call;
+          appendLog(`Method call ${operationResults.method.methodId}: ${call.statusCode === 'Good' ? `OK in ${call.durationMs} ms` : `FAILED (${call.statusCode || call.error})`}`);
+          if (call.statusCode !== 'Good') logWarning(`Method call failed: ${call.statusCode || call.error}`, 'Read/Write/Method Checks');
+        }
+        formatOperations(operationResults);
+        publishPartial({ operations: operationResults });
+      } catch (err) {
+        logError(err, 'Read/Write/Method Checks');
+      }
+      endOperations();
+    }
+
+    if (steps.postSubscriptionListeners.enabled) {
+      // Step 4: Capture listening ports after subscription (identify new callback listeners)
+      const endPostSubscriptionListeners = beginStep('Post-Subscription Listeners');
+      send('progress', { progress: progressAt('postSubscriptionListeners'), task: 'Recording listening ports (after)' });
+      appendLog('Capturing listening ports after subscription');
+      try {
+        afterListeners = await withTimeout(getListeningPorts(), steps.postSubscriptionListeners.timeoutMs, 'Post-subscription port capture');
+        const portCount = afterListeners?.length || 0;
+        appendLog(`Captured ${portCount} listening socket(s) after subscription`);
       
-      // Compare with baseline
-      const baselinePorts = new Set((beforeListeners || []).map(l => `${l.localAddress}:${l.localPort}`));
-      const afterPorts = new Set((afterListeners || []).map(l => `${l.localAddress}:${l.localPort}`));
-      const newPorts = [...afterPorts].filter(p => !baselinePorts.has(p));
-      const removedPorts = [...baselinePorts].filter(p => !afterPorts.has(p));
+        // Compare with baseline (nothing to compare when the baseline step was skipped)
+        const baselinePorts = new Set((beforeListeners || []).map(l => `${l.localAddress}:${l.localPort}`));
+        const afterPorts = new Set((afterListeners || []).map(l => `${l.localAddress}:${l.localPort}`));
+        const newPorts = [...afterPorts].filter(p => !baselinePorts.has(p));
+        const removedPorts = [...baselinePorts].filter(p => !afterPorts.has(p));
       
-      const portSummary = {
-        total: portCount,
-        uniquePorts: [...new Set(afterListeners.map(l => l.localPort))].filter(p => p),
-        uniqueAddresses: [...new Set(afterListeners.map(l => l.localAddress))].filter(a => a),
-        protocols: [...new Set(afterListeners.map(l => l.proto))].filter(p => p),
-        pids: [...new Set(afterListeners.map(l => l.pid))].filter(p => p),
-        comparison: {
-          newPorts: newPorts,
-          removedPorts: removedPorts,
-          netChange: portCount - (beforeListeners?.length || 0)
-        }
-      };
+        const portSummary = {
+          total: portCount,
+          uniquePorts: [...new Set(afterListeners.map(l => l.localPort))].filter(p => p),
+          uniqueAddresses: [...new Set(afterListeners.map(l => l.localAddress))].filter(a => a),
+          protocols: [...new Set(afterListeners.map(l => l.proto))].filter(p => p),
+          pids: [...new Set(afterListeners.map(l => l.pid))].filter(p => p),
+          comparison: beforeListeners ? {
+            newPorts: newPorts,
+            removedPorts: removedPorts,
+            netChange: portCount - beforeListeners.length
+          } : null
+        };
       
-      formatListeningPorts('Post-Subscription Listening Ports', afterListeners, portSummary);
-      formatPortComparison(beforeListeners?.length || 0, portCount, newPorts, removedPorts);
-      closeSection('Post-Subscription Listening Ports');
-    } catch (err) {
-      logError(err, 'Post-Subscription Port Capture');
-      afterListeners = [];
-      logWarning('Failed to capture post-subscription ports, continuing with empty array', 'Post-Subscription Port Capture');
-    }
-    
-    send('result-partial', { payload: { afterListeners } });
-
-    // Step 5: Monitor for incoming connections from server (callback attempts, 30s)
-    send('progress', { progress: 75, task: 'Monitoring incoming connection attempts (30s)' });
-    appendLog('Monitoring incoming connections from server');
-    const serverIp = extractHostFromEndpoint(config.server) || null;
-    const serverPort = config.port;
-    appendLog(`Monitoring for connections from server IP: ${serverIp || 'Unknown'} (port: ${serverPort})`);
-    appendLog('Monitoring duration: 30 seconds');
+        formatListeningPorts('Post-Subscription Listening Ports', afterListeners, portSummary);
+        if (beforeListeners) formatPortComparison(beforeListeners.length, portCount, newPorts, removedPorts);
+        closeSection('Post-Subscription Listening Ports');
+      } catch (err) {
+        logError(err, 'Post-Subscription Port Capture');
+        afterListeners = [];
+        logWarning('Failed to capture post-subscription ports, continuing with empty array', 'Post-Subscription Port Capture');
+      }
     
-    let connections;
-    try {
-      connections = await monitorConnectionAttempts(serverIp, serverPort, 30 * 1000);
-      const connCount = connections?.length || 0;
-      appendLog(`Monitoring complete: ${connCount} connection attempt(s) detected`);
+      publishPartial({ afterListeners });
+      endPostSubscriptionListeners();
+    }
+
+    if (steps.connectionMonitoring.enabled) {
+      // Step 5: Monitor for incoming connections from server (callback attempts)
+      const endConnectionMonitoring = beginStep('Connection Monitoring');
+      const monitorSeconds = steps.connectionMonitoring.durationMs / 1000;
+      send('progress', { progress: progressAt('connectionMonitoring'), task: `Monitoring incoming connection attempts (${monitorSeconds}s)` });
+      appendLog('Monitoring incoming connections from server');
+      const serverIp = extractHostFromEndpoint(normalizeEndpoint(config.server, config.port)) || null;
+      const serverPort = config.port;
+      appendLog(`Monitoring for connections from server IP: ${serverIp || 'Unknown'} (port: ${serverPort})`);
+      appendLog(`Monitoring duration: ${monitorSeconds} seconds`);
+      try {
+        // Listeners seen in the earlier snapshots tell accepted (inbound) connections apart
+        const knownListeners = [...(beforeListeners || []), ...(afterListeners || [])];
+        connections = await monitorConnectionAttempts(serverIp, serverPort, steps.connectionMonitoring.durationMs, knownListeners, (fraction, task) => {
+          send('progress', { progress: progressAt('connectionMonitoring', fraction), task });
+        });
+        const connCount = connections?.length || 0;
+        const inboundCount = inboundConnections(connections).length;
+        appendLog(`Monitoring complete: ${connCount} connection(s) tracked (${inboundCount} inbound, ${connCount - inboundCount} outbound)`);
       
-      if (connCount > 0) {
-        const connSummary = {
-          total: connCount,
-          uniqueRemoteAddresses: [...new Set(connections.map(c => c.remoteAddress))].filter(a => a),
-          uniqueLocalPorts: [...new Set(connections.map(c => c.localPort))].filter(p => p),
-          uniqueStates: [...new Set(connections.map(c => c.state))].filter(s => s),
-          uniquePids: [...new Set(connections.map(c => c.pid))].filter(p => p),
-          timeRange: {
-            first: connections[0]?.timestamp || null,
-            last: connections[connCount - 1]?.timestamp || null
-          }
-        };
+        if (connCount > 0) {
+          const connSummary = {
+            total: connCount,
+            inbound: inboundCount,
+            outbound: connCount - inboundCount,
+            uniqueRemoteAddresses: [...new Set(connections.map(c => c.remoteAddress))].filter(a => a),
+            uniqueLocalPorts: [...new Set(connections.map(c => c.localPort))].filter(p => p),
+            uniqueStates: [...new Set(connections.flatMap(c => c.states.map(st => st.state)))].filter(s => s),
+            uniquePids: [...new Set(connections.map(c => c.pid))].filter(p => p),
+            timeRange: {
+              first: connections[0]?.firstSeen || null,
+              last: connections.reduce((latest, c) => (c.lastSeen > latest ? c.lastSeen : latest), '') || null
+            }
+          };
         
-        formatConnectionResults(serverIp, serverPort, connections, connSummary);
-      } else {
-        formatConnectionResults(serverIp, serverPort, [], null);
+          formatConnectionResults(serverIp, serverPort, connections, connSummary);
+        } else {
+          formatConnectionResults(serverIp, serverPort, [], null);
+        }
+      } catch (err) {
+        logError(err, 'Connection Monitoring');
+        connections = [];
+        logWarning('Failed to monitor connections, continuing with empty array', 'Connection Monitoring');
       }
-    } catch (err) {
-      logError(err, 'Connection Monitoring');
-      connections = [];
-      logWarning('Failed to monitor connections, continuing with empty array', 'Connection Monitoring');
-    }
     
-    send('result-partial', { payload: { connections } });
+      publishPartial({ connections });
+      endConnectionMonitoring();
+    }
+
+    // Step 6 (optional): Listen for the server's ReverseHello and create a session over it
+    if (config.reverseConnect && config.reverseConnect.port) {
+      const endReverseConnect = beginStep('Reverse Connect');
+      const waitSeconds = config.reverseConnect.waitSeconds || DEFAULT_REVERSE_WAIT_SECONDS;
+      send('progress', { progress: progressAt('reverseConnect'), task: `Waiting for ReverseHello on port ${config.reverseConnect.port} (${waitSeconds}s)` });
+      appendLog(`Listening on port ${config.reverseConnect.port} for a ReverseHello (up to ${waitSeconds} s)`);
+      try {
+        const reverseConnect = await runReverseConnect({
+          listenPort: config.reverseConnect.port,
+          waitMs: waitSeconds * 1000,
+          userIdentity: buildUserIdentity(config.identity)
+        });
+        if (!reverseConnect.reached) {
+          logWarning(`No ReverseHello received on port ${reverseConnect.listenPort} within ${waitSeconds} s`, 'Reverse Connect');
+        } else {
+          appendLog(`ReverseHello from ${reverseConnect.remoteAddress}:${reverseConnect.remotePort} after ${reverseConnect.waitedMs} ms (${reverseConnect.endpointUrl})`);
+          appendLog(reverseConnect.session.success
+            ? `Session over the reverse connection created in ${reverseConnect.session.durationMs} ms`
+            : `Session over the reverse connection failed: ${reverseConnect.session.statusCode || reverseConnect.session.error}`);
+          if (!reverseConnect.session.success) logWarning(reverseConnect.session.error, 'Reverse Connect');
+        }
+        formatReverseConnect(reverseConnect);
+        publishPartial({ reverseConnect });
+      } catch (err) {
+        logError(err, 'Reverse Connect');
+        appendLog(`Reverse Connect failed: ${err.message}`);
+      }
+      endReverseConnect();
+    }
 
-    const final = { endpoints, beforeListeners, subscriptionResult, afterListeners, connections };
+    if (capacityCaps) {
+      // Step 7 (optional): Open sessions, subscriptions and monitored items up to the caps.
+      // Runs last so the load it puts on the server cannot disturb the other measurements;
+      // rejections are its expected outcome and are not logged as errors.
+      const endCapacity = beginStep('Capacity Test');
+      const planned = CAPACITY_PHASES.filter(([key]) => capacityCaps[key]).map(([key, label]) => `${label.toLowerCase()} up to ${capacityCaps[key]}`);
+      send('progress', { progress: progressAt('capacity'), task: 'Testing session and subscription capacity' });
+      appendLog(`Capacity test: ${planned.join(', ')}`);
+      try {
+        capacity = await runCapacityTest({
+          endpointUrl: normalizeEndpoint(config.server, config.port),
+          userIdentity: buildUserIdentity(config.identity),
+          caps: capacityCaps,
+          nodeId: resolveMonitoredItems(config)[0].nodeId
+        });
+        for (const [key, label] of CAPACITY_PHASES.filter(([k]) => capacity[k])) {
+          const phase = capacity[key];
+          appendLog(`${label}: ${phase.reached} ${phase.rejected ? `before ${phase.statusCode || phase.error}` : '(cap reached, no rejection)'}`);
+          if (phase.belowAdvertised) {
+            logWarning(`${label}: the server refused more after ${phase.reached}, although its advertised limits allow ${phase.headroom}`, 'Capacity Test');
+          }
+          if (!phase.released) {
+            logError(new Error(`${label} created by the capacity test could not all be released (${phase.releaseError}); the server frees them when the session times out`), 'Capacity Test');
+          }
+        }
+        formatCapacity(capacity);
+        publishPartial({ capacity });
+      } catch (err) {
+        logError(err, 'Capacity Test');
+      }
+      endCapacity();
+    }
+
+    const final = { endpoints, serverCertificates, securityMatrix, serverSnapshot, beforeListeners, subscriptionResult, operations: operationResults, afterListeners, connections, capacity, skippedSteps };
+    // Skipped steps have no result, so their values are computed only for steps that ran
+    const ifRan = (key, value) => steps[key].enabled ? value() : 'Skipped';
     
     appendLog('', true);
     appendLog('========== PROBE COMPLETION SUMMARY ==========', true);
     appendLog(`  Probe Completed At:          ${new Date().toISOString()}`, true);
     appendLog(`  Server:                      ${config.server || 'N/A'}`, true);
     appendLog(`  Port:                        ${config.port || 'N/A'}`, true);
-    appendLog(`  Node ID:                     ${config.nodeId || 'ns=0;i=2258'}`, true);
+    appendLog(`  Node ID:                     ${monitoredNodeIds(config).join(', ')}`, true);
     appendLog(`  Publishing Interval:         ${config.publishingInterval || 250} ms`, true);
-    appendLog(`  Endpoints Found:             ${endpoints?.length || 0}`, true);
-    appendLog(`  Baseline Listeners:          ${beforeListeners?.length || 0}`, true);
-    appendLog(`  Post-Subscription Listeners: ${afterListeners?.length || 0}`, true);
-    appendLog(`  Subscription Success:        ${subscriptionResult?.success ? 'Yes' : 'No'}`, true);
-    appendLog(`  Incoming Connections:         ${connections?.length || 0}`, true);
+    appendLog(`  User Identity:               ${describeIdentity(config.identity)}`, true);
+    appendLog(`  Endpoints Found:             ${ifRan('endpoints', () => endpoints?.length || 0)}`, true);
+    appendLog(`  Server Certificate Issues:   ${ifRan('endpoints', () => serverCertificates.reduce((n, c) => n + c.issues.length, 0))}`, true);
+    appendLog(`  Security Combos Accepted:    ${ifRan('endpoints', () => `${securityMatrix.filter(r => r.success).length}/${securityMatrix.length}`)}`, true);
+    appendLog(`  Server Product:              ${ifRan('serverSnapshot', () => serverSnapshot?.buildInfo ? `${serverSnapshot.buildInfo.productName} ${serverSnapshot.buildInfo.softwareVersion}`.trim() : 'Unknown')}`, true);
+    appendLog(`  Server Sessions:             ${ifRan('serverSnapshot', () => serverSnapshot?.diagnostics.summary ? serverSnapshot.diagnostics.summary.currentSessionCount : 'Unknown')}`, true);
+    appendLog(`  Baseline Listeners:          ${ifRan('baselineListeners', () => beforeListeners?.length || 0)}`, true);
+    appendLog(`  Post-Subscription Listeners: ${ifRan('postSubscriptionListeners', () => afterListeners?.length || 0)}`, true);
+    appendLog(`  Subscription Success:        ${ifRan('subscription', () => subscriptionResult?.success ? 'Yes' : 'No')}`, true);
+    if (operations) {
+      const reads = operationResults ? operationResults.nodes.filter(n => n.read.statusCode === 'Good').length : 0;
+      const writes = operationResults ? operationResults.nodes.filter(n => n.write && !n.write.skipped) : [];
+      appendLog(`  Reads / Writes OK:           ${reads}/${operations.nodes.length} / ${writes.filter(n => n.write.statusCode === 'Good').length}/${writes.length}`, true);
+      if (operations.method) appendLog(`  Method Call:                 ${operationResults?.method?.call.statusCode || 'Failed'}`, true);
+    }
+    appendLog(`  Incoming Connections:        ${ifRan('connectionMonitoring', () => `${inboundConnections(connections).length} (${connections?.length || 0} tracked)`)}`, true);
+    if (capacityCaps) {
+      const reached = CAPACITY_PHASES.filter(([key]) => capacity?.[key]).map(([key, label]) => `${label} ${capacity[key].reached}${capacity[key].rejected ? '' : '+'}`);
+      appendLog(`  Capacity Reached:            ${capacity ? reached.join(', ') : 'Failed'}`, true);
+    }
     appendLog('========== END PROBE COMPLETION SUMMARY ==========', true);
     appendLog('', true);
     
+    publishDiagnosis('completed', null);
     writeErrorSummary();
 
-    send('result-final', { payload: final });
+    const reportFiles = exportReports('completed', null);
+    send('result-final', { payload: final, reportFiles });
     appendLog('Probe finished successfully');
     process.exit(0);
   } catch (err) {
@@ -592,33 +1411,131 @@ process.on('message', async (msg) => {
     appendLog(`  Failed At:           ${new Date().toISOString()}`, true);
     appendLog(`  Server:              ${config.server || 'N/A'}`, true);
     appendLog(`  Port:                ${config.port || 'N/A'}`, true);
-    appendLog(`  Node ID:             ${config.nodeId || 'ns=0;i=2258'}`, true);
+    appendLog(`  Node ID:             ${monitoredNodeIds(config).join(', ')}`, true);
     appendLog(`  Publishing Interval: ${config.publishingInterval || 250} ms`, true);
+    appendLog(`  User Identity:       ${describeIdentity(config.identity)}`, true);
     appendLog('========== END PROBE FAILED ==========', true);
     appendLog('', true);
     
+    publishDiagnosis('failed', String(err));
+
     // Write error/warning summary
     writeErrorSummary();
     
-    send('error', { error: String(err) });
+    const reportFiles = exportReports('failed', String(err), decodeStatusCode(err));
+    send('error', { error: String(err), status: decodeStatusCode(err), reportFiles });
     process.exit(1);
   }
 });
 
-const { OPCUAClient } = require('node-opcua');
+/**
+ * Address space browsing - main keeps a dedicated worker alive while the browser dialog is open.
+ * Requests carry a requestId that is echoed back in the 'browse-result' reply.
+ */
+let browseHandle = null;
+
+process.on('message', async (msg) => {
+  if (!msg || typeof msg.type !== 'string' || !msg.type.startsWith('browse-')) return;
+  const reply = (payload) => send('browse-result', { requestId: msg.requestId, ...payload });
+
+  try {
+    switch (msg.type) {
+      case 'browse-open':
+        await closeBrowseSession(browseHandle);
+        browseHandle = null;
+        browseHandle = await openBrowseSession(
+          normalizeEndpoint(msg.config.server, msg.config.port),
+          buildUserIdentity(msg.config.identity)
+        );
+        reply({ result: await browseChildren(browseHandle.session) });
+        break;
+
+      case 'browse-children':
+        if (!browseHandle) throw new Error('No browse session is open');
+        reply({ result: await browseChildren(browseHandle.session, msg.nodeId) });
+        break;
+
+      case 'browse-close':
+        await closeBrowseSession(browseHandle);
+        browseHandle = null;
+        reply({ result: true });
+        process.exit(0);
+    }
+  } catch (err) {
+    reply({ error: String(err) });
+  }
+});
 
-async function queryEndpoints(serverUrl, port) {
+/**
+ * Discovery - a one-shot FindServers/FindServersOnNetwork query against a discovery server.
+ * Replies with a single 'discover-result' and exits.
+ */
+process.on('message', async (msg) => {
+  if (!msg || msg.type !== 'discover') return;
+  try {
+    send('discover-result', { result: await discoverServers(msg.discoveryUrl) });
+  } catch (err) {
+    send('discover-result', { error: String(err) });
+  }
+  process.exit(0);
+});
+
+/**
+ * Self-test server - hosts the lib/selftest server for one scenario until 'selftest-stop',
+ * the parent disconnecting, or a kill. Replies once with 'selftest-ready'.
+ */
+let selfTestServer = null;
+
+process.on('message', async (msg) => {
+  if (!msg || (msg.type !== 'selftest-start' && msg.type !== 'selftest-stop')) return;
+  if (msg.type === 'selftest-stop') {
+    try { if (selfTestServer) await selfTestServer.stop(); } catch (e) {}
+    process.exit(0);
+  }
+  try {
+    selfTestServer = await startSelfTestServer(msg.options, path.join(msg.userDataPath, 'selftest-pki'));
+    const { stop, ...info } = selfTestServer;
+    process.once('disconnect', () => process.exit(0));
+    send('selftest-ready', { result: info });
+  } catch (err) {
+    send('selftest-ready', { error: String(err) });
+    process.exit(1);
+  }
+});
+
+const {
+  OPCUAClient,
+  AttributeIds,
+  TimestampsToReturn,
+  DataChangeFilter,
+  DataChangeTrigger,
+  DeadbandType,
+  MessageSecurityMode
+} = require('node-opcua');
+
+// How long the Reverse Connect step listens for the server's ReverseHello
+const DEFAULT_REVERSE_WAIT_SECONDS = 60;
+
+// How long the subscription is held open to measure publish/data flow
+const DEFAULT_HEALTH_WINDOW_SECONDS = 10;
+const MAX_REPUBLISH_REQUESTS = 10;
+// Items per CreateMonitoredItems call; stays under common MaxMonitoredItemsPerCall limits
+const MAX_ITEMS_PER_CALL = 500;
+
+async function queryEndpoints(serverUrl, port, timeoutMs = 15000) {
   const endpointUrl = normalizeEndpoint(serverUrl, port);
   const client = OPCUAClient.create({ connectionStrategy: { initialDelay: 1000, maxRetry: 0 } });
   try {
-    await client.connect(endpointUrl);
-    const endpoints = await client.getEndpoints();
+    await withTimeout(client.connect(endpointUrl), timeoutMs, 'connect');
+    const endpoints = await withTimeout(client.getEndpoints(), timeoutMs, 'GetEndpoints');
     await client.disconnect();
     return endpoints.map(e => ({
       endpointUrl: e.endpointUrl,
       securityPolicyUri: e.securityPolicyUri,
       securityMode: e.securityMode,
-      userIdentityTokens: e.userIdentityTokens && e.userIdentityTokens.map(t => t.tokenType)
+      userIdentityTokens: e.userIdentityTokens && e.userIdentityTokens.map(t => t.tokenType),
+      applicationUri: e.server && e.server.applicationUri,
+      serverCertificate: e.serverCertificate
     }));
   } catch (err) {
     try { await client.disconnect(); } catch (e) {}
@@ -626,6 +1543,160 @@ async function queryEndpoints(serverUrl, port) {
   }
 }
 
+// Decodes each distinct server certificate and checks it against the host we dialled
+// and the ApplicationUri(s) advertised by the endpoints that carry it.
+// Tags each endpoint with certificateThumbprint and removes the raw DER bytes.
+function inspectServerCertificates(endpoints, hostname) {
+  const byThumbprint = new Map();
+  for (const ep of endpoints || []) {
+    const der = ep.serverCertificate;
+    delete ep.serverCertificate;
+    if (!der || der.length === 0) continue;
+
+    let entry;
+    try {
+      const info = inspectCertificate(Buffer.from(der));
+      entry = byThumbprint.get(info.thumbprint);
+      if (!entry) {
+        entry = { ...info, endpointCount: 0, applicationUris: [] };
+        byThumbprint.set(info.thumbprint, entry);
+      }
+    } catch (err) {
+      const key = `undecodable-${byThumbprint.size}`;
+      entry = { thumbprint: key, error: String(err), endpointCount: 0, applicationUris: [] };
+      byThumbprint.set(key, entry);
+    }
+    entry.endpointCount++;
+    if (ep.applicationUri && !entry.applicationUris.includes(ep.applicationUri)) {
+      entry.applicationUris.push(ep.applicationUri);
+    }
+    ep.certificateThumbprint = entry.thumbprint;
+  }
+
+  return [...byThumbprint.values()].map(entry => ({
+    ...entry,
+    issues: entry.error
+      ? [{ severity: 'error', code: 'Undecodable', message: `Certificate could not be decoded: ${entry.error}` }]
+      : checkCertificate(entry, { hostname, applicationUris: entry.applicationUris })
+  }));
+}
+
+// Opens a client on endpointUrl with the endpoint's policy/mode and creates a session.
+// endpointMustExist is off so the URL may differ from the one the server advertises.
+async function attemptSession(endpointUrl, ep, identity, timeoutMs) {
+  const started = Date.now();
+  const client = OPCUAClient.create({
+    securityPolicy: ep.securityPolicyUri,
+    securityMode: ep.securityMode,
+    endpointMustExist: false,
+    connectionStrategy: { initialDelay: 1000, maxRetry: 0 }
+  });
+  let session;
+  let late = null;
+  let result;
+  try {
+    await withTimeout(client.connect(endpointUrl), timeoutMs, 'connect');
+    const pending = client.createSession(buildUserIdentity(identity));
+    try {
+      session = await withTimeout(pending, timeoutMs, 'createSession');
+    } catch (err) {
+      late = closeLateSession(pending);
+      throw err;
+    }
+    result = { success: true, statusCode: 'Good', durationMs: Date.now() - started };
+  } catch (err) {
+    result = { success: false, statusCode: extractStatusName(err), status: decodeStatusCode(err), error: String(err), durationMs: Date.now() - started };
+  }
+  try { if (session) await session.close(); } catch (e) {}
+  // A late session can only be closed over this channel, so it is waited for first
+  try { if (late) await withTimeout(late, timeoutMs, 'Late createSession'); } catch (e) {}
+  try { await client.disconnect(); } catch (e) {}
+  return result;
+}
+
+// Attempts a session on every advertised SecurityPolicy/SecurityMode combination.
+// Connects to the user-supplied URL (not the advertised one) so the result reflects
+// what works from this machine through the customer's network.
+async function probeSecurityMatrix(cfg, endpoints, timeoutMs = 15000) {
+  const endpointUrl = normalizeEndpoint(cfg.server, cfg.port);
+  const combos = new Map();
+  for (const ep of endpoints || []) {
+    const key = `${ep.securityPolicyUri}|${ep.securityMode}`;
+    if (!combos.has(key)) combos.set(key, ep);
+  }
+
+  const results = [];
+  for (const ep of combos.values()) {
+    results.push({
+      securityPolicyUri: ep.securityPolicyUri,
+      securityMode: ep.securityMode,
+      ...await attemptSession(endpointUrl, ep, cfg.identity, timeoutMs)
+    });
+  }
+  return results;
+}
+
+// Proves an endpointUrl mismatch: a session on the advertised URL as-is, then the same
+// session with the URL rewritten to the dialled host and port. Prefers a None endpoint
+// so certificate trust does not mask the result.
+async function verifyAdvertisedUrl(cfg, endpoints, urlChecks, timeoutMs = 10000) {
+  const mismatched = new Set(urlChecks
+    .filter(c => c.issues.some(i => i.severity !== 'info'))
+    .map(c => c.endpointUrl));
+  const candidates = (endpoints || []).filter(ep => mismatched.has(ep.endpointUrl));
+  if (candidates.length === 0) return null;
+
+  const ep = candidates.find(e => e.securityMode === MessageSecurityMode.None) || candidates[0];
+  const dialledUrl = normalizeEndpoint(cfg.server, cfg.port);
+  const rewrittenUrl = rewriteEndpointUrl(ep.endpointUrl, dialledUrl);
+  return {
+    securityPolicyUri: ep.securityPolicyUri,
+    securityMode: ep.securityMode,
+    advertised: { url: ep.endpointUrl, ...await attemptSession(ep.endpointUrl, ep, cfg.identity, timeoutMs) },
+    rewritten: { url: rewrittenUrl, ...await attemptSession(rewrittenUrl, ep, cfg.identity, timeoutMs) }
+  };
+}
+
+// Opens a session with the configured identity for fn(session) and always closes it again.
+// endpointMustExist is off so an advertised URL mismatch does not hide these checks as well.
+async function withProbeSession(cfg, timeoutMs, fn) {
+  const endpointUrl = normalizeEndpoint(cfg.server, cfg.port);
+  const client = OPCUAClient.create({
+    endpointMustExist: false,
+    connectionStrategy: { initialDelay: 1000, maxRetry: 0 }
+  });
+  let session;
+  try {
+    await withTimeout(client.connect(endpointUrl), timeoutMs, 'connect');
+    session = await withTimeout(client.createSession(buildUserIdentity(cfg.identity)), timeoutMs, 'createSession');
+    return await fn(session);
+  } finally {
+    try { if (session) await session.close(); } catch (e) {}
+    try { await client.disconnect(); } catch (e) {}
+  }
+}
+
+// Reads the lib/snapshot nodes over a session of its own
+function captureServerSnapshot(cfg, timeoutMs = 15000) {
+  return withProbeSession(cfg, timeoutMs, session => withTimeout(readServerSnapshot(session), timeoutMs, 'Server snapshot read'));
+}
+
+// Rejects if the promise does not settle within ms (node-opcua calls can hang on blocked paths)
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Pulls an OPC UA StatusCode name (e.g. "BadSecurityChecksFailed") out of a node-opcua error
+function extractStatusName(err) {
+  if (err && err.statusCode && err.statusCode.name) return err.statusCode.name;
+  const m = String(err && err.message || err).match(/\b(Bad[A-Za-z]+|Uncertain[A-Za-z]+)\b/);
+  return m ? m[1] : null;
+}
+
 // Normalizes endpoint to opc.tcp://host:port format (handles various input formats)
 function normalizeEndpoint(server, port) {
   if (!server) throw new Error('server missing');
@@ -656,43 +1727,159 @@ function normalizeEndpoint(server, port) {
   return `opc.tcp://${server}:${port}`;
 }
 
-// Creates OPC-UA subscription to trigger callback listener ports
-async function createSubscriptionAndMonitor(cfg) {
+// NodeIds to monitor, for log output only (per-item options stripped; see lib/items.js)
+function monitoredNodeIds(cfg) {
+  if (Array.isArray(cfg.monitoredItems) && cfg.monitoredItems.length > 0) return cfg.monitoredItems.map(i => i.nodeId);
+  if (Array.isArray(cfg.nodeIds) && cfg.nodeIds.length > 0) return cfg.nodeIds.map(line => String(line).split('|')[0].trim());
+  return [cfg.nodeId || 'ns=0;i=2258'];
+}
+
+function buildDataChangeFilter(deadband) {
+  if (!deadband) return null;
+  return new DataChangeFilter({
+    trigger: DataChangeTrigger.StatusValue,
+    deadbandType: deadband.type === 'Percent' ? DeadbandType.Percent : DeadbandType.Absolute,
+    deadbandValue: deadband.value
+  });
+}
+
+/**
+ * Creates the monitored items with one CreateMonitoredItems call per parameter set
+ * (chunked), so large item lists exercise the server the way real integrations do.
+ * Returns one result per item, in input order, with the server's status code.
+ */
+async function createMonitoredItems(subscription, items, recorder) {
+  const results = items.map(item => ({
+    ...item,
+    statusCode: null,
+    revisedSamplingInterval: null,
+    revisedQueueSize: null,
+    dataChanges: 0
+  }));
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const key = parameterKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  for (const indexes of groups.values()) {
+    const first = items[indexes[0]];
+    const parameters = {
+      samplingInterval: first.samplingInterval,
+      queueSize: first.queueSize,
+      discardOldest: true,
+      filter: buildDataChangeFilter(first.deadband)
+    };
+
+    for (let start = 0; start < indexes.length; start += MAX_ITEMS_PER_CALL) {
+      const chunk = indexes.slice(start, start + MAX_ITEMS_PER_CALL);
+      try {
+        const group = await subscription.monitorItems(
+          chunk.map(i => ({ nodeId: items[i].nodeId, attributeId: AttributeIds.Value })),
+          parameters,
+          TimestampsToReturn.Both
+        );
+        group.on('changed', (monitoredItem, dataValue, index) => {
+          results[chunk[index]].dataChanges++;
+          recorder.onDataChange();
+        });
+        group.monitoredItems.forEach((monitoredItem, j) => {
+          const result = results[chunk[j]];
+          result.statusCode = monitoredItem.statusCode.name;
+          if (monitoredItem.statusCode.isGood()) {
+            result.revisedSamplingInterval = monitoredItem.monitoringParameters.samplingInterval;
+            result.revisedQueueSize = monitoredItem.monitoringParameters.queueSize;
+          }
+        });
+      } catch (err) {
+        // The whole call failed (e.g. BadTooManyMonitoredItems, malformed NodeId)
+        const status = extractStatusName(err) || err.message;
+        for (const i of chunk) results[i].statusCode = status;
+      }
+    }
+  }
+  return results;
+}
+
+// Creates OPC-UA subscription, holds it open for the health window and records the data flow
+// step is the resolved subscription step (timeoutMs per service call, durationMs health window);
+// onProgress(fraction, task) reports progress through the health window
+async function createSubscriptionAndMonitor(cfg, step = {}, onProgress = () => {}) {
   const endpointUrl = normalizeEndpoint(cfg.server, cfg.port);
   const client = OPCUAClient.create({ keepSessionAlive: true });
+  const requested = {
+    publishingInterval: cfg.publishingInterval || 250,
+    lifetimeCount: 10000,
+    maxKeepAliveCount: 10
+  };
+  const windowMs = step.durationMs || Math.max(1, cfg.healthWindowSeconds || DEFAULT_HEALTH_WINDOW_SECONDS) * 1000;
+  const timeoutMs = step.timeoutMs || 15000;
   let session, subscription;
   try {
-    await client.connect(endpointUrl);
-    session = await client.createSession();
+    await withTimeout(client.connect(endpointUrl), timeoutMs, 'connect');
+    session = await withTimeout(client.createSession(buildUserIdentity(cfg.identity)), timeoutMs, 'createSession');
 
-    subscription = await session.createSubscription2({
-      requestedPublishingInterval: cfg.publishingInterval || 250,
-      requestedLifetimeCount: 10000,
-      requestedMaxKeepAliveCount: 10,
+    subscription = await withTimeout(session.createSubscription2({
+      requestedPublishingInterval: requested.publishingInterval,
+      requestedLifetimeCount: requested.lifetimeCount,
+      requestedMaxKeepAliveCount: requested.maxKeepAliveCount,
       maxNotificationsPerPublish: 1000,
       publishingEnabled: true
-    });
+    }), timeoutMs, 'CreateSubscription');
+    const revised = {
+      publishingInterval: subscription.publishingInterval,
+      lifetimeCount: subscription.lifetimeCount,
+      maxKeepAliveCount: subscription.maxKeepAliveCount
+    };
+
+    const recorder = createHealthRecorder();
+    subscription.on('raw_notification', (msg) => recorder.onPublishResponse(msg));
+    subscription.on('status_changed', (status) => recorder.onStatusChange(status));
 
-    const itemToMonitor = cfg.nodeId || 'ns=0;i=2258';
-    await subscription.monitor(
-      { nodeId: itemToMonitor, attributeId: 13 },
-      { samplingInterval: cfg.publishingInterval || 250, discardOldest: true, queueSize: 10 },
-      0
-    );
+    const items = await withTimeout(createMonitoredItems(subscription, resolveMonitoredItems(cfg), recorder), timeoutMs, 'CreateMonitoredItems');
+    const goodItems = items.filter(i => i.statusCode === 'Good');
+    if (goodItems.length === 0) {
+      const statuses = [...new Set(items.map(i => i.statusCode))].join(', ');
+      throw Object.assign(new Error(`No monitored item could be created (${statuses})`), { items });
+    }
+
+    // Hold the subscription open for the health window (also lets callback listener ports open)
+    const steps = Math.ceil(windowMs / 1000);
+    for (let i = 1; i <= steps; i++) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(1000, windowMs - (i - 1) * 1000)));
+      onProgress(i / steps, `Measuring subscription health (${i}/${steps}s)`);
+    }
 
-    // Wait for callback listener ports to open
-    await new Promise(resolve => setTimeout(resolve, 1500));
+    // Ask the server to resend what we missed; servers keep a limited retransmission queue
+    const republish = { requested: 0, recovered: 0, failed: 0, lastError: null };
+    for (const seq of recorder.missingSequenceNumbers().slice(0, MAX_REPUBLISH_REQUESTS)) {
+      republish.requested++;
+      try {
+        await session.republish({ subscriptionId: subscription.subscriptionId, retransmitSequenceNumber: seq });
+        republish.recovered++;
+      } catch (err) {
+        republish.failed++;
+        republish.lastError = extractStatusName(err) || err.message;
+      }
+    }
 
     try { await subscription.terminate(); } catch(e){}
     try { await session.close(); } catch(e){}
     try { await client.disconnect(); } catch(e){}
 
-    return { success: true, nodeMonitored: itemToMonitor };
+    return {
+      success: true,
+      nodeMonitored: goodItems.map(i => i.nodeId).join(', '),
+      items,
+      health: { windowMs, requested, revised, ...recorder.summary(), republish }
+    };
   } catch (err) {
     try { if (subscription) await subscription.terminate(); } catch(e){}
     try { if (session) await session.close(); } catch(e){}
     try { await client.disconnect(); } catch(e){}
-    return { success: false, error: String(err) };
+    return { success: false, error: String(err), status: decodeStatusCode(err), items: err.items || [] };
   }
 }
 
@@ -721,87 +1908,40 @@ function extractHostFromEndpoint(endpoint) {
   }
 }
 
-// Captures listening TCP ports using Windows netstat
-function getListeningPorts() {
-  return new Promise((resolve, reject) => {
-    exec('netstat -ano', { windowsHide: true }, (err, stdout) => {
-      if (err) return reject(err);
-      const lines = stdout.split(/\r?\n/).slice(4).filter(l => l.trim());
-      const listeners = [];
-      for (const line of lines) {
-        const parts = line.trim().split(/\s+/);
-        if (parts.length >= 5) {
-          const proto = parts[0];
-          const local = parts[1];
-          const state = parts[3] || '';
-          const pid = parts[4] || '';
-          if (/LISTENING/i.test(state) || state === 'LISTEN') {
-            const [addr, port] = parseAddressPort(local);
-            listeners.push({ proto, localAddress: addr, localPort: port, pid });
-          }
-        }
-      }
-      resolve(listeners);
-    });
-  });
-}
-
-function parseAddressPort(text) {
-  const idx = text.lastIndexOf(':');
-  if (idx === -1) return [text, ''];
-  const addr = text.substring(0, idx);
-  const port = text.substring(idx + 1);
-  return [addr, port];
+// Captures listening TCP ports via the platform socket source
+async function getListeningPorts() {
+  const sockets = await listSockets();
+  return sockets
+    .filter(s => s.state === 'LISTENING')
+    .map(({ proto, localAddress, localPort, pid }) => ({ proto, localAddress, localPort, pid }));
 }
 
 // Monitors for incoming TCP connections from server (callback attempts)
-// Polls netstat every 2s for connections from serverIp
-function monitorConnectionAttempts(serverIp, serverPort, durationMs) {
+// Polls the socket source every 2s for connections from serverIp and folds the sightings
+// of each connection into one timeline entity (see lib/connections.js)
+function monitorConnectionAttempts(serverIp, serverPort, durationMs, knownListeners = [], onProgress = () => {}) {
   const polls = Math.ceil(durationMs / 2000);
-  const found = [];
+  const tracker = createConnectionTracker(s => Boolean(serverIp) && sameAddress(s.remoteAddress, serverIp), knownListeners);
 
   return new Promise((resolve) => {
-    let i = 0;
-    const t = setInterval(() => {
-      exec('netstat -ano', { windowsHide: true }, (err, stdout) => {
-        if (!err && stdout) {
-          const lines = stdout.split(/\r?\n/).slice(4).filter(l => l.trim());
-          for (const line of lines) {
-            const parts = line.trim().split(/\s+/);
-            if (parts.length >= 5) {
-              const proto = parts[0];
-              const local = parts[1];
-              const remote = parts[2];
-              const state = parts[3] || '';
-              const pid = parts[4] || '';
-              if (serverIp && remote.includes(serverIp)) {
-                const [rAddr, rPort] = parseAddressPort(remote);
-                const [lAddr, lPort] = parseAddressPort(local);
-                found.push({
-                  timestamp: new Date().toISOString(),
-                  proto,
-                  localAddress: lAddr,
-                  localPort: lPort,
-                  remoteAddress: rAddr,
-                  remotePort: rPort,
-                  state,
-                  pid
-                });
-              }
-            }
-          }
-        }
-      });
-
-      i++;
-      send('progress', {
-        progress: 75 + Math.round((i / polls) * 15),
-        task: `Monitoring incoming connections (${i}/${polls})`
-      });
-      if (i >= polls) {
-        clearInterval(t);
-        resolve(found);
+    let poll = 0;
+    // Each poll is scheduled once the previous one finished, so a slow read never overlaps the
+    // next one and the tracker sees the snapshots in order
+    const next = async () => {
+      const started = Date.now();
+      poll++;
+      onProgress(poll / polls, `Monitoring incoming connections (${poll}/${polls})`);
+
+      try {
+        tracker.observe(await listSockets());
+      } catch (e) { /* transient read failure; next poll retries */ }
+
+      if (poll >= polls) {
+        resolve(tracker.connections());
+      } else {
+        setTimeout(next, Math.max(0, 2000 - (Date.now() - started)));
       }
-    }, 2000);
+    };
+    setTimeout(next, 2000);
   });
 }